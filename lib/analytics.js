@@ -0,0 +1,371 @@
+// MongoDB aggregations behind the admin analytics endpoints.
+// Time buckets use ANALYTICS_TIMEZONE (default Africa/Lagos) so "per hour"
+// lines up with the clock on the expo floor rather than UTC.
+//
+// Keywords are counted here rather than in MongoDB, whose $toLower only
+// knows ASCII: Yorùbá, Hausa and Igbo words keep their tone marks and
+// dotted letters, and are lower-cased and normalised before counting.
+
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const Admin = require('../models/Admin');
+const { DEFAULT_LOCALE, LOCALE_NAMES } = require('./i18n');
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Africa/Lagos';
+
+const BUCKET_FORMATS = {
+    hour: '%Y-%m-%dT%H:00',
+    day: '%Y-%m-%d'
+};
+
+const KEYWORD_LIMIT = 25;
+const LOCATION_LIMIT = 15;
+const OTHER_INTEREST_LIMIT = 30;
+const MIN_KEYWORD_LENGTH = 3;
+
+// Common filler words left out of keyword counts, per kiosk language.
+// Attendees mix in English whatever language they picked, so the English
+// ones are left out of every answer.
+const STOPWORDS = {
+    en: [
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+        'one', 'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'see',
+        'who', 'did', 'get', 'let', 'say', 'she', 'too', 'use', 'that', 'this', 'with', 'they',
+        'them', 'then', 'than', 'there', 'their', 'what', 'when', 'where', 'which', 'will', 'would',
+        'could', 'should', 'from', 'your', 'more', 'very', 'just', 'also', 'been', 'were', 'into',
+        'some', 'such', 'only', 'over', 'about', 'much', 'make', 'like', 'well', 'really', 'because',
+        'mtn'
+    ],
+    pcm: ['dey', 'una', 'wey', 'don', 'abeg', 'sef', 'dis', 'dat', 'dem', 'wetin', 'wan', 'fit', 'sey'],
+    ha: [
+        'wannan', 'kuma', 'amma', 'akwai', 'yana', 'tana', 'suna', 'ina', 'muna', 'cikin', 'game', 'daga',
+        'zuwa', 'don', 'saboda', 'wanda', 'wadda', 'abin', 'ake', 'aka', 'mai', 'sai', 'kawai', 'sosai'
+    ],
+    yo: [
+        'àti', 'fún', 'wọn', 'yìí', 'náà', 'ṣùgbọ́n', 'gan', 'gidi', 'jẹ́', 'láti', 'nítorí', 'àwọn',
+        'ohun', 'púpọ̀', 'tún', 'ìyẹn'
+    ],
+    ig: ['ndị', 'nke', 'maka', 'mana', 'anyị', 'unu', 'ahụ', 'nwere', 'gị', 'ihe', 'kwa', 'ebe', 'otu', 'ọzọ']
+};
+// A word is letters (with any combining tone marks), digits and apostrophes (Hausa "ra'ayi")
+const WORD = /[\p{L}\p{M}\p{N}']+/gu;
+
+const normalizeWord = word => word.normalize('NFC').toLowerCase();
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([locale, words]) => [
+    locale,
+    new Set([...STOPWORDS.en, ...words].map(normalizeWord))
+]));
+
+function timeMatch(match = {}, dateRange) {
+    return dateRange ? { ...match, timestamp: dateRange } : match;
+}
+
+async function ratingDistribution(match) {
+    const rows = await Feedback.aggregate([
+        { $match: match },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map(rows.map(row => [row._id, row.count]));
+    return {
+        distribution: [1, 2, 3, 4, 5].map(rating => ({ rating, count: counts.get(rating) || 0 })),
+        unrated: rows.filter(row => !(row._id >= 1 && row._id <= 5)).reduce((sum, row) => sum + row.count, 0)
+    };
+}
+
+async function averageRatingOverTime(match, interval) {
+    const rows = await Feedback.aggregate([
+        { $match: { ...match, rating: { $gte: 1, $lte: 5 } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: BUCKET_FORMATS[interval], date: '$timestamp', timezone: TIMEZONE } },
+                average: { $avg: '$rating' },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(row => ({
+        bucket: row._id,
+        average: Math.round(row.average * 100) / 100,
+        count: row.count
+    }));
+}
+
+async function responseCounts(match) {
+    const [counts] = await Feedback.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                rated: { $sum: { $cond: [{ $and: [{ $gte: ['$rating', 1] }, { $lte: ['$rating', 5] }] }, 1, 0] } },
+                feedback1: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$feedback1', ''] } }, 0] }, 1, 0] } },
+                feedback2: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$feedback2', ''] } }, 0] }, 1, 0] } },
+                averageRating: { $avg: '$rating' },
+                linked: { $sum: { $cond: [{ $ifNull: ['$registrationId', false] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    const result = counts || { total: 0, rated: 0, feedback1: 0, feedback2: 0, averageRating: null, linked: 0 };
+    delete result._id;
+    result.averageRating = result.averageRating === null ? null : Math.round(result.averageRating * 100) / 100;
+    return result;
+}
+
+// The words of text worth counting, written the same way whichever way
+// the kiosk keyboard composed "ọ̀"
+function keywordsOf(text, locale) {
+    const stopwords = STOPWORD_SETS[locale] || STOPWORD_SETS.en;
+    return (normalizeWord(text).match(WORD) || [])
+        .filter(word => [...word].length >= MIN_KEYWORD_LENGTH && !stopwords.has(word));
+}
+
+// Word frequencies for one free-text answer (feedback1 or feedback2)
+async function keywordFrequencies(match, field) {
+    const cursor = Feedback.find({ ...match, [field]: { $type: 'string', $ne: '' } })
+        .select(`${field} locale`)
+        .lean()
+        .cursor();
+
+    const counts = new Map();
+    for await (const feedback of cursor) {
+        keywordsOf(feedback[field], feedback.locale).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    }
+
+    return [...counts]
+        .map(([word, count]) => ({ word, count }))
+        .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+        .slice(0, KEYWORD_LIMIT);
+}
+
+// Kiosk language of a record; those from before it was kept were English
+const LOCALE_EXPRESSION = { $ifNull: ['$locale', DEFAULT_LOCALE] };
+
+// Responses and average rating per kiosk language
+async function ratingByLocale(match) {
+    const rows = await Feedback.aggregate([
+        { $match: match },
+        { $group: { _id: LOCALE_EXPRESSION, responses: { $sum: 1 }, averageRating: { $avg: '$rating' } } },
+        { $sort: { responses: -1, _id: 1 } }
+    ]);
+
+    return rows.map(row => ({
+        locale: row._id,
+        language: LOCALE_NAMES[row._id] || row._id,
+        responses: row.responses,
+        averageRating: typeof row.averageRating === 'number' ? Math.round(row.averageRating * 100) / 100 : null
+    }));
+}
+
+/**
+ * Everything the feedback dashboard needs in one response.
+ * dateRange is a { $gte, $lte } condition on timestamp (or null).
+ */
+async function feedbackAnalytics({ dateRange = null, match = {} } = {}) {
+    const filter = timeMatch({ ...Feedback.VISIBLE, ...match }, dateRange);
+
+    const [responses, ratings, locales, hourly, daily, keywords1, keywords2] = await Promise.all([
+        responseCounts(filter),
+        ratingDistribution(filter),
+        ratingByLocale(filter),
+        averageRatingOverTime(filter, 'hour'),
+        averageRatingOverTime(filter, 'day'),
+        keywordFrequencies(filter, 'feedback1'),
+        keywordFrequencies(filter, 'feedback2')
+    ]);
+
+    return {
+        timezone: TIMEZONE,
+        responses,
+        ratingDistribution: ratings.distribution,
+        unrated: ratings.unrated,
+        locale: locales,
+        averageRating: {
+            hour: hourly,
+            day: daily
+        },
+        questions: ['feedback1', 'feedback2'].map(field => ({
+            field,
+            question: Feedback.QUESTIONS[field],
+            responses: responses[field],
+            keywords: field === 'feedback1' ? keywords1 : keywords2
+        }))
+    };
+}
+
+function countBy(expression) {
+    return [
+        { $group: { _id: expression, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+    ];
+}
+
+// Lower-cased and trimmed so "Lagos", "lagos " and "LAGOS" are one group
+function normalizedText(field) {
+    return { $toLower: { $trim: { input: { $ifNull: [`$${field}`, ''] } } } };
+}
+
+/**
+ * Lead breakdowns for the registration dashboard. Registrations linked to an
+ * earlier one (duplicateOf) are left out so repeat kiosk taps are not counted,
+ * and so are soft-deleted ones. catalogue is the interest list of the event
+ * being looked at (match: { event }).
+ */
+async function registrationAnalytics({ dateRange = null, match: scope = {}, catalogue = Registration.INTERESTS } = {}) {
+    const match = timeMatch({ ...Registration.ACTIVE, ...scope, duplicateOf: null }, dateRange);
+
+    const [result] = await Registration.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                interests: [{ $unwind: '$interests' }, ...countBy('$interests')],
+                channel: countBy({ $ifNull: ['$channel', 'Unknown'] }),
+                gender: countBy({ $ifNull: ['$gender', 'Unknown'] }),
+                locale: countBy(LOCALE_EXPRESSION),
+                location: [
+                    ...countBy(normalizedText('location')),
+                    { $limit: LOCATION_LIMIT }
+                ],
+                hourOfDay: countBy({ $hour: { date: '$timestamp', timezone: TIMEZONE } }),
+                otherInterest: [
+                    { $match: { otherInterest: { $type: 'string', $regex: /\S/ } } },
+                    {
+                        $group: {
+                            _id: normalizedText('otherInterest'),
+                            count: { $sum: 1 },
+                            examples: { $addToSet: '$otherInterest' }
+                        }
+                    },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: OTHER_INTEREST_LIMIT }
+                ]
+            }
+        }
+    ]);
+
+    // Every catalogue interest is listed, even with no leads yet
+    const interestCounts = new Map(result.interests.map(row => [row._id, row.count]));
+    const interests = catalogue.map(interest => ({
+        interest,
+        count: interestCounts.get(interest) || 0
+    }));
+    result.interests
+        .filter(row => !catalogue.includes(row._id))
+        .forEach(row => interests.push({ interest: row._id, count: row.count }));
+    interests.sort((a, b) => b.count - a.count);
+
+    const hours = new Map(result.hourOfDay.map(row => [row._id, row.count]));
+
+    return {
+        timezone: TIMEZONE,
+        total: result.total.length ? result.total[0].count : 0,
+        interests,
+        channel: result.channel.map(row => ({ channel: row._id, count: row.count })),
+        gender: result.gender.map(row => ({ gender: row._id, count: row.count })),
+        locale: result.locale.map(row => ({
+            locale: row._id,
+            language: LOCALE_NAMES[row._id] || row._id,
+            count: row.count
+        })),
+        location: result.location.map(row => ({ location: row._id || 'unknown', count: row.count })),
+        hourOfDay: Array.from({ length: 24 }, (_, hour) => ({ hour, count: hours.get(hour) || 0 })),
+        otherInterest: result.otherInterest.map(row => ({
+            answer: row._id,
+            count: row.count,
+            examples: row.examples.slice(0, 3)
+        }))
+    };
+}
+
+/**
+ * Counters on the dashboard tiles, for one event when scope names it.
+ * Registrations linked to an earlier one are the same attendee, so not
+ * counted twice; soft-deleted registrations and hidden, spam or deleted
+ * feedback are not counted.
+ */
+async function dashboardStats(scope = {}) {
+    const [registrations, duplicates, feedbacks, admins, checkedIn] = await Promise.all([
+        Registration.countDocuments({ ...Registration.ACTIVE, ...scope, duplicateOf: null }),
+        Registration.countDocuments({ ...Registration.ACTIVE, ...scope, duplicateOf: { $ne: null } }),
+        Feedback.countDocuments({ ...Feedback.VISIBLE, ...scope }),
+        Admin.countDocuments({ active: true }),
+        Registration.countDocuments({ ...Registration.ACTIVE, ...scope, checkedInAt: { $ne: null } })
+    ]);
+    return { registrations, duplicates, feedbacks, admins, checkedIn };
+}
+
+/**
+ * Headline numbers of each event side by side: attendees, duplicates,
+ * check-ins, feedback, average rating and top interests. Counted the same way
+ * as the dashboard.
+ */
+async function compareEvents(events) {
+    const ids = events.map(event => event._id);
+
+    const [registrations, feedback, interests] = await Promise.all([
+        Registration.aggregate([
+            { $match: { ...Registration.ACTIVE, event: { $in: ids } } },
+            {
+                $group: {
+                    _id: '$event',
+                    attendees: { $sum: { $cond: [{ $ifNull: ['$duplicateOf', false] }, 0, 1] } },
+                    duplicates: { $sum: { $cond: [{ $ifNull: ['$duplicateOf', false] }, 1, 0] } },
+                    checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } },
+                    consenting: { $sum: { $cond: ['$consent', 1, 0] } }
+                }
+            }
+        ]),
+        Feedback.aggregate([
+            { $match: { ...Feedback.VISIBLE, event: { $in: ids } } },
+            { $group: { _id: '$event', responses: { $sum: 1 }, averageRating: { $avg: '$rating' } } }
+        ]),
+        Registration.aggregate([
+            { $match: { ...Registration.ACTIVE, duplicateOf: null, event: { $in: ids } } },
+            { $unwind: '$interests' },
+            { $group: { _id: { event: '$event', interest: '$interests' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, '_id.interest': 1 } }
+        ])
+    ]);
+
+    const byEvent = rows => new Map(rows.map(row => [String(row._id), row]));
+    const registrationRows = byEvent(registrations);
+    const feedbackRows = byEvent(feedback);
+
+    return events.map(event => {
+        const id = String(event._id);
+        const reg = registrationRows.get(id) || {};
+        const fb = feedbackRows.get(id) || {};
+        const attendees = reg.attendees || 0;
+        return {
+            _id: event._id,
+            slug: event.slug,
+            name: event.name,
+            startsAt: event.startsAt,
+            endsAt: event.endsAt,
+            attendees,
+            duplicates: reg.duplicates || 0,
+            checkedIn: reg.checkedIn || 0,
+            checkInRate: attendees ? Math.min(Math.round(((reg.checkedIn || 0) / attendees) * 100), 100) : 0,
+            consenting: reg.consenting || 0,
+            feedback: fb.responses || 0,
+            averageRating: typeof fb.averageRating === 'number' ? Math.round(fb.averageRating * 100) / 100 : null,
+            topInterests: interests
+                .filter(row => String(row._id.event) === id)
+                .slice(0, 3)
+                .map(row => ({ interest: row._id.interest, count: row.count }))
+        };
+    });
+}
+
+module.exports = {
+    TIMEZONE,
+    feedbackAnalytics,
+    keywordFrequencies,
+    registrationAnalytics,
+    dashboardStats,
+    compareEvents
+};
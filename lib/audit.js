@@ -0,0 +1,109 @@
+// Writes AuditLog entries for admin actions and reads them back for the
+// superadmin audit page. Failing to write an entry is logged but never fails
+// the request it describes.
+//
+// Actions are named "<subject>.<verb>", e.g. admin.login, registrations.search,
+// registrations.export, privacy.erase.
+
+const AuditLog = require('../models/AuditLog');
+const { escapeRegex, toList, buildDateRange } = require('./registrationQuery');
+
+// Entries older than this are pruned (see pruneAuditLog)
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Stands in for search terms that named an erased attendee
+const REDACTED = '[erased]';
+
+/**
+ * Records an action by the admin on req. actor overrides req.admin for
+ * actions taken before a session exists (login); it may be missing, e.g.
+ * for a failed login. params should describe the request, never hold secrets.
+ */
+async function recordAudit(req, action, { actor = req.admin, target, params } = {}) {
+    try {
+        await AuditLog.create({
+            action,
+            actor: actor ? actor._id : undefined,
+            actorEmail: actor ? actor.email : undefined,
+            ip: req.ip,
+            target,
+            params
+        });
+    } catch (err) {
+        console.error('❌ Audit log error:', action, err);
+    }
+}
+
+// Query-string parameters worth keeping: blank values and paging are left out
+function describeQuery(query = {}) {
+    const params = {};
+    Object.entries(query).forEach(([key, value]) => {
+        if (value === undefined || value === '' || ['page', 'limit'].includes(key)) return;
+        params[key] = value;
+    });
+    return params;
+}
+
+/**
+ * Replaces the search terms kept in params (see describeQuery) for which
+ * isSubject(term) is true, for erasure requests. Resolves with how many
+ * entries were redacted.
+ */
+async function redactAuditSearches(isSubject) {
+    const entries = await AuditLog.find({ 'params.search': { $exists: true, $ne: REDACTED } })
+        .select('params.search')
+        .lean();
+    const ids = entries.filter(entry => isSubject(String(entry.params.search))).map(entry => entry._id);
+    if (!ids.length) return 0;
+
+    const result = await AuditLog.updateMany({ _id: { $in: ids } }, { $set: { 'params.search': REDACTED } });
+    return result.modifiedCount;
+}
+
+// ?action=a,b&actor=&target=&from=&to= -> MongoDB filter
+function buildAuditFilter(query = {}) {
+    const filter = {};
+
+    const actions = toList(query.action);
+    if (actions.length) filter.action = { $in: actions };
+
+    const actor = String(query.actor || '').trim().slice(0, 100);
+    if (actor) filter.actorEmail = new RegExp(escapeRegex(actor), 'i');
+
+    const target = String(query.target || '').trim().slice(0, 100);
+    if (target) filter.target = new RegExp(escapeRegex(target), 'i');
+
+    const dateRange = buildDateRange(query);
+    if (dateRange) filter.timestamp = dateRange;
+
+    return filter;
+}
+
+// Deletes entries older than the retention period; resolves with the count
+async function pruneAuditLog(retentionDays = RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await AuditLog.deleteMany({ timestamp: { $lt: cutoff } });
+    return result.deletedCount;
+}
+
+// Prunes now and then once a day for as long as the process runs
+function scheduleAuditPruning() {
+    const prune = () => pruneAuditLog()
+        .then(count => {
+            if (count) console.log(`🧹 Pruned ${count} audit log entries older than ${RETENTION_DAYS} days`);
+        })
+        .catch(err => console.error('❌ Audit log pruning error:', err));
+
+    prune();
+    setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    recordAudit,
+    describeQuery,
+    redactAuditSearches,
+    buildAuditFilter,
+    pruneAuditLog,
+    scheduleAuditPruning
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Check-in codes avoid look-alike characters (0/O, 1/I/L) so they can be typed at the desk
+const CHECKIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CHECKIN_CODE_LENGTH = 8;
+const CHECKIN_CODE_PATTERN = new RegExp(`^[${CHECKIN_CODE_ALPHABET}]{${CHECKIN_CODE_LENGTH}}$`);
+
+function generateCheckInCode() {
+    const bytes = crypto.randomBytes(CHECKIN_CODE_LENGTH);
+    return Array.from(bytes, b => CHECKIN_CODE_ALPHABET[b % CHECKIN_CODE_ALPHABET.length]).join('');
+}
+
+function normalizeCheckInCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+module.exports = {
+    CHECKIN_CODE_PATTERN,
+    generateCheckInCode,
+    normalizeCheckInCode
+};
@@ -0,0 +1,59 @@
+// Consent records kept for NDPR/NDPA. Every registration stores one entry per
+// purpose with the version of the wording the attendee saw, so we can show
+// what was agreed to and when. Changes (e.g. a withdrawal) are appended, and
+// the latest entry for a purpose is the one in force.
+//
+// The top-level `consent` boolean mirrors the marketing entry; exports and the
+// admin filters still use it.
+
+// Bump CONSENT_VERSION whenever the consent wording on registration.html changes
+const CONSENT_VERSION = process.env.CONSENT_VERSION || '2025-09-v1';
+
+const CONSENT_PURPOSES = {
+    event: 'Updates about this event (schedule changes, badge and feedback reminders)',
+    marketing: 'MTN contacting me about products & services'
+};
+
+function consentRecord(purpose, granted, { source, version = CONSENT_VERSION, recordedAt = new Date() }) {
+    return { purpose, granted: Boolean(granted), version, source, recordedAt };
+}
+
+/**
+ * Turns the attendee's choices into consent records on data (a validated
+ * registration payload). `consentMarketing` falls back to the legacy
+ * `consent` flag sent by older kiosks and imports.
+ */
+function applyConsent(data, options) {
+    const marketing = data.consentMarketing !== undefined ? data.consentMarketing : Boolean(data.consent);
+    const event = Boolean(data.consentEvent);
+
+    delete data.consentEvent;
+    delete data.consentMarketing;
+
+    data.consent = marketing;
+    data.consents = [
+        consentRecord('event', event, options),
+        consentRecord('marketing', marketing, options)
+    ];
+    return data;
+}
+
+// The entry in force for each purpose: { event: {...}, marketing: {...} }
+function currentConsents(registration) {
+    const current = {};
+    (registration.consents || []).forEach(record => {
+        const existing = current[record.purpose];
+        if (!existing || new Date(record.recordedAt) >= new Date(existing.recordedAt)) {
+            current[record.purpose] = record;
+        }
+    });
+    return current;
+}
+
+module.exports = {
+    CONSENT_VERSION,
+    CONSENT_PURPOSES,
+    consentRecord,
+    applyConsent,
+    currentConsents
+};
@@ -0,0 +1,251 @@
+// Duplicate-attendee detection and merging.
+//
+// DUPLICATE_POLICY decides what happens when a new registration matches an
+// existing attendee:
+//   link   (default) save it, but point duplicateOf at the existing record
+//   reject refuse the registration with a 409
+//   allow  no detection at all
+// DUPLICATE_MATCH_FIELDS lists what counts as a match: "email,phone" (default),
+// "email" or "phone".
+//
+// Only registrations for the same event are duplicates: an attendee who comes
+// back for next year's expo registers afresh.
+
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const { normalizeEmail, normalizeNigerianPhone } = require('./identity');
+const { mergeLeads, syncLeads } = require('./leads');
+
+const DUPLICATE_POLICIES = ['allow', 'link', 'reject'];
+const DUPLICATE_POLICY = DUPLICATE_POLICIES.includes(process.env.DUPLICATE_POLICY)
+    ? process.env.DUPLICATE_POLICY
+    : 'link';
+
+const KEY_FIELDS = { email: 'emailKey', phone: 'phoneKey' };
+const MATCH_FIELDS = (process.env.DUPLICATE_MATCH_FIELDS || 'email,phone')
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => KEY_FIELDS[field]);
+
+// Fields copied from a duplicate when the kept record has them blank
+const FILL_FIELDS = ['phone', 'location', 'gender', 'channel'];
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function identityConditions({ email, phone }) {
+    const conditions = [];
+    const emailKey = normalizeEmail(email);
+    const phoneKey = normalizeNigerianPhone(phone);
+
+    if (MATCH_FIELDS.includes('email') && emailKey) conditions.push({ emailKey });
+    if (MATCH_FIELDS.includes('phone') && phoneKey) conditions.push({ phoneKey });
+    return conditions;
+}
+
+// The earliest original registration for data.event matching this email/phone, if any
+async function findExistingAttendee(data) {
+    if (DUPLICATE_POLICY === 'allow') return null;
+
+    const conditions = identityConditions(data);
+    if (!conditions.length) return null;
+
+    return Registration.findOne({ $or: conditions, event: data.event, duplicateOf: null, ...Registration.ACTIVE })
+        .sort({ timestamp: 1 })
+        .lean();
+}
+
+// Registrations saved before duplicate detection existed have no keys yet
+async function backfillIdentityKeys() {
+    const missing = await Registration.find({ emailKey: { $exists: false } });
+    for (const registration of missing) {
+        registration.refreshIdentityKeys();
+        await registration.save();
+    }
+    return missing.length;
+}
+
+/**
+ * Groups registrations for the same event that share a normalised email or
+ * phone (or were linked at registration time). Overlapping matches end up in
+ * one group. scope narrows the search (e.g. { event: id }).
+ * Resolves with [{ matchedOn, registrations: [...] }], newest activity first.
+ */
+async function findDuplicateGroups({ limit = 100, scope = {} } = {}) {
+    const parent = new Map();
+    const matchedOn = new Map();
+
+    const find = id => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    const union = (a, b) => {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(find(a), find(b));
+    };
+    const note = (ids, field) => ids.forEach(id => {
+        matchedOn.set(id, new Set([...(matchedOn.get(id) || []), field]));
+    });
+
+    for (const field of MATCH_FIELDS) {
+        const key = KEY_FIELDS[field];
+        const clusters = await Registration.aggregate([
+            { $match: { [key]: { $type: 'string' }, ...Registration.ACTIVE, ...scope } },
+            { $group: { _id: { key: `$${key}`, event: '$event' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ]);
+
+        clusters.forEach(cluster => {
+            const ids = cluster.ids.map(String);
+            ids.slice(1).forEach(id => union(ids[0], id));
+            note(ids, field);
+        });
+    }
+
+    const linked = await Registration.find(
+        { duplicateOf: { $ne: null }, ...Registration.ACTIVE, ...scope },
+        { duplicateOf: 1 }
+    ).lean();
+    linked.forEach(reg => {
+        union(String(reg._id), String(reg.duplicateOf));
+        note([String(reg._id), String(reg.duplicateOf)], 'linked');
+    });
+
+    if (!parent.size) return [];
+
+    const registrations = await Registration.find({ _id: { $in: [...parent.keys()] }, ...Registration.ACTIVE })
+        .sort({ timestamp: 1 })
+        .lean();
+
+    const feedbackCounts = await Feedback.aggregate([
+        { $match: { registrationId: { $in: registrations.map(r => r._id) } } },
+        { $group: { _id: '$registrationId', count: { $sum: 1 } } }
+    ]);
+    const feedbackById = new Map(feedbackCounts.map(f => [String(f._id), f.count]));
+
+    const groups = new Map();
+    registrations.forEach(reg => {
+        const id = String(reg._id);
+        const root = find(id);
+        if (!groups.has(root)) groups.set(root, { matchedOn: new Set(), registrations: [] });
+
+        const group = groups.get(root);
+        (matchedOn.get(id) || []).forEach(field => group.matchedOn.add(field));
+        group.registrations.push({ ...reg, feedbackCount: feedbackById.get(id) || 0 });
+    });
+
+    return [...groups.values()]
+        .filter(group => group.registrations.length > 1)
+        .map(group => ({
+            matchedOn: [...group.matchedOn],
+            latest: group.registrations[group.registrations.length - 1].timestamp,
+            registrations: group.registrations
+        }))
+        .sort((a, b) => new Date(b.latest) - new Date(a.latest))
+        .slice(0, limit);
+}
+
+// An attendee keeps one live answer (see models/Feedback.js): the earliest
+// stays and later ones are soft-deleted, a millisecond apart as deletedAt is
+// part of the unique key
+async function keepFirstAnswer(registrationIds, admin, mergedAt) {
+    const later = (await Feedback.find({ registrationId: { $in: registrationIds }, deletedAt: null })
+        .sort({ timestamp: 1 })
+        .select('_id')
+        .lean()).slice(1);
+
+    for (const [index, feedback] of later.entries()) {
+        await Feedback.updateOne({ _id: feedback._id }, {
+            $set: { deletedAt: new Date(mergedAt.getTime() + index), deletedBy: admin && admin._id }
+        });
+    }
+}
+
+/**
+ * Merges duplicateIds into primaryId: interests are combined, blank fields
+ * filled in, feedback re-pointed (see keepFirstAnswer) and the duplicates'
+ * badge codes kept as aliases. The duplicates are removed once the primary
+ * has been saved, so a failure part-way never loses data.
+ */
+async function mergeRegistrations(primaryId, duplicateIds, admin) {
+    const ids = [...new Set((duplicateIds || []).map(String))].filter(id => id !== String(primaryId));
+    if (!ids.length) throw httpError(400, 'Select at least one duplicate to merge');
+
+    const primary = await Registration.findById(primaryId);
+    if (!primary) throw httpError(404, 'Registration to keep was not found');
+    if (primary.deletedAt) throw httpError(409, 'Restore the registration to keep before merging into it');
+
+    const duplicates = await Registration.find({ _id: { $in: ids } }).sort({ timestamp: 1 });
+    if (duplicates.length !== ids.length) throw httpError(404, 'Some duplicates were not found');
+    // Merging would copy personal data onto, or from, an anonymised record
+    if ([primary, ...duplicates].some(r => r.erasedAt)) {
+        throw httpError(409, 'Registrations whose data was erased cannot be merged');
+    }
+    if (duplicates.some(dup => String(dup.event) !== String(primary.event))) {
+        throw httpError(400, 'Only registrations for the same event can be merged');
+    }
+
+    const records = [primary, ...duplicates];
+    const newest = records.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+    const mergedAt = new Date();
+
+    primary.interests = [...new Set(records.flatMap(r => r.interests || []))];
+    primary.otherInterest = [...new Set(records.map(r => r.otherInterest).filter(Boolean))].join('; ');
+    // The attendee's most recent answer wins; the full consent history is kept
+    primary.consent = newest.consent;
+    primary.consents = records
+        .flatMap(r => r.consents || [])
+        .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+    duplicates.forEach(dup => {
+        FILL_FIELDS.forEach(field => {
+            if (!primary[field] && dup[field]) primary[field] = dup[field];
+        });
+
+        // Keep the earliest check-in
+        if (dup.checkedInAt && (!primary.checkedInAt || dup.checkedInAt < primary.checkedInAt)) {
+            primary.checkedInAt = dup.checkedInAt;
+            primary.checkInLocation = dup.checkInLocation;
+            primary.checkedInBy = dup.checkedInBy;
+        }
+
+        primary.aliasCheckInCodes.push(...[dup.checkInCode, ...(dup.aliasCheckInCodes || [])].filter(Boolean));
+        primary.mergedFrom.push({
+            registrationId: dup._id,
+            firstName: dup.firstName,
+            lastName: dup.lastName,
+            email: dup.email,
+            phone: dup.phone,
+            checkInCode: dup.checkInCode,
+            timestamp: dup.timestamp,
+            mergedAt,
+            mergedBy: admin && admin._id
+        }, ...(dup.mergedFrom || []));
+    });
+
+    primary.duplicateOf = undefined;
+    await primary.save();
+
+    await keepFirstAnswer([primary._id, ...duplicates.map(dup => dup._id)], admin, mergedAt);
+    await Feedback.updateMany({ registrationId: { $in: ids } }, { $set: { registrationId: primary._id } });
+    await mergeLeads(primary._id, ids);
+    // The combined interests may route the attendee to more teams
+    await syncLeads(primary);
+    await Registration.updateMany({ duplicateOf: { $in: ids } }, { $set: { duplicateOf: primary._id } });
+    await Registration.deleteMany({ _id: { $in: ids } });
+
+    return primary;
+}
+
+module.exports = {
+    DUPLICATE_POLICY,
+    MATCH_FIELDS,
+    findExistingAttendee,
+    backfillIdentityKeys,
+    findDuplicateGroups,
+    mergeRegistrations
+};
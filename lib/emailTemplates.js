@@ -0,0 +1,112 @@
+// Email templates. Each returns { subject, text, html }; values from the
+// attendee (and the event name, set by admins) are escaped before they go
+// into the HTML.
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Shared frame in the kiosk's MTN yellow
+function layout(title, body, eventName) {
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,sans-serif;color:#000;">
+    <div style="max-width:560px;margin:0 auto;padding:24px;">
+        <div style="background:#ffcc00;border-radius:16px;padding:30px;">
+            <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+            ${body}
+        </div>
+        <p style="font-size:12px;color:#666;text-align:center;">MTN Nigeria · ${escapeHtml(eventName)}</p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Sent after registering. The badge QR code is attached inline as cid:badge
+ * by the caller; feedbackUrl is the attendee's own feedback link, left out
+ * when there is none (no PUBLIC_BASE_URL).
+ */
+function registrationConfirmation({ registration, eventName, feedbackUrl }) {
+    const interests = (registration.interests || []).concat(registration.otherInterest || []);
+    const interestText = interests.length ? interests.join(', ') : 'Not specified';
+
+    const text = [
+        `Hi ${registration.firstName},`,
+        '',
+        `Thank you for registering for MTN at ${eventName}.`,
+        '',
+        `Your check-in code: ${registration.checkInCode}`,
+        'Show this code (or the QR code in this email) at the MTN stand to check in.',
+        '',
+        `Your areas of interest: ${interestText}`,
+        ...(feedbackUrl ? ['', `After your visit, tell us how we did: ${feedbackUrl}`] : [])
+    ].join('\n');
+    const feedbackLink = feedbackUrl
+        ? `
+            <p>After your visit, <a href="${escapeHtml(feedbackUrl)}">tell us how we did</a>.</p>`
+        : '';
+
+    const html = layout(`Welcome, ${registration.firstName}!`, `
+            <p>Thank you for registering for MTN at ${escapeHtml(eventName)}.</p>
+            <div style="background:#fff;border-radius:12px;padding:20px;text-align:center;">
+                <img src="cid:badge" alt="Check-in QR code" width="200" height="200">
+                <div style="font-family:monospace;font-size:24px;font-weight:bold;letter-spacing:4px;">
+                    ${escapeHtml(registration.checkInCode)}
+                </div>
+                <div style="font-size:14px;color:#666;">Show this code at the MTN stand to check in</div>
+            </div>
+            <p><strong>Your areas of interest:</strong> ${escapeHtml(interestText)}</p>${feedbackLink}`, eventName);
+
+    return { subject: `Your ${eventName} check-in code: ${registration.checkInCode}`, text, html };
+}
+
+// Sent after an attendee gives feedback through their feedback link
+function feedbackThankYou({ registration, eventName, feedback }) {
+    const lowRating = feedback.rating && feedback.rating <= 2;
+    const followUp = lowRating
+        ? 'We are sorry your visit did not go as well as it should have. A member of our team will be in touch.'
+        : 'We will use it to make your next visit even better.';
+
+    const text = [
+        `Hi ${registration.firstName},`,
+        '',
+        'Thank you for your feedback on the MTN stand.',
+        followUp
+    ].join('\n');
+
+    const html = layout(`Thank you, ${registration.firstName}!`, `
+            <p>Thank you for your feedback on the MTN stand.</p>
+            <p>${escapeHtml(followUp)}</p>`, eventName);
+
+    return { subject: `Thank you for your feedback - MTN at ${eventName}`, text, html };
+}
+
+// Sent after the event to checked-in attendees who have not given feedback yet
+function feedbackInvitation({ registration, eventName, feedbackUrl }) {
+    const text = [
+        `Hi ${registration.firstName},`,
+        '',
+        `Thank you for visiting the MTN stand at ${eventName}.`,
+        'Tell us how we did - it takes less than a minute:',
+        feedbackUrl
+    ].join('\n');
+
+    const html = layout(`How did we do, ${registration.firstName}?`, `
+            <p>Thank you for visiting the MTN stand at ${escapeHtml(eventName)}.</p>
+            <p><a href="${escapeHtml(feedbackUrl)}">Tell us how we did</a> - it takes less than a minute.</p>`, eventName);
+
+    return { subject: `How was your visit to MTN at ${eventName}?`, text, html };
+}
+
+module.exports = {
+    escapeHtml,
+    registrationConfirmation,
+    feedbackThankYou,
+    feedbackInvitation
+};
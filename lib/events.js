@@ -0,0 +1,66 @@
+// Events (expos or booths) the kiosk runs for. Public pages name theirs with
+// ?event=<slug>; without one they get DEFAULT_EVENT_SLUG, which is created on
+// start-up from the original GITEX Nigeria set-up so existing kiosks keep
+// working. Admin requests are scoped to one event by middleware/eventScope.js.
+
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+
+const DEFAULT_EVENT_SLUG = process.env.DEFAULT_EVENT_SLUG || 'gitex-nigeria';
+
+// Used for records from before events existed
+const DEFAULT_EVENT_NAME = 'GITEX Nigeria';
+
+const DEFAULT_EVENT = {
+    slug: DEFAULT_EVENT_SLUG,
+    name: DEFAULT_EVENT_NAME,
+    branding: { welcomeText: `Welcome to ${DEFAULT_EVENT_NAME}` },
+    interests: Registration.INTERESTS,
+    questions: []
+};
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Creates the default event if it is missing and assigns it to registrations
+ * and feedback saved before events existed. Resolves with how many records
+ * were assigned.
+ */
+async function ensureDefaultEvent() {
+    const event = await Event.findOneAndUpdate(
+        { slug: DEFAULT_EVENT_SLUG },
+        { $setOnInsert: DEFAULT_EVENT },
+        { upsert: true, new: true }
+    );
+
+    const [registrations, feedback] = await Promise.all([
+        Registration.updateMany({ event: null }, { $set: { event: event._id } }),
+        Feedback.updateMany({ event: null }, { $set: { event: event._id } })
+    ]);
+    return registrations.modifiedCount + feedback.modifiedCount;
+}
+
+/**
+ * The active event with this slug (the default event when slug is blank).
+ * Rejects with a 404 for unknown or inactive events.
+ */
+async function findActiveEvent(slug) {
+    const event = await Event.findOne({
+        slug: String(slug || DEFAULT_EVENT_SLUG).toLowerCase().trim(),
+        active: true
+    });
+    if (!event) throw httpError(404, 'This event was not found or has ended');
+    return event;
+}
+
+module.exports = {
+    DEFAULT_EVENT_SLUG,
+    DEFAULT_EVENT_NAME,
+    ensureDefaultEvent,
+    findActiveEvent
+};
@@ -0,0 +1,184 @@
+// Streams query results to the response as CSV or XLSX.
+// Rows are read from a Mongoose cursor one at a time so large exports
+// never sit in memory. A download the client cancels stops the export and
+// closes the cursor; the export rejects with an error marked aborted.
+
+const ExcelJS = require('exceljs');
+const Feedback = require('../models/Feedback');
+const { DEFAULT_LOCALE, LOCALE_NAMES } = require('./i18n');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Cursors populate event with its name
+const eventName = doc => (doc.event && doc.event.name) || '';
+
+// Kiosk language; records from before it was kept were English
+const languageName = doc => LOCALE_NAMES[doc.locale || DEFAULT_LOCALE] || doc.locale;
+
+// Answers to the event's own form fields, "key: answer; key: a, b"
+function formatAnswers(answers) {
+    return Object.entries(answers || {})
+        .map(([key, answer]) => `${key}: ${Array.isArray(answer) ? answer.join(', ') : answer}`)
+        .join('; ');
+}
+
+const registrationColumns = [
+    { header: 'Event', value: eventName },
+    { header: 'First Name', value: r => r.firstName },
+    { header: 'Last Name', value: r => r.lastName },
+    { header: 'Email', value: r => r.email },
+    { header: 'Phone', value: r => r.phone },
+    { header: 'Gender', value: r => r.gender },
+    { header: 'Location', value: r => r.location },
+    { header: 'Registration Channel', value: r => r.channel },
+    { header: 'Areas of Interest', value: r => (r.interests || []).join('; ') },
+    { header: 'Other Interest', value: r => r.otherInterest },
+    { header: 'Answers', value: r => formatAnswers(r.answers) },
+    { header: 'Language', value: languageName },
+    { header: 'Consent', value: r => (r.consent ? 'Yes' : 'No') },
+    { header: 'Registered At', value: r => r.timestamp },
+    { header: 'Checked In At', value: r => r.checkedInAt },
+    { header: 'Check-in Location', value: r => r.checkInLocation }
+];
+
+const feedbackColumns = [
+    { header: 'Event', value: eventName },
+    { header: 'Submitted At', value: f => f.timestamp },
+    { header: 'Rating', value: f => f.rating },
+    { header: Feedback.QUESTIONS.feedback1, value: f => f.feedback1 },
+    { header: Feedback.QUESTIONS.feedback2, value: f => f.feedback2 },
+    { header: 'Answers', value: f => formatAnswers(f.answers) },
+    { header: 'Language', value: languageName },
+    { header: 'Registration ID', value: f => (f.registrationId ? String(f.registrationId) : '') }
+];
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+// Quote fields for CSV and neutralise spreadsheet formulas
+// (a cell starting with = + - @ would otherwise be executed by Excel)
+function csvCell(value) {
+    let text = formatValue(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
+
+// Thrown when the client goes away mid-export
+function exportAborted() {
+    const error = new Error('Client closed the connection during export');
+    error.aborted = true;
+    return error;
+}
+
+// Resolves once res takes writes again, rejects if it closes or fails first
+function waitForDrain(res) {
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onError);
+            callback(value);
+        };
+        const onDrain = () => settle(resolve);
+        const onClose = () => settle(reject, exportAborted());
+        const onError = error => settle(reject, error);
+
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+        res.on('error', onError);
+    });
+}
+
+// Rejects if res closes before the response is finished
+function waitForClose(res) {
+    return new Promise((resolve, reject) => {
+        res.once('close', () => {
+            if (!res.writableFinished) reject(exportAborted());
+        });
+    });
+}
+
+function checkConnected(res) {
+    if (res.destroyed) throw exportAborted();
+}
+
+async function streamCsv(res, columns, cursor, filename, progress) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+
+    // BOM so Excel opens UTF-8 names (e.g. "Bayobab – Fiber") correctly
+    res.write('\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n');
+
+    for await (const doc of cursor) {
+        checkConnected(res);
+        const line = columns.map(c => csvCell(c.value(doc))).join(',') + '\r\n';
+        const flushed = res.write(line);
+        progress.rows++;
+        if (!flushed) await waitForDrain(res);
+    }
+
+    checkConnected(res);
+    res.end();
+}
+
+// ExcelJS writes to res from its own zip stream, so backpressure and a
+// cancelled download are checked for after each row and while the workbook
+// is finished
+async function streamXlsx(res, columns, cursor, filename, sheetName, progress) {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(c => ({ header: c.header, width: Math.max(c.header.length + 2, 14) }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const doc of cursor) {
+        checkConnected(res);
+        sheet.addRow(columns.map(c => {
+            const value = c.value(doc);
+            return value instanceof Date ? value : formatValue(value);
+        })).commit();
+        progress.rows++;
+        if (res.writableNeedDrain) await waitForDrain(res);
+    }
+
+    checkConnected(res);
+    sheet.commit();
+    await Promise.race([workbook.commit(), waitForClose(res)]);
+}
+
+/**
+ * Writes the cursor in the requested format and resolves with the row
+ * count. On failure, including a cancelled download (error.aborted), the
+ * error carries the rows written so far as error.rows. The cursor is
+ * closed either way.
+ */
+async function streamExport(res, { format, columns, cursor, filename, sheetName }) {
+    const progress = { rows: 0 };
+    try {
+        if (format === 'xlsx') {
+            await streamXlsx(res, columns, cursor, filename, sheetName, progress);
+        } else {
+            await streamCsv(res, columns, cursor, filename, progress);
+        }
+        return progress.rows;
+    } catch (error) {
+        error.rows = progress.rows;
+        throw error;
+    } finally {
+        await cursor.close().catch(err => console.error('❌ Export cursor close error:', err));
+    }
+}
+
+module.exports = {
+    FORMATS,
+    registrationColumns,
+    feedbackColumns,
+    csvCell,
+    streamExport
+};
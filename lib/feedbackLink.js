@@ -0,0 +1,90 @@
+// Per-attendee feedback links. The success page, the check-in desk and
+// invitations sent after the event (lib/notifications.js) link to
+// feedback.html?t=<token>, where the token is signed (lib/signedToken.js) and
+// names the registration, so the feedback can be tied to the attendee and
+// each attendee answers only once (see the index in models/Feedback.js).
+
+const crypto = require('crypto');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const { encodeToken, decodeToken } = require('./signedToken');
+
+const LINK_TTL_DAYS = parseInt(process.env.FEEDBACK_LINK_TTL_DAYS, 10) || 60;
+
+// The public site, e.g. https://gitex.mtn.ng. Links in emails are only ever
+// built from it: the Host header of a request can be forged.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/$/, '');
+if (PUBLIC_BASE_URL && !/^https?:\/\/[^/\s]+/.test(PUBLIC_BASE_URL)) {
+    throw new Error(`PUBLIC_BASE_URL must be a web address such as https://gitex.mtn.ng, not "${PUBLIC_BASE_URL}"`);
+}
+if (!PUBLIC_BASE_URL) {
+    console.warn('⚠️ PUBLIC_BASE_URL not set - emails will be sent without feedback links');
+}
+
+// Links are sent after the event, so they need a secret that survives restarts
+let secret = process.env.FEEDBACK_LINK_SECRET || process.env.ADMIN_SESSION_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ FEEDBACK_LINK_SECRET not set - feedback links will stop working after a restart');
+}
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function signFeedbackToken(registration) {
+    const now = Math.floor(Date.now() / 1000);
+    return encodeToken({
+        purpose: 'feedback',
+        sub: String(registration._id),
+        iat: now,
+        exp: now + LINK_TTL_DAYS * 24 * 60 * 60
+    }, secret);
+}
+
+// Absolute link to feedback.html on base (PUBLIC_BASE_URL unless given), or
+// null when there is no base to link to
+function feedbackUrl(token, base = PUBLIC_BASE_URL) {
+    if (!base) return null;
+    return `${base.replace(/\/$/, '')}/feedback.html?t=${encodeURIComponent(token)}`;
+}
+
+// Only for links shown straight back to the requester (the check-in desk's
+// QR code), never for anything sent to someone else
+function requestOrigin(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * The attendee a feedback token was issued to, and whether they have already
+ * answered. Rejects with a 400 when the token is invalid or expired, or the
+ * registration has since been erased or deleted.
+ */
+async function resolveFeedbackToken(token) {
+    const claims = decodeToken(token, secret);
+    if (!claims || claims.purpose !== 'feedback') {
+        throw httpError(400, 'This feedback link is invalid or has expired');
+    }
+
+    const registration = await Registration.findById(claims.sub)
+        .select('firstName lastName email consent interests event erasedAt deletedAt')
+        .populate('event', 'slug')
+        .lean();
+    if (!registration || registration.erasedAt || registration.deletedAt) {
+        throw httpError(400, 'This feedback link is invalid or has expired');
+    }
+
+    const answered = Boolean(await Feedback.exists({ registrationId: registration._id, deletedAt: null }));
+    return { registration, answered };
+}
+
+module.exports = {
+    LINK_TTL_DAYS,
+    PUBLIC_BASE_URL,
+    signFeedbackToken,
+    feedbackUrl,
+    requestOrigin,
+    resolveFeedbackToken
+};
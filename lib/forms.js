@@ -0,0 +1,235 @@
+// Form definitions: the fields of each event's registration form and the
+// questions and rating of its feedback form. Superadmins edit them in
+// admin-forms.html; the kiosk pages render from them and the API validates
+// submissions against them (lib/validation.js).
+//
+// Built-in fields (BUILT_IN_FIELDS) are stored in their own Registration or
+// Feedback columns, which duplicates, SMS, leads, analytics and exports rely
+// on. They can be relabelled, given other options and limits, and apart
+// from the locked ones made optional or left out, but keep their type. Any
+// other field belongs to the event and is stored in answers under its key.
+//
+// An event's first form is made from the original kiosk pages (plus the
+// event's questions from before forms existed) when it is first needed.
+
+const Form = require('../models/Form');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const { isDuplicateKeyError } = require('./idempotency');
+
+// Ratings are always 1-5 so averages compare across events and form versions
+const RATING_POINTS = 5;
+const RATING_LABELS = ['Unsatisfied', 'Bad', 'Neutral', 'Good', 'Satisfied'];
+
+const MAX_FORM_FIELDS = 30;
+const MAX_INTEREST_PICKS = 5;
+// Longest answer to an event's own text fields
+const TEXT_MAX_LENGTH = { text: 500, textarea: 2000 };
+const CUSTOM_FIELD_TYPES = ['text', 'textarea', 'choice', 'multichoice', 'number'];
+
+// key -> type, the longest value its column takes and whether the form
+// must always ask for it (locked)
+const BUILT_IN_FIELDS = {
+    registration: {
+        firstName: { type: 'text', maxLength: 50, locked: true },
+        lastName: { type: 'text', maxLength: 50, locked: true },
+        email: { type: 'email', maxLength: 254, locked: true },
+        phone: { type: 'phone', maxLength: 20 },
+        location: { type: 'text', maxLength: 100 },
+        gender: { type: 'choice' },
+        channel: { type: 'choice' },
+        interests: { type: 'interests' },
+        otherInterest: { type: 'text', maxLength: 200 }
+    },
+    feedback: {
+        feedback1: { type: 'textarea', maxLength: 2000 },
+        feedback2: { type: 'textarea', maxLength: 2000 },
+        rating: { type: 'rating' }
+    }
+};
+
+// The kiosk pages as they were before forms could be edited
+function defaultFields(kind, event) {
+    if (kind === 'feedback') {
+        return [
+            { key: 'feedback1', label: Feedback.QUESTIONS.feedback1, type: 'textarea', max: 2000 },
+            { key: 'feedback2', label: Feedback.QUESTIONS.feedback2, type: 'textarea', max: 2000 },
+            { key: 'rating', label: 'Rate your experience today', type: 'rating', options: RATING_LABELS }
+        ];
+    }
+
+    const questions = ((event && event.questions) || []).map(question => ({
+        key: question.key,
+        label: question.label,
+        type: question.type === 'choice' ? 'choice' : 'text',
+        required: question.required,
+        options: question.type === 'choice' ? question.options : [],
+        max: question.type === 'choice' ? undefined : TEXT_MAX_LENGTH.text,
+        step: 2
+    }));
+
+    return [
+        {
+            key: 'firstName',
+            label: 'First Name',
+            type: 'text',
+            required: true,
+            placeholder: 'e.g., John',
+            max: 50,
+            step: 1
+        },
+        {
+            key: 'lastName',
+            label: 'Last Name',
+            type: 'text',
+            required: true,
+            placeholder: 'e.g., Okon',
+            max: 50,
+            step: 1
+        },
+        { key: 'gender', label: 'Gender', type: 'choice', required: true, options: Registration.GENDERS, step: 1 },
+        {
+            key: 'phone',
+            label: 'Phone Number',
+            type: 'phone',
+            required: true,
+            placeholder: 'e.g., 091 456 543 32',
+            max: 20,
+            step: 1
+        },
+        {
+            key: 'email',
+            label: 'Email',
+            type: 'email',
+            required: true,
+            placeholder: 'e.g., John@gmail.com',
+            max: 254,
+            step: 1
+        },
+        {
+            key: 'location',
+            label: 'Location',
+            type: 'text',
+            required: true,
+            placeholder: 'e.g., F.C.T., Abuja',
+            max: 100,
+            step: 1
+        },
+        {
+            key: 'channel',
+            label: 'Registration Channel',
+            type: 'choice',
+            required: true,
+            options: Registration.CHANNELS,
+            step: 1
+        },
+        { key: 'interests', label: 'Areas of Interest', type: 'interests', required: true, max: 2, step: 2 },
+        {
+            key: 'otherInterest',
+            label: 'Other (optional)',
+            type: 'text',
+            placeholder: 'e.g., Home broadband, Roaming/Int',
+            max: 200,
+            step: 2
+        },
+        ...questions
+    ];
+}
+
+async function latestForm(event, kind) {
+    return Form.findOne({ event: event._id, kind }).sort({ version: -1 }).lean();
+}
+
+/**
+ * The version of event's form (kind registration or feedback) in use,
+ * making the first one when the event has none yet.
+ */
+async function currentForm(event, kind) {
+    const form = await latestForm(event, kind);
+    if (form) return form;
+
+    try {
+        const form = await Form.create({ event: event._id, kind, version: 1, fields: defaultFields(kind, event) });
+        return form.toObject();
+    } catch (err) {
+        // Two kiosks asked at once; the other one made it
+        if (isDuplicateKeyError(err, 'version')) return latestForm(event, kind);
+        throw err;
+    }
+}
+
+/**
+ * The form a submission was filled in on: the version it names when that
+ * is one of event's, so a kiosk that was offline while the form changed can
+ * still send what it collected, otherwise the current version.
+ */
+async function submissionForm(event, kind, formId) {
+    const named = formId && /^[0-9a-fA-F]{24}$/.test(formId)
+        ? await Form.findOne({ _id: formId, event: event._id, kind }).lean()
+        : null;
+    return named || currentForm(event, kind);
+}
+
+/**
+ * Saves fields (checked by validateFormFields) as the next version of
+ * event's form. Resolves with the new version.
+ */
+async function saveForm(event, kind, fields, admin) {
+    const latest = await currentForm(event, kind);
+    const form = await Form.create({
+        event: event._id,
+        kind,
+        version: latest.version + 1,
+        fields,
+        createdBy: admin._id
+    });
+    return form.toObject();
+}
+
+// What the kiosk pages get; builtIn fields are sent by key, others in answers
+function publicForm(form) {
+    const builtIns = BUILT_IN_FIELDS[form.kind];
+    return {
+        id: form._id,
+        version: form.version,
+        fields: form.fields.map(field => ({ ...field, builtIn: Boolean(builtIns[field.key]) }))
+    };
+}
+
+async function kioskForms(event) {
+    const [registration, feedback] = await Promise.all([
+        currentForm(event, 'registration'),
+        currentForm(event, 'feedback')
+    ]);
+    return { registration: publicForm(registration), feedback: publicForm(feedback) };
+}
+
+/**
+ * [{ key, label, answer }] for a submission's answers, labelled by the
+ * form version it was filled in on; keys the form does not know (e.g.
+ * answers from before forms existed) are shown as they are.
+ */
+function labelAnswers(answers, form) {
+    const entries = answers instanceof Map ? [...answers.entries()] : Object.entries(answers || {});
+    const fields = (form && form.fields) || [];
+    return entries.map(([key, answer]) => {
+        const field = fields.find(f => f.key === key);
+        return { key, label: field ? field.label : key, answer: Array.isArray(answer) ? answer.join(', ') : answer };
+    });
+}
+
+module.exports = {
+    RATING_POINTS,
+    MAX_FORM_FIELDS,
+    MAX_INTEREST_PICKS,
+    TEXT_MAX_LENGTH,
+    CUSTOM_FIELD_TYPES,
+    BUILT_IN_FIELDS,
+    defaultFields,
+    currentForm,
+    submissionForm,
+    saveForm,
+    publicForm,
+    kioskForms,
+    labelAnswers
+};
@@ -0,0 +1,63 @@
+// Languages of the kiosk. The English text in the code and the pages is the
+// source; public/locales/<locale>.json maps each English string to its
+// translation and is shared with the kiosk (public/i18n.js), so a message
+// reads the same whether the page or the API produced it. Strings missing
+// from a bundle, and the admins' own form labels, stay as written.
+//
+// "{name}" in a string is replaced by the value of name.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALE = 'en';
+// Pidgin is "pcm" (ISO 639-3)
+const LOCALES = ['en', 'pcm', 'ha', 'yo', 'ig'];
+const LOCALE_NAMES = { en: 'English', pcm: 'Pidgin', ha: 'Hausa', yo: 'Yorùbá', ig: 'Igbo' };
+
+const BUNDLE_DIR = path.join(__dirname, '..', 'public', 'locales');
+
+// Read once at startup; English needs no bundle
+const bundles = {};
+LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+    try {
+        bundles[locale] = JSON.parse(fs.readFileSync(path.join(BUNDLE_DIR, `${locale}.json`), 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not load the ${locale} translations:`, error.message);
+        bundles[locale] = {};
+    }
+});
+
+function isLocale(value) {
+    return LOCALES.includes(value);
+}
+
+/**
+ * text (English) in locale, with its "{name}" placeholders filled from
+ * params. Unknown locales and untranslated strings give the English.
+ */
+function translate(locale, text, params = {}) {
+    const bundle = bundles[locale] || {};
+    const template = Object.prototype.hasOwnProperty.call(bundle, text) ? bundle[text] : text;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+// The language a kiosk submission was made in: the kiosk sends it as
+// body.locale; other clients get the best match of their Accept-Language
+function requestLocale(req) {
+    const sent = req.body && req.body.locale;
+    if (isLocale(sent)) return sent;
+
+    const accepted = String(req.headers['accept-language'] || '')
+        .split(',')
+        .map(part => part.split(';')[0].trim().toLowerCase().split('-')[0]);
+    return accepted.find(isLocale) || DEFAULT_LOCALE;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    LOCALE_NAMES,
+    isLocale,
+    translate,
+    requestLocale
+};
@@ -0,0 +1,23 @@
+// Idempotency keys let the kiosk replay a queued submission safely: the
+// client sends the same Idempotency-Key header every time it retries, and a
+// key the server has already stored returns the original result instead of
+// creating a second record.
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Returns the key, null when the header is absent, or false when it is malformed
+function getIdempotencyKey(req) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || key === '') return null;
+    return KEY_PATTERN.test(key) ? key : false;
+}
+
+// True for the unique-index violation raised when two retries race each other
+function isDuplicateKeyError(err, field = 'idempotencyKey') {
+    return Boolean(err && err.code === 11000 && err.keyPattern && err.keyPattern[field]);
+}
+
+module.exports = {
+    getIdempotencyKey,
+    isDuplicateKeyError
+};
@@ -0,0 +1,44 @@
+// Normalised forms of an attendee's email and phone number, used to spot
+// the same person registering twice ("Ada.Obi+gitex@Gmail.com" and
+// "adaobi@gmail.com", or "0816 947 9336" and "+2348169479336").
+
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+function normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    if (at < 1) return value || null;
+
+    let local = value.slice(0, at);
+    let domain = value.slice(at + 1);
+
+    // "name+tag@" delivers to "name@" on most providers
+    local = local.split('+')[0];
+
+    if (DOTLESS_DOMAINS.includes(domain)) {
+        local = local.replace(/\./g, '');
+        domain = 'gmail.com';
+    }
+
+    return `${local}@${domain}`;
+}
+
+// Returns the number in +234XXXXXXXXXX form, or null if it is not a
+// recognisable Nigerian mobile/landline number
+function normalizeNigerianPhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.startsWith('00234')) digits = digits.slice(2);
+    if (digits.startsWith('2340')) digits = '234' + digits.slice(4);
+
+    if (digits.length === 13 && digits.startsWith('234')) return `+${digits}`;
+    if (digits.length === 11 && digits.startsWith('0')) return `+234${digits.slice(1)}`;
+    if (digits.length === 10 && /^[789]/.test(digits)) return `+234${digits}`;
+
+    return null;
+}
+
+module.exports = {
+    normalizeEmail,
+    normalizeNigerianPhone
+};
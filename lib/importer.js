@@ -0,0 +1,247 @@
+// Imports registrations and feedback from legacy JSON/JSONL files and
+// paper walk-in CSVs. Every imported record gets an importKey so running the
+// same import twice never creates duplicates; rows that were already imported
+// are reported as skipped and invalid rows as rejected.
+
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const { validateRegistration, validateFeedback, hasErrors, summarizeErrors } = require('./validation');
+const { applyConsent } = require('./consent');
+
+// CSV headers are matched case- and punctuation-insensitively
+const CSV_HEADERS = {
+    firstname: 'firstName',
+    lastname: 'lastName',
+    fullname: 'fullName',
+    name: 'fullName',
+    email: 'email',
+    emailaddress: 'email',
+    phone: 'phone',
+    phonenumber: 'phone',
+    location: 'location',
+    gender: 'gender',
+    channel: 'channel',
+    registrationchannel: 'channel',
+    interests: 'interests',
+    areasofinterest: 'interests',
+    areaofinterest: 'interests',
+    otherinterest: 'otherInterest',
+    consent: 'consent',
+    timestamp: 'timestamp',
+    date: 'timestamp',
+    registeredat: 'timestamp'
+};
+
+const MODELS = {
+    registration: Registration,
+    feedback: Feedback
+};
+
+function detectKind(row) {
+    if (!row || typeof row !== 'object') return null;
+    if (row.email || row.firstName || row.lastName) return 'registration';
+    if (row.feedback1 !== undefined || row.feedback2 !== undefined || row.rating !== undefined) return 'feedback';
+    return null;
+}
+
+function toText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'y', '1'].includes(toText(value).toLowerCase());
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map(toText).filter(Boolean);
+    return toText(value).split(/[;|,]/).map(v => v.trim()).filter(Boolean);
+}
+
+// Returns undefined for blank values and null for unparseable ones
+function toDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function mapRegistration(row) {
+    let firstName = toText(row.firstName);
+    let lastName = toText(row.lastName);
+
+    // Paper forms often have a single "Full Name" column
+    if (!firstName && !lastName && row.fullName) {
+        const [first, ...rest] = toText(row.fullName).split(/\s+/);
+        firstName = first;
+        lastName = rest.join(' ');
+    }
+
+    return {
+        firstName,
+        lastName,
+        email: toText(row.email).toLowerCase(),
+        phone: toText(row.phone),
+        location: toText(row.location),
+        gender: toText(row.gender),
+        channel: toText(row.channel),
+        interests: toList(row.interests),
+        otherInterest: toText(row.otherInterest),
+        consent: toBoolean(row.consent),
+        timestamp: toDate(row.timestamp)
+    };
+}
+
+function mapFeedback(row) {
+    const rating = row.rating === undefined || row.rating === null || row.rating === ''
+        ? undefined
+        : Number(row.rating);
+
+    return {
+        feedback1: toText(row.feedback1),
+        feedback2: toText(row.feedback2),
+        rating,
+        timestamp: toDate(row.timestamp)
+    };
+}
+
+// Same rules as the public API, plus the legacy timestamp column.
+// Returns { value, reason }; reason is null for a valid row.
+function validateRow(kind, doc, event) {
+    const { value, errors } = kind === 'registration' ? validateRegistration(doc, event) : validateFeedback(doc);
+    if (doc.timestamp === null) errors.timestamp = 'Invalid timestamp';
+    if (doc.timestamp) value.timestamp = doc.timestamp;
+    return { value, reason: hasErrors(errors) ? summarizeErrors(errors) : null };
+}
+
+// Legacy rows carry a numeric id; rows without one (CSV) are keyed by content
+function buildImportKey(kind, row, doc, source) {
+    if (row.id !== undefined && row.id !== null && row.id !== '') {
+        return `legacy:${kind}:${row.id}`;
+    }
+    const hash = crypto.createHash('sha256').update(JSON.stringify(doc)).digest('hex').slice(0, 32);
+    return `${source}:${kind}:${hash}`;
+}
+
+/**
+ * Import rows into Registration/Feedback.
+ * kind: 'registration', 'feedback' or 'auto' (decided per row)
+ * rowOffset: added to the 0-based index when reporting row numbers
+ * defaults: values used for blank fields (e.g. { channel: 'Walk-in' })
+ * event: the Event the records belong to (interests are checked against it)
+ * Resolves with { source, total, inserted, skipped: [...], rejected: [...] }
+ */
+async function importRows(rows, {
+    kind = 'auto',
+    source = 'import',
+    dryRun = false,
+    rowOffset = 1,
+    defaults = {},
+    event = null
+} = {}) {
+    const report = { source, total: rows.length, inserted: 0, skipped: [], rejected: [] };
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i] && { ...rows[i] };
+        Object.keys(defaults).forEach(key => {
+            if (row && toText(row[key]) === '') row[key] = defaults[key];
+        });
+        const rowNumber = i + rowOffset;
+        const rowKind = kind === 'auto' ? detectKind(row) : kind;
+
+        if (!MODELS[rowKind]) {
+            report.rejected.push({ row: rowNumber, reason: 'Not a registration or feedback record' });
+            continue;
+        }
+
+        const mapped = rowKind === 'registration' ? mapRegistration(row) : mapFeedback(row);
+        const { value, reason } = validateRow(rowKind, mapped, event);
+        if (reason) {
+            report.rejected.push({ row: rowNumber, reason });
+            continue;
+        }
+
+        if (mapped.timestamp === undefined) delete mapped.timestamp;
+        const Model = MODELS[rowKind];
+        const importKey = buildImportKey(rowKind, row, mapped, source);
+        // The wording shown on paper forms and older kiosks is unknown
+        if (rowKind === 'registration') {
+            applyConsent(value, { source, version: 'legacy', recordedAt: value.timestamp || new Date() });
+        }
+        if (event) value.event = event._id;
+        const doc = new Model({ ...value, importKey });
+        // validateSync() does not run hooks, so set the duplicate-detection keys here
+        if (doc.refreshIdentityKeys) doc.refreshIdentityKeys();
+
+        const validationError = doc.validateSync();
+        if (validationError) {
+            report.rejected.push({ row: rowNumber, reason: validationError.message });
+            continue;
+        }
+
+        if (dryRun) {
+            if (await Model.exists({ importKey })) {
+                report.skipped.push({ row: rowNumber, reason: 'Already imported' });
+            } else {
+                report.inserted++;
+            }
+            continue;
+        }
+
+        // $setOnInsert leaves a record that was imported before untouched
+        const result = await Model.updateOne(
+            { importKey },
+            { $setOnInsert: doc.toObject() },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount) {
+            report.inserted++;
+        } else {
+            report.skipped.push({ row: rowNumber, reason: 'Already imported' });
+        }
+    }
+
+    return report;
+}
+
+// Parses CSV text into row objects using the CSV_HEADERS aliases
+function parseCsv(text) {
+    return parse(text, {
+        bom: true,
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        columns: headers => headers.map(header => {
+            const key = String(header).toLowerCase().replace(/[^a-z]/g, '');
+            return CSV_HEADERS[key] || header;
+        })
+    });
+}
+
+// Parses a legacy .json (array) or .jsonl (one object per line) file.
+// Unparseable JSONL lines come back as null so they are reported as rejected.
+function parseJson(text, filename) {
+    if (/\.jsonl$/i.test(filename)) {
+        return text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (err) {
+                    return null;
+                }
+            });
+    }
+
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+}
+
+module.exports = {
+    detectKind,
+    importRows,
+    parseCsv,
+    parseJson
+};
@@ -0,0 +1,105 @@
+// A small persistent job queue on MongoDB (models/Job.js) so slow work, such
+// as talking to a mail server, happens after the response has been sent.
+//
+// Handlers are registered per job type. A handler that throws is retried with
+// exponential backoff (JOB_RETRY_BASE_SECONDS, doubling) until maxAttempts,
+// after which the job is marked failed and kept for inspection. Errors with
+// `permanent` set fail the job straight away. Done jobs expire after
+// JOB_RETENTION_DAYS (see models/Job.js).
+
+const Job = require('../models/Job');
+
+const POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS, 10) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// How long a worker may hold a job before another one takes it over
+const LOCK_SECONDS = 5 * 60;
+
+const handlers = {};
+
+function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+async function enqueueJob(type, payload, { maxAttempts = MAX_ATTEMPTS, runAt = new Date() } = {}) {
+    return Job.create({ type, payload, maxAttempts, runAt });
+}
+
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+// Claims the next due job, including ones abandoned by a worker that died
+async function claimNextJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: Object.keys(handlers) },
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    try {
+        await handlers[job.type](job.payload, job);
+        job.status = 'done';
+        job.completedAt = new Date();
+        job.lastError = undefined;
+    } catch (err) {
+        job.lastError = err.message;
+        if (err.permanent || job.attempts >= job.maxAttempts) {
+            job.status = 'failed';
+            console.error(`❌ Job ${job.type} ${job._id} failed after ${job.attempts} attempts:`, err.message);
+        } else {
+            job.status = 'pending';
+            job.runAt = new Date(Date.now() + retryDelaySeconds(job.attempts) * 1000);
+            console.warn(`⚠️ Job ${job.type} ${job._id} attempt ${job.attempts} failed, retrying:`, err.message);
+        }
+    }
+    job.lockedUntil = undefined;
+    await job.save();
+}
+
+// Runs every due job; resolves with how many were run
+async function processDueJobs() {
+    let count = 0;
+    let job;
+    while ((job = await claimNextJob())) {
+        await runJob(job);
+        count++;
+    }
+    return count;
+}
+
+// Polls for due jobs for as long as the process runs
+function startJobWorker() {
+    let running = false;
+    const tick = () => {
+        if (running) return;
+        running = true;
+        processDueJobs()
+            .catch(err => console.error('❌ Job worker error:', err))
+            .finally(() => { running = false; });
+    };
+
+    tick();
+    setInterval(tick, POLL_SECONDS * 1000).unref();
+}
+
+module.exports = {
+    registerJobHandler,
+    enqueueJob,
+    retryDelaySeconds,
+    processDueJobs,
+    startJobWorker
+};
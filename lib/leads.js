@@ -0,0 +1,257 @@
+// Lead pipeline: every new attendee is routed to the product teams behind
+// their interests (models/LeadRule.js), one lead per team, and followed up
+// through Lead.STATUSES. Sales contact the attendee, so only registrations
+// with marketing consent are routed (as for SMS broadcasts); duplicates,
+// deleted and erased registrations are not. Interests without a rule are
+// left alone.
+//
+// Leads follow their registration: changed interests re-route it (see
+// syncLeads), and while it is deleted, erased or without marketing consent
+// its leads are withdrawn from the queues and the funnel.
+
+const Lead = require('../models/Lead');
+const LeadRule = require('../models/LeadRule');
+const Registration = require('../models/Registration');
+
+// Funnel stages and the statuses that mean a lead got at least that far
+const FUNNEL_STAGES = {
+    contacted: ['contacted', 'qualified', 'won'],
+    qualified: ['qualified', 'won']
+};
+
+function isRoutable(registration) {
+    return registration.consent === true &&
+        !registration.duplicateOf && !registration.deletedAt && !registration.erasedAt;
+}
+
+// { team: { interests, owner } } for the interests that have a rule
+function teamsFor(interests = [], rules) {
+    const teams = {};
+    interests.forEach(interest => {
+        const rule = rules.find(r => r.interest === interest);
+        if (!rule) return;
+        const team = teams[rule.team] || (teams[rule.team] = { interests: [], owner: null });
+        team.interests.push(interest);
+        if (!team.owner && rule.owner) team.owner = rule.owner;
+    });
+    return teams;
+}
+
+async function createLeads(registration, rules) {
+    if (!isRoutable(registration)) return 0;
+
+    let created = 0;
+    for (const [team, { interests, owner }] of Object.entries(teamsFor(registration.interests, rules))) {
+        // A lead that already exists (routed before) is left as it is
+        const result = await Lead.updateOne(
+            { registration: registration._id, team },
+            {
+                $setOnInsert: {
+                    event: registration.event,
+                    interests,
+                    owner: owner || undefined,
+                    status: 'new',
+                    history: [{ status: 'new', at: new Date() }]
+                }
+            },
+            { upsert: true }
+        );
+        created += result.upsertedCount;
+    }
+    return created;
+}
+
+/**
+ * Creates the leads for a new registration. Resolves with how many were
+ * created.
+ */
+async function routeRegistration(registration) {
+    const rules = await LeadRule.find({ interest: { $in: registration.interests || [] } }).lean();
+    return createLeads(registration, rules);
+}
+
+// Leads nobody has touched yet: new, unassigned and without notes
+function isUntouched(lead) {
+    return lead.status === 'new' && !lead.owner && !lead.notes.length;
+}
+
+/**
+ * Brings a registration's leads in line with it after an admin edit, a
+ * merge, a delete, a restore or a marketing consent change. A deleted or
+ * erased registration, or one without marketing consent, has its leads
+ * withdrawn. Otherwise they are restored and re-routed by its
+ * interests: routed leads get the interests now routed to their team, new
+ * teams get a lead, and leads of teams no longer routed to are removed
+ * unless someone has started on them. Resolves with { created, removed }.
+ */
+async function syncLeads(registration) {
+    if (!isRoutable(registration)) {
+        await withdrawLeads([registration._id]);
+        return { created: 0, removed: 0 };
+    }
+
+    await Lead.updateMany({ registration: registration._id }, { $unset: { withdrawnAt: 1 } });
+    const rules = await LeadRule.find({ interest: { $in: registration.interests || [] } }).lean();
+    const teams = teamsFor(registration.interests, rules);
+
+    let removed = 0;
+    for (const lead of await Lead.find({ registration: registration._id })) {
+        if (teams[lead.team]) {
+            lead.interests = teams[lead.team].interests;
+            if (lead.isModified('interests')) await lead.save();
+        } else if (isUntouched(lead)) {
+            await lead.deleteOne();
+            removed++;
+        }
+    }
+    return { created: await createLeads(registration, rules), removed };
+}
+
+// For registrations being deleted or erased, or withdrawing marketing consent
+async function withdrawLeads(registrationIds) {
+    await Lead.updateMany(
+        { registration: { $in: registrationIds }, ...Lead.ACTIVE },
+        { $set: { withdrawnAt: new Date() } }
+    );
+}
+
+/**
+ * Withdraws the leads of registrations deleted, erased, removed or without
+ * marketing consent that did not go through syncLeads (e.g. routed before
+ * consent was required). Resolves with how many were withdrawn.
+ */
+async function withdrawStaleLeads() {
+    const stale = await Lead.aggregate([
+        { $match: Lead.ACTIVE },
+        {
+            $lookup: {
+                from: Registration.collection.name,
+                localField: 'registration',
+                foreignField: '_id',
+                as: 'found'
+            }
+        },
+        {
+            $match: {
+                $or: [
+                    { found: { $size: 0 } },
+                    { 'found.deletedAt': { $ne: null } },
+                    { 'found.erasedAt': { $ne: null } },
+                    { 'found.consent': { $ne: true } }
+                ]
+            }
+        },
+        { $project: { _id: 1 } }
+    ]);
+    if (!stale.length) return 0;
+
+    const result = await Lead.updateMany(
+        { _id: { $in: stale.map(lead => lead._id) } },
+        { $set: { withdrawnAt: new Date() } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Routes registrations (within scope) that have no lead yet, e.g. ones from
+ * before a rule was added or loaded by an import. Resolves with
+ * { registrations, created }.
+ */
+async function routeUnroutedRegistrations(scope = {}) {
+    const rules = await LeadRule.find().lean();
+    const cursor = Registration.aggregate([
+        {
+            $match: {
+                ...Registration.ACTIVE,
+                ...scope,
+                consent: true,
+                duplicateOf: null,
+                erasedAt: null,
+                interests: { $in: rules.map(rule => rule.interest) }
+            }
+        },
+        { $lookup: { from: Lead.collection.name, localField: '_id', foreignField: 'registration', as: 'leads' } },
+        { $match: { leads: { $size: 0 } } },
+        { $project: { interests: 1, event: 1, consent: 1 } }
+    ]).cursor();
+
+    const result = { registrations: 0, created: 0 };
+    for await (const registration of cursor) {
+        result.registrations++;
+        result.created += await createLeads(registration, rules);
+    }
+    return result;
+}
+
+/**
+ * Moves the leads of merged duplicates onto the registration kept. Where
+ * the kept registration already has a lead for the team, the duplicate's
+ * notes are added to it and the duplicate's lead is removed.
+ */
+async function mergeLeads(primaryId, duplicateIds) {
+    const leads = await Lead.find({ registration: { $in: duplicateIds } });
+    for (const lead of leads) {
+        const existing = await Lead.findOne({ registration: primaryId, team: lead.team });
+        if (existing) {
+            existing.notes.push(...lead.notes);
+            existing.interests = [...new Set([...existing.interests, ...lead.interests])];
+            await existing.save();
+            await lead.deleteOne();
+        } else {
+            lead.registration = primaryId;
+            await lead.save();
+        }
+    }
+}
+
+/**
+ * Conversion funnel per interest: leads, how many reached contacted and
+ * qualified (from their history, so a lost lead still counts for the stages
+ * it got through), won, lost, still open, and the win rate (%).
+ */
+async function leadFunnel(scope = {}) {
+    const reached = statuses => ({
+        $sum: { $cond: [{ $gt: [{ $size: { $setIntersection: ['$reached', statuses] } }, 0] }, 1, 0] }
+    });
+
+    const rows = await Lead.aggregate([
+        { $match: { ...scope, ...Lead.ACTIVE } },
+        {
+            $project: {
+                interests: 1,
+                status: 1,
+                reached: { $concatArrays: [['$status'], { $ifNull: ['$history.status', []] }] }
+            }
+        },
+        { $unwind: '$interests' },
+        {
+            $group: {
+                _id: '$interests',
+                leads: { $sum: 1 },
+                contacted: reached(FUNNEL_STAGES.contacted),
+                qualified: reached(FUNNEL_STAGES.qualified),
+                won: { $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] } },
+                lost: { $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] } },
+                open: { $sum: { $cond: [{ $in: ['$status', Lead.OPEN_STATUSES] }, 1, 0] } }
+            }
+        },
+        { $sort: { leads: -1, _id: 1 } }
+    ]);
+
+    return rows.map(({ _id, ...counts }) => ({
+        interest: _id,
+        ...counts,
+        winRate: counts.leads ? Math.round((counts.won / counts.leads) * 100) : 0
+    }));
+}
+
+module.exports = {
+    FUNNEL_STAGES,
+    routeRegistration,
+    routeUnroutedRegistrations,
+    syncLeads,
+    withdrawLeads,
+    withdrawStaleLeads,
+    mergeLeads,
+    leadFunnel
+};
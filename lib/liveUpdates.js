@@ -0,0 +1,117 @@
+// Live updates for the admin dashboard (routes/live.js streams them as
+// Server-Sent Events). New registrations, feedback, check-ins and CSV
+// imports are published here after they are saved.
+//
+// The last LIVE_BUFFER_SIZE updates are kept in memory so a dashboard that
+// reconnects can catch up from the last id it saw. Ids start with this
+// process's boot id: after a restart, or when the dashboard was away for
+// longer than the buffer covers, it is told to reload instead. Updates are
+// not shared between processes, so run a single server process.
+
+const { EventEmitter } = require('events');
+const { labelAnswers } = require('./forms');
+
+const BUFFER_SIZE = parseInt(process.env.LIVE_BUFFER_SIZE, 10) || 500;
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+// One listener per open dashboard
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+
+function updateId(seq) {
+    return `${BOOT_ID}-${seq}`;
+}
+
+// Id of the newest update, sent to dashboards when they connect
+function latestUpdateId() {
+    return updateId(sequence);
+}
+
+/**
+ * Publishes an update to every open dashboard. type is registration,
+ * feedback, checkin or import; eventId is the event the record belongs to, so
+ * dashboards scoped to another event skip it.
+ */
+function publishLiveUpdate(type, eventId, data) {
+    sequence++;
+    const update = { id: updateId(sequence), seq: sequence, type, event: eventId ? String(eventId) : null, data };
+    buffer.push(update);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    emitter.emit('update', update);
+    return update;
+}
+
+/**
+ * Updates published after lastId, or null when they cannot all be replayed
+ * (unknown id, another process run, or older than the buffer).
+ */
+function updatesSince(lastId) {
+    const [boot, seqText] = String(lastId).split('-');
+    const seq = Number(seqText);
+    if (boot !== BOOT_ID || !Number.isInteger(seq) || seq > sequence) return null;
+
+    const oldest = buffer.length ? buffer[0].seq : sequence + 1;
+    if (seq < oldest - 1) return null;
+    return buffer.filter(update => update.seq > seq);
+}
+
+// Calls listener with each new update; returns a function that stops it
+function subscribeLiveUpdates(listener) {
+    emitter.on('update', listener);
+    return () => emitter.off('update', listener);
+}
+
+// Whether an update belongs to a dashboard's event scope (see middleware/eventScope.js)
+function inScope(update, scope = {}) {
+    return !scope.event || update.event === String(scope.event);
+}
+
+// The registration fields the dashboard lists
+function registrationSummary(registration) {
+    return {
+        _id: registration._id,
+        firstName: registration.firstName,
+        lastName: registration.lastName,
+        gender: registration.gender,
+        email: registration.email,
+        location: registration.location,
+        channel: registration.channel,
+        interests: registration.interests,
+        duplicateOf: registration.duplicateOf || null,
+        checkedInAt: registration.checkedInAt || null,
+        timestamp: registration.timestamp
+    };
+}
+
+// A feedback card as GET /api/admin/feedbacks lists it. Feedback given
+// through a feedback link names the attendee (registration); answers to the
+// event's own questions are labelled by form (the version answered).
+function feedbackSummary(feedback, registration, form = feedback.form) {
+    return {
+        name: registration ? `${registration.firstName} ${registration.lastName}` : 'Anonymous',
+        interests: registration ? registration.interests : [],
+        registrationId: registration ? registration._id : null,
+        text: feedback.feedback1 || feedback.feedback2 || 'No feedback text',
+        feedback1: feedback.feedback1 || '',
+        feedback2: feedback.feedback2 || '',
+        rating: feedback.rating,
+        answers: labelAnswers(feedback.answers, form),
+        moderation: feedback.moderation || 'visible',
+        deletedAt: feedback.deletedAt || null,
+        timestamp: feedback.timestamp,
+        _id: feedback._id
+    };
+}
+
+module.exports = {
+    latestUpdateId,
+    publishLiveUpdate,
+    updatesSince,
+    subscribeLiveUpdates,
+    inScope,
+    registrationSummary,
+    feedbackSummary
+};
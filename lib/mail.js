@@ -0,0 +1,99 @@
+// Outgoing email behind a pluggable transport, chosen with MAIL_TRANSPORT:
+//   smtp    nodemailer over SMTP_HOST/SMTP_PORT (SMTP_USER/SMTP_PASS, SMTP_SECURE)
+//   file    each message written as JSON to MAIL_SINK_DIR, for local development
+//   memory  messages kept in sentMail, for tests
+// The default is smtp when SMTP_HOST is set and file otherwise.
+//
+// A transport is { name, send(message) } where message has to, from,
+// subject, text, html and optional attachments ({ filename, content, cid,
+// contentType }), resolving with { messageId }.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MTN GITEX Nigeria <no-reply@mtn.ng>';
+const SINK_DIR = process.env.MAIL_SINK_DIR || path.join(os.tmpdir(), 'gitex-mail-sink');
+
+const sentMail = [];
+
+function smtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async message => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+function fileTransport() {
+    return {
+        name: 'file',
+        send: async message => {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const attachments = (message.attachments || []).map(a => ({
+                ...a,
+                content: Buffer.isBuffer(a.content) ? a.content.toString('base64') : a.content
+            }));
+            await fs.promises.mkdir(SINK_DIR, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(SINK_DIR, `${messageId}.json`),
+                JSON.stringify({ messageId, date: new Date().toISOString(), ...message, attachments }, null, 2)
+            );
+            return { messageId };
+        }
+    };
+}
+
+function memoryTransport() {
+    return {
+        name: 'memory',
+        send: async message => {
+            const messageId = `memory-${sentMail.length + 1}`;
+            sentMail.push({ messageId, ...message });
+            return { messageId };
+        }
+    };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, memory: memoryTransport };
+
+function createTransport(name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')) {
+    if (!TRANSPORTS[name]) {
+        throw new Error(`MAIL_TRANSPORT must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return TRANSPORTS[name]();
+}
+
+let transport = null;
+
+// Swaps the transport (e.g. a test using memoryTransport or its own stub)
+function setMailTransport(custom) {
+    transport = custom;
+}
+
+async function sendMail(message) {
+    if (!transport) {
+        transport = createTransport();
+        console.log(`✉️ Mail transport: ${transport.name}`);
+    }
+    return transport.send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+    MAIL_FROM,
+    sentMail,
+    createTransport,
+    setMailTransport,
+    sendMail
+};
@@ -0,0 +1,131 @@
+// Attendee notifications: a confirmation email and SMS (lib/smsMessages.js)
+// after registering, a feedback invitation after the event to checked-in
+// attendees who agreed to event updates, and a thank-you email after
+// feedback given through a feedback link. Requests only queue a job
+// (lib/jobQueue.js), so a slow or unreachable mail server or SMS gateway
+// never delays the kiosk; the worker sends it and retries on failure.
+//
+// Jobs carry the registration id rather than the address, so an attendee
+// erased before the email goes out is not contacted.
+
+const QRCode = require('qrcode');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const Event = require('../models/Event');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { sendMail } = require('./mail');
+const { registrationConfirmation, feedbackThankYou, feedbackInvitation } = require('./emailTemplates');
+const { PUBLIC_BASE_URL, signFeedbackToken, feedbackUrl } = require('./feedbackLink');
+const { queueRegistrationSms } = require('./smsMessages');
+const { DEFAULT_EVENT_NAME } = require('./events');
+const { currentConsents } = require('./consent');
+
+// Feedback invitations go out this long after the event ends, or after the
+// check-in for events without an end date
+const INVITE_DELAY_HOURS = parseInt(process.env.FEEDBACK_INVITE_DELAY_HOURS, 10) || 24;
+
+// Registrations that can no longer be emailed (erased, or deleted since)
+function canEmail(registration) {
+    return Boolean(registration && !registration.erasedAt && !registration.deletedAt && registration.email);
+}
+
+// Registrations are read with their event populated
+function eventNameOf(registration) {
+    return registration.event ? registration.event.name : DEFAULT_EVENT_NAME;
+}
+
+async function sendRegistrationConfirmation({ registrationId }) {
+    const registration = await Registration.findById(registrationId).populate('event', 'name').lean();
+    if (!canEmail(registration)) return;
+
+    const badge = await QRCode.toBuffer(registration.checkInCode, { type: 'png', margin: 1, width: 400 });
+    const link = feedbackUrl(signFeedbackToken(registration));
+
+    const { messageId } = await sendMail({
+        to: registration.email,
+        ...registrationConfirmation({ registration, eventName: eventNameOf(registration), feedbackUrl: link }),
+        attachments: [{ filename: 'badge.png', content: badge, cid: 'badge', contentType: 'image/png' }]
+    });
+    console.log('✉️ Registration confirmation sent:', registration._id, messageId);
+}
+
+async function sendFeedbackThankYou({ feedbackId }) {
+    const feedback = await Feedback.findById(feedbackId).lean();
+    if (!feedback || !feedback.registrationId) return;
+
+    const registration = await Registration.findById(feedback.registrationId).populate('event', 'name').lean();
+    if (!canEmail(registration)) return;
+
+    const { messageId } = await sendMail({
+        to: registration.email,
+        ...feedbackThankYou({ registration, eventName: eventNameOf(registration), feedback })
+    });
+    console.log('✉️ Feedback thank-you sent:', feedback._id, messageId);
+}
+
+// Skipped if the attendee has answered or withdrawn event consent meanwhile,
+// or if there is no PUBLIC_BASE_URL to link to
+async function sendFeedbackInvitation({ registrationId }) {
+    if (!PUBLIC_BASE_URL) return;
+
+    const registration = await Registration.findById(registrationId).populate('event', 'name').lean();
+    if (!canEmail(registration)) return;
+    const consent = currentConsents(registration).event;
+    if (!consent || !consent.granted) return;
+    if (await Feedback.exists({ registrationId: registration._id, deletedAt: null })) return;
+
+    const { messageId } = await sendMail({
+        to: registration.email,
+        ...feedbackInvitation({
+            registration,
+            eventName: eventNameOf(registration),
+            feedbackUrl: feedbackUrl(signFeedbackToken(registration))
+        })
+    });
+    console.log('✉️ Feedback invitation sent:', registration._id, messageId);
+}
+
+registerJobHandler('email.registration', sendRegistrationConfirmation);
+registerJobHandler('email.feedback', sendFeedbackThankYou);
+registerJobHandler('email.feedbackInvite', sendFeedbackInvitation);
+
+// Queues a job without ever failing the request that triggered it
+async function queueNotification(type, payload) {
+    try {
+        await enqueueJob(type, payload);
+    } catch (err) {
+        console.error('❌ Could not queue notification:', type, err);
+    }
+}
+
+function notifyRegistration(registration) {
+    return Promise.all([
+        queueNotification('email.registration', { registrationId: registration._id }),
+        queueRegistrationSms(registration)
+    ]);
+}
+
+// Queued at check-in; whether the attendee is still owed the invitation is
+// decided when it is due
+async function notifyCheckIn(registration) {
+    try {
+        const event = registration.event && await Event.findById(registration.event).select('endsAt').lean();
+        const from = new Date(event && event.endsAt ? event.endsAt : registration.checkedInAt);
+        const runAt = new Date(Math.max(from.getTime(), Date.now()) + INVITE_DELAY_HOURS * 60 * 60 * 1000);
+        await enqueueJob('email.feedbackInvite', { registrationId: registration._id }, { runAt });
+    } catch (err) {
+        console.error('❌ Could not queue notification: email.feedbackInvite', err);
+    }
+}
+
+// Only feedback linked to an attendee has someone to thank
+function notifyFeedback(feedback) {
+    if (!feedback.registrationId) return Promise.resolve();
+    return queueNotification('email.feedback', { feedbackId: feedback._id });
+}
+
+module.exports = {
+    notifyRegistration,
+    notifyCheckIn,
+    notifyFeedback
+};
@@ -0,0 +1,222 @@
+// Data-subject requests (NDPR/NDPA): export everything held about an
+// attendee, erase or anonymise it, and record consent changes made on their
+// behalf. An attendee is identified by email and/or phone, matched on the
+// normalised keys so "Ada.Obi@Gmail.com" finds "adaobi@gmail.com".
+
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const SmsMessage = require('../models/SmsMessage');
+const Lead = require('../models/Lead');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { normalizeEmail, normalizeNigerianPhone } = require('./identity');
+const { CONSENT_PURPOSES, consentRecord } = require('./consent');
+const { syncLeads, withdrawLeads } = require('./leads');
+const { redactAuditSearches } = require('./audit');
+
+const ERASE_MODES = ['anonymize', 'delete'];
+// Shorter admin searches are not taken to name anyone
+const MIN_SEARCH_MATCH = 3;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function subjectKeys({ email, phone } = {}) {
+    const emailKey = email ? normalizeEmail(email) : null;
+    const phoneKey = phone ? normalizeNigerianPhone(phone) : null;
+    if (!emailKey && !phoneKey) throw httpError(400, 'Give the attendee\'s email or phone number');
+    return { emailKey, phoneKey };
+}
+
+function subjectFilter(subject) {
+    const { emailKey, phoneKey } = subjectKeys(subject);
+    const conditions = [];
+    if (emailKey) conditions.push({ emailKey }, { email: String(subject.email).trim().toLowerCase() });
+    if (phoneKey) conditions.push({ phoneKey });
+    return { $or: conditions };
+}
+
+function matchesSubject(keys, { email, phone }) {
+    return Boolean((keys.emailKey && email && normalizeEmail(email) === keys.emailKey) ||
+        (keys.phoneKey && phone && normalizeNigerianPhone(phone) === keys.phoneKey));
+}
+
+// Whether an admin search term looked for the attendee: their email, phone or
+// name as a whole, or part of one of them
+function searchesForSubject(keys, subject, registrations) {
+    const values = [subject.email, subject.phone];
+    registrations.forEach(r => {
+        values.push(r.email, r.phone, `${r.firstName} ${r.lastName}`, `${r.lastName} ${r.firstName}`);
+    });
+    const known = values.filter(Boolean).map(value => String(value).toLowerCase());
+
+    return term => {
+        const search = term.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (matchesSubject(keys, { email: search, phone: search })) return true;
+        return search.length >= MIN_SEARCH_MATCH && known.some(value => value.includes(search));
+    };
+}
+
+// "ada.obi@gmail.com" -> "a***@gmail.com", "+2348031234567" -> "+234*******567",
+// so the audit trail can say whose data was handled without keeping it
+function maskSubject({ email, phone } = {}) {
+    const parts = [];
+    if (email) {
+        const [local, domain] = String(email).trim().toLowerCase().split('@');
+        parts.push(`${local.slice(0, 1)}***@${domain || ''}`);
+    }
+    if (phone) {
+        const normalized = normalizeNigerianPhone(phone) || String(phone);
+        parts.push(normalized.slice(0, 4) + '*'.repeat(Math.max(normalized.length - 7, 0)) + normalized.slice(-3));
+    }
+    return parts.join(' / ');
+}
+
+// Registrations that absorbed a merged record of this attendee
+async function findMergedSnapshots(keys) {
+    const holders = await Registration.find({ 'mergedFrom.0': { $exists: true } }).select('mergedFrom').lean();
+    return holders
+        .map(holder => ({
+            holderId: holder._id,
+            snapshots: holder.mergedFrom.filter(snapshot => matchesSubject(keys, snapshot))
+        }))
+        .filter(holder => holder.snapshots.length);
+}
+
+/**
+ * Everything stored about the attendee: their registrations (with consent
+ * history and check-in details), linked feedback, SMS sent to them, their
+ * sales leads with notes and snapshots kept from merged duplicates.
+ */
+async function exportSubjectData(subject) {
+    const keys = subjectKeys(subject);
+    const registrations = await Registration.find(subjectFilter(subject)).sort({ timestamp: 1 }).lean();
+    const ids = registrations.map(r => r._id);
+
+    const [feedback, smsMessages, leads, merged] = await Promise.all([
+        Feedback.find({ registrationId: { $in: ids } }).sort({ timestamp: 1 }).lean(),
+        SmsMessage.find({ registrationId: { $in: ids } }).sort({ timestamp: 1 }).lean(),
+        Lead.find({ registration: { $in: ids } }).sort({ timestamp: 1 }).lean(),
+        findMergedSnapshots(keys)
+    ]);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        subject: { email: subject.email || null, phone: subject.phone || null },
+        consentPurposes: CONSENT_PURPOSES,
+        registrations,
+        feedback,
+        smsMessages,
+        leads,
+        mergedRecords: merged
+    };
+}
+
+/**
+ * Erases the attendee's personal data.
+ *   anonymize (default) names, contact details, location and answers to the
+ *             event's own form fields are removed but the record stays
+ *             so event totals do not change; linked feedback is kept,
+ *             unlinked from the person
+ *   delete    registrations and linked feedback are removed entirely
+ * SMS sent to them and webhook deliveries about them are deleted, notes on
+ * their leads are removed (and the leads withdrawn, or deleted with delete),
+ * audit log searches for them are redacted and snapshots of merged
+ * duplicates are scrubbed in both modes.
+ * Resolves with counts of what was changed.
+ */
+async function eraseSubjectData(subject, mode = 'anonymize') {
+    if (!ERASE_MODES.includes(mode)) throw httpError(400, `Mode must be one of: ${ERASE_MODES.join(', ')}`);
+
+    const keys = subjectKeys(subject);
+    const registrations = await Registration.find(subjectFilter(subject))
+        .select('firstName lastName email phone')
+        .lean();
+    const ids = registrations.map(r => r._id);
+    const result = { mode, registrations: ids.length, feedback: 0, mergedRecords: 0, auditEntries: 0 };
+
+    // Each SMS holds the number and usually the first name
+    await SmsMessage.deleteMany({ registrationId: { $in: ids } });
+    // Webhook deliveries are copies of their details sent to the CRM
+    await WebhookDelivery.deleteMany({ registration: { $in: ids } });
+    // Admins' searches for them are kept in the audit log
+    result.auditEntries = await redactAuditSearches(searchesForSubject(keys, subject, registrations));
+
+    if (mode === 'delete') {
+        result.feedback = (await Feedback.deleteMany({ registrationId: { $in: ids } })).deletedCount;
+        await Lead.deleteMany({ registration: { $in: ids } });
+        await Registration.updateMany({ duplicateOf: { $in: ids } }, { $unset: { duplicateOf: 1 } });
+        await Registration.deleteMany({ _id: { $in: ids } });
+    } else {
+        result.feedback = (await Feedback.updateMany(
+            { registrationId: { $in: ids } },
+            { $unset: { registrationId: 1 } }
+        )).modifiedCount;
+        // Sales notes are free text about the person
+        await Lead.updateMany({ registration: { $in: ids } }, { $set: { notes: [] } });
+        await withdrawLeads(ids);
+
+        const erasedAt = new Date();
+        const withdrawn = Object.keys(CONSENT_PURPOSES)
+            .map(purpose => consentRecord(purpose, false, { source: 'erasure', recordedAt: erasedAt }));
+
+        // Pipeline update so each record gets its own placeholder email
+        // (the field is required and must not collide with a real address)
+        await Registration.updateMany({ _id: { $in: ids } }, [
+            {
+                $set: {
+                    firstName: 'Erased',
+                    lastName: 'Attendee',
+                    email: { $concat: ['erased-', { $toString: '$_id' }, '@erased.invalid'] },
+                    consent: false,
+                    consents: { $concatArrays: [{ $ifNull: ['$consents', []] }, withdrawn] },
+                    erasedAt
+                }
+            },
+            { $unset: ['phone', 'location', 'otherInterest', 'answers', 'emailKey', 'phoneKey', 'idempotencyKey'] }
+        ]);
+    }
+
+    for (const { holderId, snapshots } of await findMergedSnapshots(keys)) {
+        const holder = await Registration.findById(holderId).select('mergedFrom').lean();
+        const mergedFrom = holder.mergedFrom
+            .filter(snapshot => !(mode === 'delete' && matchesSubject(keys, snapshot)))
+            .map(snapshot => (matchesSubject(keys, snapshot)
+                ? { ...snapshot, firstName: 'Erased', lastName: 'Attendee', email: null, phone: null }
+                : snapshot));
+        await Registration.updateOne({ _id: holderId }, { $set: { mergedFrom } });
+        result.mergedRecords += snapshots.length;
+    }
+
+    return result;
+}
+
+// Records a consent change made on the attendee's behalf (e.g. an emailed withdrawal)
+async function recordConsentChange(subject, purpose, granted) {
+    if (!CONSENT_PURPOSES[purpose]) {
+        throw httpError(400, `Purpose must be one of: ${Object.keys(CONSENT_PURPOSES).join(', ')}`);
+    }
+
+    const update = { $push: { consents: consentRecord(purpose, granted, { source: 'admin' }) } };
+    if (purpose === 'marketing') update.$set = { consent: Boolean(granted) };
+
+    const result = await Registration.updateMany(subjectFilter(subject), update);
+    if (purpose === 'marketing') {
+        // Sales may only contact attendees with marketing consent
+        const registrations = await Registration.find(subjectFilter(subject))
+            .select('interests event consent duplicateOf deletedAt erasedAt')
+            .lean();
+        for (const registration of registrations) await syncLeads(registration);
+    }
+    return { registrations: result.modifiedCount };
+}
+
+module.exports = {
+    ERASE_MODES,
+    maskSubject,
+    exportSubjectData,
+    eraseSubjectData,
+    recordConsentChange
+};
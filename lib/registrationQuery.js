@@ -0,0 +1,135 @@
+// Builds MongoDB filters, sorting and paging for the admin registrations
+// list from query-string parameters. Shared by every endpoint that lists
+// registrations so they all interpret the same parameters the same way.
+
+const { DEFAULT_LOCALE, isLocale } = require('./i18n');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SORTABLE_FIELDS = [
+    'timestamp',
+    'firstName',
+    'lastName',
+    'email',
+    'location',
+    'gender',
+    'channel',
+    'checkedInAt'
+];
+
+// Escape user input before putting it in a RegExp so it is matched literally
+// (prevents ReDoS through patterns such as "(a+)+$")
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accepts "a,b" or repeated ?key=a&key=b
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+function parseDate(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    // A bare date ("2025-08-30") for the upper bound should include that whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+}
+
+// Soft-deleted registrations are only listed with ?deleted=true (the bin)
+function buildRegistrationFilter(query = {}) {
+    const filter = { deletedAt: query.deleted === 'true' ? { $ne: null } : null };
+
+    const search = String(query.search || '').trim().slice(0, 100);
+    if (search) {
+        const regex = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [
+            { firstName: regex },
+            { lastName: regex },
+            { email: regex },
+            { phone: regex },
+            { location: regex }
+        ];
+    }
+
+    const genders = toList(query.gender);
+    if (genders.length) filter.gender = { $in: genders };
+
+    const channels = toList(query.channel);
+    if (channels.length) filter.channel = { $in: channels };
+
+    if (query.location) {
+        filter.location = new RegExp(escapeRegex(String(query.location).trim().slice(0, 100)), 'i');
+    }
+
+    const interests = toList(query.interests);
+    if (interests.length) filter.interests = { $in: interests };
+
+    if (query.consent === 'true' || query.consent === true) filter.consent = true;
+    if (query.consent === 'false' || query.consent === false) filter.consent = { $ne: true };
+
+    if (query.checkedIn === 'true') filter.checkedInAt = { $ne: null };
+    if (query.checkedIn === 'false') filter.checkedInAt = null;
+
+    Object.assign(filter, buildLocaleFilter(query));
+
+    const dateRange = buildDateRange(query);
+    if (dateRange) filter.timestamp = dateRange;
+
+    return filter;
+}
+
+// ?locale=ha,yo -> condition on the kiosk language of registrations and
+// feedback; records from before the language was kept count as English
+function buildLocaleFilter(query = {}) {
+    const locales = toList(query.locale).filter(isLocale);
+    if (!locales.length) return {};
+    return { locale: { $in: locales.includes(DEFAULT_LOCALE) ? [...locales, null] : locales } };
+}
+
+// ?from=2025-08-30&to=2025-08-31 -> { $gte, $lte } or null when neither is set
+function buildDateRange(query = {}) {
+    const from = parseDate(query.from, false);
+    const to = parseDate(query.to, true);
+    if (!from && !to) return null;
+
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return range;
+}
+
+// ?sort=lastName&order=asc (defaults to newest first)
+function buildRegistrationSort(query = {}) {
+    const field = SORTABLE_FIELDS.includes(query.sort) ? query.sort : 'timestamp';
+    const direction = query.order === 'asc' ? 1 : -1;
+
+    // _id as a tie-breaker keeps page boundaries stable
+    return { [field]: direction, _id: direction };
+}
+
+function parsePagination(query = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORTABLE_FIELDS,
+    escapeRegex,
+    toList,
+    buildDateRange,
+    buildLocaleFilter,
+    buildRegistrationFilter,
+    buildRegistrationSort,
+    parsePagination
+};
@@ -0,0 +1,42 @@
+// Compact signed tokens: "<payload>.<signature>", both base64url encoded.
+// The payload is a JSON object of claims with an "exp" (seconds since the
+// epoch); the signature is an HMAC-SHA256 over the payload. Used for admin
+// sessions (middleware/auth.js) and attendee feedback links (lib/feedbackLink.js).
+
+const crypto = require('crypto');
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function encodeToken(claims, secret) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the claims, or null if the token is malformed, tampered with or expired
+function decodeToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    encodeToken,
+    decodeToken
+};
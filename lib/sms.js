@@ -0,0 +1,116 @@
+// Outgoing SMS behind a provider adapter, chosen with SMS_PROVIDER:
+//   http    a generic HTTP gateway (below); works with most Nigerian
+//           aggregators through a small adapter on their side or ours
+//   log     messages printed to the server log, for local development
+//   memory  messages kept in sentSms, for tests
+// The default is http when SMS_GATEWAY_URL is set and log otherwise.
+//
+// A provider is { name, send({ to, body }) } resolving with
+// { providerMessageId, status }. It throws on failure; errors marked
+// permanent (e.g. a rejected number) are not retried.
+//
+// HTTP gateway contract: POST SMS_GATEWAY_URL with
+//   { to: "+234...", from: SMS_SENDER_ID, message, callbackUrl }
+// and "Authorization: Bearer SMS_GATEWAY_TOKEN"; a 2xx JSON answer carries
+// { messageId, status }. Delivery reports are POSTed to callbackUrl (see
+// routes/smsCallback.js). scripts/mock-sms-gateway.js implements it locally.
+
+const SENDER_ID = process.env.SMS_SENDER_ID || 'MTN GITEX';
+const GATEWAY_TIMEOUT_MS = parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS, 10) || 10000;
+
+const sentSms = [];
+
+function smsError(message, permanent) {
+    const err = new Error(message);
+    err.permanent = permanent;
+    return err;
+}
+
+function httpProvider() {
+    const url = process.env.SMS_GATEWAY_URL;
+    const token = process.env.SMS_GATEWAY_TOKEN;
+    const callbackUrl = process.env.SMS_CALLBACK_URL;
+
+    return {
+        name: 'http',
+        send: async ({ to, body }) => {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(token ? { Authorization: `Bearer ${token}` } : {})
+                    },
+                    body: JSON.stringify({ to, from: SENDER_ID, message: body, callbackUrl }),
+                    signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS)
+                });
+            } catch (err) {
+                throw smsError(`SMS gateway unreachable: ${err.message}`, false);
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                // Rejected requests will be rejected again; overload and outages are retried
+                const permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+                throw smsError(`SMS gateway answered ${response.status}: ${data.message || data.error || ''}`.trim(),
+                    permanent);
+            }
+
+            return { providerMessageId: String(data.messageId || data.id || ''), status: data.status || 'sent' };
+        }
+    };
+}
+
+function logProvider() {
+    return {
+        name: 'log',
+        send: async ({ to, body }) => {
+            console.log(`📱 SMS to ${to}: ${body}`);
+            return { providerMessageId: `log-${Date.now()}`, status: 'sent' };
+        }
+    };
+}
+
+function memoryProvider() {
+    return {
+        name: 'memory',
+        send: async ({ to, body }) => {
+            const providerMessageId = `memory-${sentSms.length + 1}`;
+            sentSms.push({ providerMessageId, to, body });
+            return { providerMessageId, status: 'sent' };
+        }
+    };
+}
+
+const PROVIDERS = { http: httpProvider, log: logProvider, memory: memoryProvider };
+
+function createSmsProvider(name = process.env.SMS_PROVIDER || (process.env.SMS_GATEWAY_URL ? 'http' : 'log')) {
+    if (!PROVIDERS[name]) {
+        throw new Error(`SMS_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return PROVIDERS[name]();
+}
+
+let provider = null;
+
+// Swaps the provider (e.g. a test using memoryProvider or its own stub)
+function setSmsProvider(custom) {
+    provider = custom;
+}
+
+async function sendSms(message) {
+    if (!provider) {
+        provider = createSmsProvider();
+        console.log(`📱 SMS provider: ${provider.name}`);
+    }
+    return provider.send(message);
+}
+
+module.exports = {
+    SENDER_ID,
+    sentSms,
+    createSmsProvider,
+    setSmsProvider,
+    sendSms
+};
@@ -0,0 +1,238 @@
+// SMS to attendees: the registration confirmation with their check-in code
+// and admin broadcasts to everyone interested in a product line. Every SMS is
+// an SmsMessage sent by an "sms.send" job (lib/jobQueue.js), so sending is
+// retried and each recipient's delivery status can be followed.
+//
+// Broadcasts are marketing, so they only go to attendees with marketing
+// consent; duplicate registrations of one person get a single message. A
+// broadcast made with an event selected only reaches that event's attendees.
+// Consent and the registration are checked again before every send and
+// retry, so nothing goes out after a withdrawal, a delete or an erasure.
+
+const Registration = require('../models/Registration');
+const SmsMessage = require('../models/SmsMessage');
+const SmsBroadcast = require('../models/SmsBroadcast');
+const Event = require('../models/Event');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { sendSms } = require('./sms');
+const { DEFAULT_EVENT_NAME } = require('./events');
+
+// Three SMS segments; longer broadcasts get expensive
+const MAX_BROADCAST_LENGTH = 459;
+// Registrations a broadcast may still be sent to
+const BROADCAST_AUDIENCE = { consent: true, erasedAt: null, deletedAt: null };
+
+// Gateway delivery report statuses -> SmsMessage status
+const DELIVERY_STATUSES = {
+    delivered: 'delivered',
+    failed: 'failed',
+    undelivered: 'failed',
+    rejected: 'failed',
+    expired: 'failed'
+};
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function registrationSmsText(registration, eventName) {
+    return `Hi ${registration.firstName}, you're registered for MTN at ${eventName}. ` +
+        `Your check-in code is ${registration.checkInCode}. Show it at the MTN stand.`;
+}
+
+// "{firstName}" in a broadcast is replaced with each attendee's first name
+function personalize(message, registration) {
+    return message.replace(/\{firstName\}/g, registration.firstName || '');
+}
+
+// Why message may no longer be sent to its recipient, or null
+async function recipientProblem(message) {
+    if (!message.registrationId) return null;
+    const registration = await Registration.findById(message.registrationId)
+        .select('consent deletedAt erasedAt')
+        .lean();
+    if (!registration) return 'the registration no longer exists';
+    if (registration.erasedAt) return 'the attendee\'s data was erased';
+    if (registration.deletedAt) return 'the registration was deleted';
+    if (message.kind === 'broadcast' && registration.consent !== true) return 'the attendee withdrew marketing consent';
+    return null;
+}
+
+async function sendQueuedSms({ messageId }, job) {
+    const message = await SmsMessage.findById(messageId);
+    if (!message || ['sent', 'delivered'].includes(message.status)) return;
+
+    message.attempts = job.attempts;
+    const problem = await recipientProblem(message);
+    if (problem) {
+        message.status = 'failed';
+        message.error = `Not sent: ${problem}`;
+        await message.save();
+        return;
+    }
+
+    try {
+        const result = await sendSms({ to: message.to, body: message.body });
+        message.status = result.status === 'delivered' ? 'delivered' : 'sent';
+        message.providerMessageId = result.providerMessageId || undefined;
+        message.sentAt = new Date();
+        message.error = undefined;
+        await message.save();
+    } catch (err) {
+        message.status = err.permanent || job.attempts >= job.maxAttempts ? 'failed' : 'retrying';
+        message.error = err.message;
+        await message.save();
+        throw err;
+    }
+}
+
+registerJobHandler('sms.send', sendQueuedSms);
+
+async function queueSms(fields) {
+    const message = await SmsMessage.create(fields);
+    await enqueueJob('sms.send', { messageId: message._id });
+    return message;
+}
+
+// Confirmation with the check-in code; never fails the registration
+async function queueRegistrationSms(registration) {
+    if (!registration.phoneKey) return;
+    try {
+        const event = registration.event ? await Event.findById(registration.event).select('name').lean() : null;
+        await queueSms({
+            kind: 'registration',
+            registrationId: registration._id,
+            to: registration.phoneKey,
+            body: registrationSmsText(registration, event ? event.name : DEFAULT_EVENT_NAME)
+        });
+    } catch (err) {
+        console.error('❌ Could not queue registration SMS:', registration._id, err);
+    }
+}
+
+// catalogue lists the interests that can be picked
+function checkBroadcast({ message, interests }, catalogue) {
+    const text = String(message || '').trim();
+    if (!text) throw httpError(400, 'Write the message to send');
+    if (text.length > MAX_BROADCAST_LENGTH) {
+        throw httpError(400, `Message must be at most ${MAX_BROADCAST_LENGTH} characters`);
+    }
+
+    const list = Array.isArray(interests) ? interests : [interests].filter(Boolean);
+    if (!list.length) throw httpError(400, 'Pick at least one area of interest');
+    const unknown = list.filter(interest => !catalogue.includes(interest));
+    if (unknown.length) throw httpError(400, `Unknown interest: ${unknown.join(', ')}`);
+
+    return { message: text, interests: list };
+}
+
+// Consenting attendees with a usable number, one per phone number
+async function findBroadcastRecipients(interests, scope) {
+    const registrations = await Registration.find({
+        ...scope,
+        interests: { $in: interests },
+        ...BROADCAST_AUDIENCE,
+        duplicateOf: null,
+        phoneKey: { $ne: null }
+    }).select('firstName phoneKey').sort({ timestamp: 1 }).lean();
+
+    const seen = new Set();
+    return registrations.filter(registration => {
+        if (seen.has(registration.phoneKey)) return false;
+        seen.add(registration.phoneKey);
+        return true;
+    });
+}
+
+/**
+ * Sends message to consenting attendees interested in any of interests, at
+ * event when given (every event otherwise). With dryRun nothing is sent;
+ * resolves with the recipient count either way.
+ */
+async function createBroadcast(input, admin, { dryRun = false, event = null } = {}) {
+    const catalogue = event ? event.interests : await Event.distinct('interests');
+    const { message, interests } = checkBroadcast(input, catalogue);
+    const recipients = await findBroadcastRecipients(interests, event ? { event: event._id } : {});
+    if (dryRun) return { dryRun, recipients: recipients.length };
+
+    const broadcast = await SmsBroadcast.create({
+        message,
+        interests,
+        event: event ? event._id : undefined,
+        recipients: recipients.length,
+        createdBy: admin._id,
+        createdByEmail: admin.email
+    });
+
+    for (const registration of recipients) {
+        await queueSms({
+            kind: 'broadcast',
+            broadcast: broadcast._id,
+            registrationId: registration._id,
+            to: registration.phoneKey,
+            body: personalize(message, registration)
+        });
+    }
+
+    return { broadcast, recipients: recipients.length };
+}
+
+// Broadcasts, newest first, with how many messages are in each status.
+// scope narrows the list (e.g. { event: id }).
+async function listBroadcasts({ limit = 50, scope = {} } = {}) {
+    const broadcasts = await SmsBroadcast.find(scope).sort({ timestamp: -1 }).limit(limit).lean();
+    const counts = await SmsMessage.aggregate([
+        { $match: { broadcast: { $in: broadcasts.map(b => b._id) } } },
+        { $group: { _id: { broadcast: '$broadcast', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return broadcasts.map(broadcast => {
+        const status = Object.fromEntries(SmsMessage.STATUSES.map(s => [s, 0]));
+        counts
+            .filter(c => c._id.broadcast.equals(broadcast._id))
+            .forEach(c => { status[c._id.status] = c.count; });
+        return { ...broadcast, status };
+    });
+}
+
+// Queues the failed messages of a broadcast again, for recipients it may
+// still be sent to; resolves with how many
+async function retryFailedMessages(broadcastId) {
+    const failed = await SmsMessage.find({ broadcast: broadcastId, status: 'failed' }).select('registrationId').lean();
+    const audience = await Registration.find({
+        _id: { $in: failed.map(message => message.registrationId) },
+        ...BROADCAST_AUDIENCE
+    }).select('_id').lean();
+    const reachable = new Set(audience.map(registration => String(registration._id)));
+
+    const retried = failed.filter(message => reachable.has(String(message.registrationId)));
+    for (const message of retried) {
+        await SmsMessage.updateOne({ _id: message._id }, { $set: { status: 'queued' }, $unset: { error: 1 } });
+        await enqueueJob('sms.send', { messageId: message._id });
+    }
+    return retried.length;
+}
+
+// Applies a gateway delivery report; resolves with false for unknown messages
+async function applyDeliveryReport({ messageId, status, error }) {
+    const mapped = DELIVERY_STATUSES[String(status || '').toLowerCase()];
+    if (!messageId || !mapped) return false;
+
+    const update = { status: mapped };
+    if (mapped === 'delivered') update.deliveredAt = new Date();
+    if (mapped === 'failed') update.error = error || `Gateway reported ${status}`;
+
+    const result = await SmsMessage.updateOne({ providerMessageId: String(messageId) }, { $set: update });
+    return result.matchedCount > 0;
+}
+
+module.exports = {
+    MAX_BROADCAST_LENGTH,
+    queueRegistrationSms,
+    createBroadcast,
+    listBroadcasts,
+    retryFailedMessages,
+    applyDeliveryReport
+};
@@ -0,0 +1,577 @@
+// Validation rules shared by the public API, the admin import and the
+// migration script, so a record accepted through one path is accepted
+// through all of them.
+//
+// Each payload is described by a map of field rules. validate() returns
+// { value, errors }: value holds only the fields named in the rules (trimmed
+// and coerced), errors maps each invalid field to a message for the form.
+
+const Registration = require('../models/Registration');
+const Lead = require('../models/Lead');
+const Webhook = require('../models/Webhook');
+const Form = require('../models/Form');
+const { normalizeNigerianPhone } = require('./identity');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const {
+    RATING_POINTS,
+    MAX_FORM_FIELDS,
+    MAX_INTEREST_PICKS,
+    TEXT_MAX_LENGTH,
+    CUSTOM_FIELD_TYPES,
+    BUILT_IN_FIELDS
+} = require('./forms');
+
+const MAX_INTERESTS = 2;
+const MAX_LEAD_RULES = 100;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const FORMATS = {
+    email: {
+        test: value => EMAIL_PATTERN.test(value),
+        message: 'Enter a valid email address'
+    },
+    nigerianPhone: {
+        test: value => Boolean(normalizeNigerianPhone(value)),
+        message: 'Enter a valid Nigerian phone number, e.g. 0803 123 4567'
+    },
+    slug: {
+        test: value => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+        message: 'Use lower-case letters, numbers and dashes only, e.g. gitex-lagos-2025'
+    },
+    // Logos are served from this site; the Content-Security-Policy blocks other hosts
+    sitePath: {
+        test: value => /^\/(?!\/)\S*$/.test(value),
+        message: 'Enter a path on this site, e.g. /asset/logo.png'
+    },
+    hexColor: {
+        test: value => /^#[0-9a-fA-F]{6}$/.test(value),
+        message: 'Enter a colour such as #ffcc00'
+    },
+    // Admins are picked from a list, so anything else is a stale or forged id
+    objectId: {
+        test: value => /^[0-9a-fA-F]{24}$/.test(value),
+        message: 'Pick someone from the list'
+    },
+    // Attendee details are sent there, so only web addresses are accepted
+    webUrl: {
+        test: value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (err) {
+                return false;
+            }
+        },
+        message: 'Enter a full address starting with https://'
+    }
+};
+
+const REGISTRATION_RULES = {
+    firstName: { label: 'First name', type: 'string', required: true, maxLength: 50 },
+    lastName: { label: 'Last name', type: 'string', required: true, maxLength: 50 },
+    email: { label: 'Email', type: 'string', required: true, maxLength: 254, format: 'email' },
+    phone: { label: 'Phone number', type: 'string', required: true, maxLength: 20, format: 'nigerianPhone' },
+    location: { label: 'Location', type: 'string', required: true, maxLength: 100 },
+    gender: { label: 'Gender', type: 'string', required: true, enum: Registration.GENDERS },
+    channel: { label: 'Registration channel', type: 'string', required: true, enum: Registration.CHANNELS },
+    interests: {
+        label: 'Areas of interest',
+        type: 'array',
+        maxItems: MAX_INTERESTS,
+        items: { type: 'string', enum: Registration.INTERESTS }
+    },
+    otherInterest: { label: 'Other interest', type: 'string', maxLength: 200 },
+    consentEvent: { label: 'Event updates consent', type: 'boolean' },
+    consentMarketing: { label: 'Marketing consent', type: 'boolean' },
+    // Single checkbox sent by older kiosks; treated as marketing consent
+    consent: { label: 'Consent', type: 'boolean' }
+};
+
+const EVENT_RULES = {
+    slug: { label: 'Slug', type: 'string', required: true, maxLength: 60, format: 'slug' },
+    name: { label: 'Name', type: 'string', required: true, maxLength: 100 },
+    startsAt: { label: 'Start date', type: 'date' },
+    endsAt: { label: 'End date', type: 'date' },
+    venue: { label: 'Venue', type: 'string', maxLength: 200 },
+    interests: {
+        label: 'Areas of interest',
+        type: 'array',
+        required: true,
+        maxItems: 30,
+        items: { type: 'string', maxLength: 100 }
+    },
+    active: { label: 'Active', type: 'boolean' }
+};
+
+const BRANDING_RULES = {
+    welcomeText: { label: 'Welcome text', type: 'string', maxLength: 100 },
+    logoUrl: { label: 'Logo', type: 'string', maxLength: 300, format: 'sitePath' },
+    primaryColor: { label: 'Colour', type: 'string', format: 'hexColor' }
+};
+
+// One field of a form definition (see lib/forms.js)
+const FORM_FIELD_RULES = {
+    key: { label: 'Key', type: 'string', required: true, maxLength: 40 },
+    label: { label: 'Label', type: 'string', required: true, maxLength: 200 },
+    type: { label: 'Type', type: 'string', required: true, enum: Form.FIELD_TYPES },
+    required: { label: 'Required', type: 'boolean' },
+    options: { label: 'Options', type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } },
+    placeholder: { label: 'Placeholder', type: 'string', maxLength: 100 },
+    min: { label: 'Minimum', type: 'number' },
+    max: { label: 'Maximum', type: 'number', min: 1, max: 1000000 },
+    step: { label: 'Page', type: 'number', integer: true, min: 1, max: 2 }
+};
+
+// Consent is asked for on every registration form; the wording is fixed (lib/consent.js)
+const CONSENT_FIELDS = ['consentEvent', 'consentMarketing', 'consent'];
+
+const FEEDBACK_RULES = {
+    feedback1: { label: 'Answer', type: 'string', maxLength: 2000 },
+    feedback2: { label: 'Feedback', type: 'string', maxLength: 2000 },
+    rating: { label: 'Rating', type: 'number', integer: true, min: 1, max: 5 }
+};
+
+// Owner and due date can be cleared by sending them blank
+const LEAD_UPDATE_RULES = {
+    status: { label: 'Status', type: 'string', enum: Lead.STATUSES },
+    team: { label: 'Team', type: 'string', maxLength: 60 },
+    owner: { label: 'Owner', type: 'string', format: 'objectId' },
+    dueAt: { label: 'Due date', type: 'date' }
+};
+
+const LEAD_NOTE_RULES = {
+    text: { label: 'Note', type: 'string', required: true, maxLength: 2000 }
+};
+
+const WEBHOOK_RULES = {
+    name: { label: 'Name', type: 'string', required: true, maxLength: 100 },
+    url: { label: 'URL', type: 'string', required: true, maxLength: 500, format: 'webUrl' },
+    events: {
+        label: 'Events',
+        type: 'array',
+        required: true,
+        items: { type: 'string', enum: Webhook.EVENTS }
+    },
+    active: { label: 'Active', type: 'boolean' }
+};
+
+const LEAD_RULE_RULES = {
+    interest: { label: 'Interest', type: 'string', required: true, maxLength: 100 },
+    team: { label: 'Team', type: 'string', required: true, maxLength: 60 },
+    owner: { label: 'Owner', type: 'string', format: 'objectId' }
+};
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Enum values are matched case-insensitively and stored in their canonical form
+function matchEnum(list, value) {
+    const lower = value.toLowerCase();
+    return list.find(option => option.toLowerCase() === lower);
+}
+
+// Returns [value, message]; message is null when the value is valid. The
+// message is in locale, as are the label and options it names.
+function checkValue(rule, input, locale = DEFAULT_LOCALE) {
+    const say = (text, params = {}) => translate(locale, text, { label: translate(locale, rule.label), ...params });
+    switch (rule.type) {
+        case 'string': {
+            if (typeof input !== 'string' && typeof input !== 'number') return [null, say('{label} must be text')];
+            let value = String(input).trim();
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return [null, say('{label} must be at most {max} characters', { max: rule.maxLength })];
+            }
+            if (rule.enum) {
+                value = matchEnum(rule.enum, value);
+                if (!value) {
+                    const options = rule.enum.map(option => translate(locale, option)).join(', ');
+                    return [null, say('{label} must be one of: {options}', { options })];
+                }
+            }
+            if (rule.format && !FORMATS[rule.format].test(value)) return [null, say(FORMATS[rule.format].message)];
+            return [value, null];
+        }
+
+        case 'number': {
+            const value = Number(input);
+            if (typeof input === 'boolean' || !Number.isFinite(value)) return [null, say('{label} must be a number')];
+            if (rule.integer && !Number.isInteger(value)) return [null, say('{label} must be a whole number')];
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                const range = { min: rule.min, max: rule.max };
+                if (rule.max === undefined) return [null, say('{label} must be at least {min}', range)];
+                if (rule.min === undefined) return [null, say('{label} must be at most {max}', range)];
+                return [null, say('{label} must be between {min} and {max}', range)];
+            }
+            return [value, null];
+        }
+
+        case 'date': {
+            const value = new Date(input);
+            if (typeof input === 'boolean' || isNaN(value.getTime())) return [null, say('{label} must be a date')];
+            return [value, null];
+        }
+
+        case 'boolean': {
+            if (typeof input === 'boolean') return [input, null];
+            const text = String(input).toLowerCase();
+            if (['true', 'on', 'yes', '1'].includes(text)) return [true, null];
+            if (['false', 'off', 'no', '0'].includes(text)) return [false, null];
+            return [null, say('{label} must be true or false')];
+        }
+
+        case 'array': {
+            if (!Array.isArray(input)) return [null, say('{label} must be a list')];
+            const value = [];
+            for (const item of input) {
+                const [itemValue, message] = checkValue({ label: rule.label, ...rule.items }, item, locale);
+                if (message) return [null, say('"{item}" is not a valid option', { item })];
+                if (!value.includes(itemValue)) value.push(itemValue);
+            }
+            if (rule.maxItems && value.length > rule.maxItems) {
+                return [null, say('Select at most {max}', { max: rule.maxItems })];
+            }
+            return [value, null];
+        }
+
+        default:
+            return [input, null];
+    }
+}
+
+/**
+ * Checks data against a rule map. Fields not in the rules are dropped and
+ * blank optional fields are left out of value. Messages are in locale
+ * (lib/i18n.js), as are the labels of the fields in errors.
+ */
+function validate(rules, data = {}, locale = DEFAULT_LOCALE) {
+    const value = {};
+    const errors = {};
+    const labels = {};
+
+    Object.entries(rules).forEach(([field, rule]) => {
+        const input = data[field];
+        const label = translate(locale, rule.label);
+        if (isBlank(input) || (rule.type === 'array' && Array.isArray(input) && !input.length)) {
+            if (rule.required) {
+                errors[field] = translate(locale, '{label} is required', { label });
+                labels[field] = label;
+            }
+            return;
+        }
+
+        const [checked, message] = checkValue(rule, input, locale);
+        if (message) {
+            errors[field] = message;
+            labels[field] = label;
+        } else {
+            value[field] = checked;
+        }
+    });
+
+    return { value, errors, labels };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Errors of a nested object are reported as "<prefix>.<field>"
+function mergeNested(result, prefix, nested) {
+    if (Object.keys(nested.value).length) result.value[prefix] = nested.value;
+    Object.entries(nested.errors).forEach(([field, message]) => {
+        result.errors[`${prefix}.${field}`] = message;
+        result.labels[`${prefix}.${field}`] = nested.labels[field];
+    });
+}
+
+// An event offers its own interest catalogue
+function registrationRulesFor(event) {
+    if (!event) return REGISTRATION_RULES;
+    return {
+        ...REGISTRATION_RULES,
+        interests: { ...REGISTRATION_RULES.interests, items: { type: 'string', enum: event.interests || [] } }
+    };
+}
+
+// Stored values have no unset limits as null, which the rules treat as set
+function limit(value) {
+    return value === null || value === undefined ? undefined : value;
+}
+
+// The rule for one form field; interests are picked from event's catalogue
+function fieldRule(field, event) {
+    const rule = { label: field.label, required: field.required };
+    switch (field.type) {
+        case 'email':
+            return { ...rule, type: 'string', maxLength: 254, format: 'email' };
+        case 'phone':
+            return { ...rule, type: 'string', maxLength: 20, format: 'nigerianPhone' };
+        case 'choice':
+            return { ...rule, type: 'string', enum: field.options };
+        case 'multichoice':
+            return { ...rule, type: 'array', maxItems: limit(field.max), items: { type: 'string', enum: field.options } };
+        case 'interests':
+            return {
+                ...rule,
+                type: 'array',
+                maxItems: limit(field.max),
+                items: { type: 'string', enum: event ? event.interests || [] : Registration.INTERESTS }
+            };
+        case 'number':
+            return { ...rule, type: 'number', min: limit(field.min), max: limit(field.max) };
+        case 'rating':
+            return { ...rule, type: 'number', integer: true, min: 1, max: RATING_POINTS };
+        default:
+            return { ...rule, type: 'string', maxLength: limit(field.max) || TEXT_MAX_LENGTH[field.type] };
+    }
+}
+
+// Validates data against a form version: built-in fields at the top level,
+// the event's own fields in data.answers (errors keyed "answers.<key>")
+function validateFormData(form, data, event, extraRules = {}, locale = DEFAULT_LOCALE) {
+    const builtIns = BUILT_IN_FIELDS[form.kind];
+    const rules = { ...extraRules };
+    const answerRules = {};
+    form.fields.forEach(field => {
+        (builtIns[field.key] ? rules : answerRules)[field.key] = fieldRule(field, event);
+    });
+
+    const result = validate(rules, data, locale);
+    if (Object.keys(answerRules).length) {
+        const answers = isPlainObject(data.answers) ? data.answers : {};
+        mergeNested(result, 'answers', validate(answerRules, answers, locale));
+    }
+    return result;
+}
+
+// Checked against the form the kiosk showed when given, otherwise (imports)
+// against the fixed rules and event's catalogue. Messages are in locale.
+function validateRegistration(data = {}, event = null, form = null, locale = DEFAULT_LOCALE) {
+    if (!form) return validate(registrationRulesFor(event), data, locale);
+
+    const consentRules = {};
+    CONSENT_FIELDS.forEach(field => { consentRules[field] = REGISTRATION_RULES[field]; });
+    return validateFormData(form, data, event, consentRules, locale);
+}
+
+/**
+ * An admin's correction: only the editable fields sent are checked, so a
+ * required field can be left alone but not blanked. With the form version
+ * the attendee filled in, its fields are checked by the same rules as the
+ * kiosk's; fields the form did not ask for may be left blank.
+ */
+function validateRegistrationUpdate(data = {}, event = null, form = null) {
+    const fixedRules = registrationRulesFor(event);
+    const ruleFor = field => {
+        const formField = form && form.fields.find(candidate => candidate.key === field);
+        if (formField) return fieldRule(formField, event);
+        return form ? { ...fixedRules[field], required: false } : fixedRules[field];
+    };
+
+    const rules = {};
+    Registration.EDITABLE_FIELDS
+        .filter(field => Object.prototype.hasOwnProperty.call(data, field))
+        .forEach(field => { rules[field] = ruleFor(field); });
+    return validate(rules, data);
+}
+
+// A new event, or with partial only the fields sent (an update)
+function validateEvent(data = {}, { partial = false } = {}) {
+    const sent = field => Object.prototype.hasOwnProperty.call(data, field);
+    const rules = {};
+    Object.entries(EVENT_RULES)
+        .filter(([field]) => !partial || sent(field))
+        .forEach(([field, rule]) => { rules[field] = rule; });
+
+    const result = validate(rules, data);
+    if (sent('branding')) {
+        mergeNested(result, 'branding', validate(BRANDING_RULES, isPlainObject(data.branding) ? data.branding : {}));
+    }
+
+    const { startsAt, endsAt } = result.value;
+    if (startsAt && endsAt && endsAt < startsAt) result.errors.endsAt = 'End date must be after the start date';
+    return result;
+}
+
+// Only the fields sent are changed; a blank owner or due date clears it
+function validateLeadUpdate(data = {}) {
+    const sent = field => Object.prototype.hasOwnProperty.call(data, field);
+    const rules = {};
+    Object.entries(LEAD_UPDATE_RULES)
+        .filter(([field]) => sent(field))
+        .forEach(([field, rule]) => { rules[field] = rule; });
+
+    const result = validate(rules, data);
+    ['owner', 'dueAt'].filter(field => sent(field) && isBlank(data[field])).forEach(field => {
+        result.value[field] = null;
+    });
+    if (sent('team') && isBlank(data.team)) result.errors.team = 'Team is required';
+    return result;
+}
+
+// The whole rule list, as saved from the rules editor
+function validateLeadRules(input) {
+    if (!Array.isArray(input)) return { errors: { rules: 'Rules must be a list' } };
+    if (input.length > MAX_LEAD_RULES) {
+        return { errors: { rules: `There can be at most ${MAX_LEAD_RULES} rules` } };
+    }
+
+    const rules = [];
+    for (const [index, item] of input.entries()) {
+        const { value, errors } = validate(LEAD_RULE_RULES, isPlainObject(item) ? item : {});
+        const problem = Object.values(errors)[0] ||
+            (rules.some(rule => rule.interest === value.interest) && `"${value.interest}" has two rules`);
+        if (problem) return { errors: { rules: `Rule ${index + 1}: ${problem}` } };
+        rules.push(value);
+    }
+    return { value: rules, errors: {} };
+}
+
+// A new webhook, or with partial only the fields sent (an update)
+function validateWebhook(data = {}, { partial = false } = {}) {
+    const rules = {};
+    Object.entries(WEBHOOK_RULES)
+        .filter(([field]) => !partial || Object.prototype.hasOwnProperty.call(data, field))
+        .forEach(([field, rule]) => { rules[field] = rule; });
+    return validate(rules, data);
+}
+
+// At least one question must be answered; the rating only counts when the
+// form asks nothing else. Without a form (imports) the fixed rules apply.
+function validateFeedback(data, form = null, locale = DEFAULT_LOCALE) {
+    const answerOne = translate(locale, 'Please answer at least one question');
+    if (!form) {
+        const result = validate(FEEDBACK_RULES, data, locale);
+        if (!result.value.feedback1 && !result.value.feedback2 && !result.errors.feedback1 && !result.errors.feedback2) {
+            result.errors.feedback1 = answerOne;
+            result.labels.feedback1 = translate(locale, FEEDBACK_RULES.feedback1.label);
+        }
+        return result;
+    }
+
+    const result = validateFormData(form, data, null, {}, locale);
+    const builtIns = BUILT_IN_FIELDS.feedback;
+    const errorKey = field => (builtIns[field.key] ? field.key : `answers.${field.key}`);
+    const answered = field => (builtIns[field.key] ? result.value : result.value.answers || {})[field.key] !== undefined;
+
+    const questions = form.fields.filter(field => field.type !== 'rating');
+    const asked = questions.length ? questions : form.fields;
+    if (asked.length && !asked.some(answered) && !asked.some(field => result.errors[errorKey(field)])) {
+        result.errors[errorKey(asked[0])] = answerOne;
+        result.labels[errorKey(asked[0])] = translate(locale, asked[0].label);
+    }
+    return result;
+}
+
+// Why a form field cannot be saved as it is, or null
+function formFieldProblem(field, builtIn, fields) {
+    if (fields.some(other => other.key === field.key)) return `Key "${field.key}" is used twice`;
+
+    if (builtIn) {
+        if (field.type !== builtIn.type) return `${field.key} must stay a ${builtIn.type} field`;
+        if (builtIn.locked && !field.required) return `${field.key} is always required`;
+    } else {
+        if (!FORMATS.slug.test(field.key)) return `Key "${field.key}": ${FORMATS.slug.message}`;
+        if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+            return `${field.label}: type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`;
+        }
+    }
+
+    const options = field.options || [];
+    if (['choice', 'multichoice'].includes(field.type) && options.length < 2) return 'Give at least two options';
+    if (field.type === 'rating' && options.length !== RATING_POINTS) {
+        return `Give a word for each of the ${RATING_POINTS} points of the rating`;
+    }
+
+    const maxLength = builtIn ? builtIn.maxLength : TEXT_MAX_LENGTH[field.type];
+    if (maxLength && field.max > maxLength) return `${field.label} can be at most ${maxLength} characters long`;
+    if (field.type === 'interests' && field.max > MAX_INTEREST_PICKS) {
+        return `At most ${MAX_INTEREST_PICKS} areas of interest can be picked`;
+    }
+    if (field.type === 'multichoice' && field.max > options.length) return 'Maximum picks is more than the options';
+    if (field.type === 'number' && field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        return 'Minimum must not be more than the maximum';
+    }
+    return null;
+}
+
+/**
+ * The whole field list of a registration or feedback form, as saved from
+ * the form editor. Settings that do not apply to a field's type are
+ * dropped; registration fields default to the second page, where the
+ * interests always are.
+ */
+function validateFormFields(kind, input) {
+    if (!Array.isArray(input)) return { errors: { fields: 'Fields must be a list' } };
+    if (input.length > MAX_FORM_FIELDS) {
+        return { errors: { fields: `A form can have at most ${MAX_FORM_FIELDS} fields` } };
+    }
+
+    const builtIns = BUILT_IN_FIELDS[kind];
+    const fields = [];
+    for (const [index, item] of input.entries()) {
+        const { value, errors } = validate(FORM_FIELD_RULES, isPlainObject(item) ? item : {});
+        const problem = Object.values(errors)[0] || formFieldProblem(value, builtIns[value.key], fields);
+        if (problem) return { errors: { fields: `Field ${index + 1}: ${problem}` } };
+
+        const hasOptions = ['choice', 'multichoice', 'rating'].includes(value.type);
+        fields.push({
+            key: value.key,
+            label: value.label,
+            type: value.type,
+            required: Boolean(value.required),
+            options: hasOptions ? value.options : [],
+            placeholder: hasOptions ? undefined : value.placeholder,
+            min: value.type === 'number' ? value.min : undefined,
+            max: ['choice', 'rating'].includes(value.type) ? undefined : value.max,
+            step: kind === 'registration' ? (value.type === 'interests' ? 2 : value.step || 2) : undefined
+        });
+    }
+
+    const missing = Object.keys(builtIns)
+        .filter(key => builtIns[key].locked && !fields.some(field => field.key === key));
+    if (missing.length) return { errors: { fields: `The form must ask for ${missing.join(', ')}` } };
+    return { value: fields, errors: {} };
+}
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+// One line for logs, import reports and clients that only show a message
+function summarizeErrors(errors) {
+    return Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join('; ');
+}
+
+// 400 body for an invalid payload; errors is keyed by field name. The
+// message is in locale and names the fields by their labels (as validate
+// returns them), or by name where a field has none.
+function validationErrorResponse(errors, locale = DEFAULT_LOCALE, labels = {}) {
+    const fields = Object.keys(errors).map(field => labels[field] || field);
+    return {
+        success: false,
+        message: translate(locale, 'Please check: {fields}', { fields: fields.join(', ') }),
+        errors
+    };
+}
+
+module.exports = {
+    MAX_INTERESTS,
+    REGISTRATION_RULES,
+    EVENT_RULES,
+    FEEDBACK_RULES,
+    LEAD_NOTE_RULES,
+    validate,
+    validateRegistration,
+    validateRegistrationUpdate,
+    validateEvent,
+    validateLeadUpdate,
+    validateLeadRules,
+    validateWebhook,
+    validateFeedback,
+    validateFormFields,
+    hasErrors,
+    summarizeErrors,
+    validationErrorResponse
+};
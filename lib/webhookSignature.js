@@ -0,0 +1,35 @@
+// Signatures on outbound webhooks (lib/webhooks.js). Each request carries
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+// where the HMAC is keyed with the webhook's secret and computed over
+// "<t>.<raw request body>". Receivers recompute it and reject requests whose
+// t is too old, so a captured request cannot be replayed later.
+
+const crypto = require('crypto');
+
+// How far a receiver should let t drift from its own clock
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function hmac(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+// Whether header is a valid, fresh signature of body; for receivers and tests
+function verifyWebhookSignature(secret, body, header, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(hmac(secret, timestamp, body));
+    const actual = Buffer.from(parts.v1);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    signWebhookBody,
+    verifyWebhookSignature
+};
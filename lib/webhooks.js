@@ -0,0 +1,304 @@
+// Outbound webhooks for CRM integration. New registrations
+// (registration.created), feedback (feedback.created) and check-ins
+// (attendee.checked_in) are POSTed as JSON to every active webhook that
+// subscribes to them:
+//   { id, type, createdAt, event: { id, slug, name }, data }
+// with headers X-Webhook-Event, X-Webhook-Id (the same id on every retry and
+// replay, so receivers can drop repeats), X-Webhook-Delivery and
+// X-Webhook-Signature (see lib/webhookSignature.js).
+//
+// Each POST is a WebhookDelivery sent by a "webhook.deliver" job, retried
+// with backoff (lib/jobQueue.js) up to WEBHOOK_MAX_ATTEMPTS. A 2xx answer is
+// a delivery; redirects and 4xx answers other than 408 and 429 are not
+// retried. Deliveries that failed for good stay in the log as dead letters
+// until an admin replays them.
+//
+// The CRM markets to whoever it is sent, so attendees who did not agree to
+// marketing are sent without their name, email and phone.
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Event = require('../models/Event');
+const { registerJobHandler, enqueueJob, retryDelaySeconds } = require('./jobQueue');
+const { signWebhookBody } = require('./webhookSignature');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const USER_AGENT = 'MTN-GITEX-Webhooks/1.0';
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function webhookError(message, permanent) {
+    const err = new Error(message);
+    err.permanent = permanent;
+    return err;
+}
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Timeouts, overload and server errors may pass; anything else will be answered the same again
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POSTs a delivery's body to webhook once. Resolves with the response
+ * status; throws (permanent when retrying cannot help) otherwise.
+ */
+async function postDelivery(delivery, webhook) {
+    let response;
+    try {
+        response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-Webhook-Event': delivery.type,
+                'X-Webhook-Id': JSON.parse(delivery.body).id,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Signature': signWebhookBody(webhook.secret, delivery.body)
+            },
+            body: delivery.body,
+            // A POST that is redirected turns into a GET; the URL should be fixed instead
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw webhookError(`Endpoint unreachable: ${err.message}`, false);
+    }
+
+    if (response.status >= 200 && response.status < 300) return response.status;
+
+    const text = (await response.text().catch(() => '')).slice(0, 200);
+    const err = webhookError(`Endpoint answered ${response.status}${text ? `: ${text}` : ''}`,
+        !isRetryableStatus(response.status));
+    err.responseStatus = response.status;
+    throw err;
+}
+
+async function sendQueuedDelivery({ deliveryId }, job) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === 'delivered') return;
+
+    delivery.attempts++;
+    try {
+        const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+        if (!webhook) throw webhookError('The webhook was deleted', true);
+        if (!webhook.active) throw webhookError('The webhook is switched off', true);
+
+        delivery.responseStatus = await postDelivery(delivery, webhook);
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+        delivery.error = undefined;
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+    } catch (err) {
+        const dead = err.permanent || job.attempts >= job.maxAttempts;
+        delivery.status = dead ? 'failed' : 'retrying';
+        delivery.responseStatus = err.responseStatus;
+        delivery.error = err.message;
+        delivery.nextAttemptAt = dead ? undefined : new Date(Date.now() + retryDelaySeconds(job.attempts) * 1000);
+        await delivery.save();
+        throw err;
+    }
+}
+
+registerJobHandler('webhook.deliver', sendQueuedDelivery);
+
+async function eventInfo(eventId) {
+    const event = eventId ? await Event.findById(eventId).select('slug name').lean() : null;
+    return event ? { id: event._id, slug: event.slug, name: event.name } : null;
+}
+
+/**
+ * Queues type for every active webhook subscribed to it. registration is
+ * the attendee the event is about. Never throws: a CRM being down must not
+ * fail a registration. Resolves with how many deliveries were queued.
+ */
+async function queueWebhookEvent(type, { event, registration, data }) {
+    try {
+        const webhooks = await Webhook.find({ active: true, events: type }).select('_id').lean();
+        if (!webhooks.length) return 0;
+
+        const body = JSON.stringify({
+            id: crypto.randomUUID(),
+            type,
+            createdAt: new Date(),
+            event: await eventInfo(event),
+            data
+        });
+        for (const webhook of webhooks) {
+            const delivery = await WebhookDelivery.create({ webhook: webhook._id, type, registration, body });
+            await enqueueJob('webhook.deliver', { deliveryId: delivery._id }, { maxAttempts: MAX_ATTEMPTS });
+        }
+        return webhooks.length;
+    } catch (err) {
+        console.error(`❌ Could not queue ${type} webhooks:`, err);
+        return 0;
+    }
+}
+
+// The attendee's name, email and phone, or nulls without marketing consent
+function contactDetails(registration) {
+    const consented = Boolean(registration && registration.consent);
+    return {
+        firstName: consented ? registration.firstName : null,
+        lastName: consented ? registration.lastName : null,
+        email: consented ? registration.email : null,
+        phone: consented ? registration.phone || null : null
+    };
+}
+
+function queueRegistrationWebhooks(registration) {
+    return queueWebhookEvent('registration.created', {
+        event: registration.event,
+        registration: registration._id,
+        data: {
+            id: registration._id,
+            ...contactDetails(registration),
+            location: registration.location,
+            gender: registration.gender,
+            channel: registration.channel,
+            interests: registration.interests,
+            otherInterest: registration.otherInterest || null,
+            answers: registration.answers ? Object.fromEntries(registration.answers) : {},
+            marketingConsent: Boolean(registration.consent),
+            duplicateOf: registration.duplicateOf || null,
+            registeredAt: registration.timestamp
+        }
+    });
+}
+
+// attendee is the registration behind a feedback link, null for anonymous feedback
+function queueFeedbackWebhooks(feedback, attendee) {
+    return queueWebhookEvent('feedback.created', {
+        event: feedback.event,
+        registration: attendee ? attendee._id : undefined,
+        data: {
+            id: feedback._id,
+            registrationId: attendee ? attendee._id : null,
+            email: contactDetails(attendee).email,
+            rating: feedback.rating,
+            feedback1: feedback.feedback1 || '',
+            feedback2: feedback.feedback2 || '',
+            answers: feedback.answers ? Object.fromEntries(feedback.answers) : {},
+            submittedAt: feedback.timestamp
+        }
+    });
+}
+
+function queueCheckInWebhooks(registration) {
+    return queueWebhookEvent('attendee.checked_in', {
+        event: registration.event,
+        registration: registration._id,
+        data: {
+            registrationId: registration._id,
+            ...contactDetails(registration),
+            marketingConsent: Boolean(registration.consent),
+            checkedInAt: registration.checkedInAt,
+            checkInLocation: registration.checkInLocation
+        }
+    });
+}
+
+/**
+ * Sends a ping to webhook straight away, outside the queue, so an admin
+ * can check the URL and secret. Resolves with the logged delivery.
+ */
+async function sendTestEvent(webhookId) {
+    const webhook = await Webhook.findById(webhookId).select('+secret');
+    if (!webhook) throw httpError(404, 'Webhook not found');
+
+    const delivery = new WebhookDelivery({
+        webhook: webhook._id,
+        type: 'webhook.test',
+        body: JSON.stringify({
+            id: crypto.randomUUID(),
+            type: 'webhook.test',
+            createdAt: new Date(),
+            event: null,
+            data: { webhookId: webhook._id, name: webhook.name }
+        }),
+        attempts: 1
+    });
+    try {
+        delivery.responseStatus = await postDelivery(delivery, webhook);
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+    } catch (err) {
+        delivery.status = 'failed';
+        delivery.responseStatus = err.responseStatus;
+        delivery.error = err.message;
+    }
+    return delivery.save();
+}
+
+// Replays to a switched-off webhook would only fail again
+async function findActiveWebhook(id) {
+    const webhook = await Webhook.findById(id).select('active').lean();
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    if (!webhook.active) throw httpError(409, 'Switch the webhook on before replaying deliveries');
+    return webhook;
+}
+
+// Queues a delivery again, whatever its status; resolves with it
+async function replayDelivery(deliveryId, admin) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) throw httpError(404, 'Delivery not found');
+    if (['queued', 'retrying'].includes(delivery.status)) throw httpError(409, 'This delivery is still being sent');
+    await findActiveWebhook(delivery.webhook);
+
+    delivery.set({ status: 'queued', error: undefined, replayedAt: new Date(), replayedBy: admin._id });
+    await delivery.save();
+    await enqueueJob('webhook.deliver', { deliveryId: delivery._id }, { maxAttempts: MAX_ATTEMPTS });
+    return delivery;
+}
+
+// Queues every dead letter of a webhook again; resolves with how many
+async function replayFailedDeliveries(webhookId, admin) {
+    await findActiveWebhook(webhookId);
+    const failed = await WebhookDelivery.find({ webhook: webhookId, status: 'failed' }).select('_id').lean();
+    for (const delivery of failed) {
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { status: 'queued', replayedAt: new Date(), replayedBy: admin._id }, $unset: { error: 1 } }
+        );
+        await enqueueJob('webhook.deliver', { deliveryId: delivery._id }, { maxAttempts: MAX_ATTEMPTS });
+    }
+    return failed.length;
+}
+
+// Webhooks, newest first, with how many deliveries are in each status
+async function listWebhooks() {
+    const webhooks = await Webhook.find().sort({ timestamp: -1 }).lean();
+    const counts = await WebhookDelivery.aggregate([
+        { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return webhooks.map(webhook => {
+        const deliveries = Object.fromEntries(WebhookDelivery.STATUSES.map(s => [s, 0]));
+        counts
+            .filter(c => c._id.webhook.equals(webhook._id))
+            .forEach(c => { deliveries[c._id.status] = c.count; });
+        return { ...webhook, deliveries };
+    });
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    generateWebhookSecret,
+    queueRegistrationWebhooks,
+    queueFeedbackWebhooks,
+    queueCheckInWebhooks,
+    sendTestEvent,
+    replayDelivery,
+    replayFailedDeliveries,
+    listWebhooks
+};
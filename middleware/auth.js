@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { encodeToken, decodeToken } = require('../lib/signedToken');
+
+// Session tokens are signed tokens (see lib/signedToken.js) whose payload
+// carries the admin id, role and expiry, signed with ADMIN_SESSION_SECRET.
+const SESSION_TTL_SECONDS = parseInt(process.env.ADMIN_SESSION_TTL, 10) || 8 * 60 * 60;
+
+let secret = process.env.ADMIN_SESSION_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ ADMIN_SESSION_SECRET not set - admin sessions will not survive a restart');
+}
+
+function signToken(admin) {
+    const now = Math.floor(Date.now() / 1000);
+    return encodeToken({
+        sub: String(admin._id),
+        role: admin.role,
+        iat: now,
+        exp: now + SESSION_TTL_SECONDS
+    }, secret);
+}
+
+// Returns the decoded payload, or null if the token is malformed,
+// tampered with or expired. Tokens issued for another purpose (e.g. feedback
+// links, which may share the secret) are never sessions.
+function verifyToken(token) {
+    const claims = decodeToken(token, secret);
+    return claims && !claims.purpose ? claims : null;
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' ? token : null;
+}
+
+// Verifies the session token and loads the admin onto req.admin.
+// The account is re-read on every request so deactivated admins and
+// role changes take effect immediately.
+async function requireAdmin(req, res, next) {
+    const claims = verifyToken(getBearerToken(req));
+    if (!claims) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    try {
+        const admin = await Admin.findById(claims.sub);
+        if (!admin || !admin.active) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is disabled or no longer exists'
+            });
+        }
+
+        req.admin = admin;
+        // Long-lived requests (the live dashboard stream) end with the session
+        req.sessionExpiresAt = new Date(claims.exp * 1000);
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Must run after requireAdmin
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.admin || !roles.includes(req.admin.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    SESSION_TTL_SECONDS,
+    signToken,
+    verifyToken,
+    requireAdmin,
+    requireRole
+};
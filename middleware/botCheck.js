@@ -0,0 +1,40 @@
+const { requestLocale, translate } = require('../lib/i18n');
+
+// Drops kiosk form submissions that look automated. The kiosk forms carry a
+// hidden "website" field people never see (bots fill it in) and report how
+// long the form was open in formElapsedMs; anything quicker than
+// BOT_MIN_FORM_SECONDS is too fast for a person typing on a tablet.
+// Both fields are dropped by the validation layer, so they are never stored.
+const MIN_FORM_SECONDS = parseFloat(process.env.BOT_MIN_FORM_SECONDS) || 3;
+
+const HONEYPOT_FIELD = 'website';
+
+function rejectBots(req, res, next) {
+    const body = req.body || {};
+
+    // Answer as if it worked so the bot has nothing to adapt to
+    if (body[HONEYPOT_FIELD]) {
+        console.log('🤖 Honeypot filled, dropping submission:', req.originalUrl, req.ip);
+        return res.json({ success: true, message: 'Submission received' });
+    }
+
+    // Older clients and direct API callers do not send the timing field
+    if (body.formElapsedMs !== undefined) {
+        const elapsed = Number(body.formElapsedMs);
+        if (!Number.isFinite(elapsed) || elapsed < MIN_FORM_SECONDS * 1000) {
+            console.log('🤖 Form submitted too quickly:', req.originalUrl, elapsed);
+            return res.status(400).json({
+                success: false,
+                message: translate(requestLocale(req),
+                    'That was quick! Please check your details and submit again.')
+            });
+        }
+    }
+
+    next();
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    rejectBots
+};
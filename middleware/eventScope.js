@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+
+// Admin pages work on the event picked in their event switcher, sent as the
+// X-Event-Id header. Sets req.event (null for "all events") and
+// req.eventScope, a condition to spread into Registration/Feedback queries.
+async function scopeToEvent(req, res, next) {
+    const id = req.get('X-Event-Id');
+    req.event = null;
+    req.eventScope = {};
+    if (!id) return next();
+
+    try {
+        const event = mongoose.isValidObjectId(id) ? await Event.findById(id).lean() : null;
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Selected event not found' });
+        }
+        req.event = event;
+        req.eventScope = { event: event._id };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { scopeToEvent };
@@ -0,0 +1,18 @@
+const { getIdempotencyKey } = require('../lib/idempotency');
+
+// Rejects a malformed Idempotency-Key header; otherwise stores the key (or null) on req
+function readIdempotencyKey(req, res, next) {
+    const key = getIdempotencyKey(req);
+    if (key === false) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency-Key must be 8-100 letters, digits, "-" or "_"'
+        });
+    }
+    req.idempotencyKey = key;
+    next();
+}
+
+module.exports = {
+    readIdempotencyKey
+};
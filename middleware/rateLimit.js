@@ -0,0 +1,77 @@
+const { rateLimit } = require('express-rate-limit');
+const { requestLocale, translate } = require('../lib/i18n');
+
+// Limits for the public submission routes and the admin login. Kiosks on the
+// expo Wi-Fi usually share one public IP, so the per-IP limit is generous and
+// the per-device limit (keyed by the X-Device-Id header api.js sends) is the
+// tighter one. All values can be tuned through env vars.
+const WINDOW_MINUTES = parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+const IP_MAX = parseInt(process.env.RATE_LIMIT_IP_MAX, 10) || 300;
+const DEVICE_MAX = parseInt(process.env.RATE_LIMIT_DEVICE_MAX, 10) || 60;
+const LOGIN_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+function getDeviceId(req) {
+    const id = req.get('X-Device-Id');
+    return id && DEVICE_ID_PATTERN.test(id) ? id : null;
+}
+
+function retryAfterSeconds(req) {
+    const reset = req.rateLimit && req.rateLimit.resetTime;
+    return reset ? Math.max(Math.ceil((reset.getTime() - Date.now()) / 1000), 1) : WINDOW_MINUTES * 60;
+}
+
+// 429 body shared with the login lockout; api.js shows message and retryAfter
+function tooManyRequests(res, message, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+    });
+}
+
+function limitHandler(message) {
+    return (req, res) => {
+        console.log('🚫 Rate limited:', req.method, req.originalUrl, req.ip, getDeviceId(req) || '');
+        tooManyRequests(res, translate(requestLocale(req), message), retryAfterSeconds(req));
+    };
+}
+
+const SUBMISSION_MESSAGE = 'Too many submissions from this device. Please wait a few minutes and try again.';
+
+const submissionLimiters = [
+    rateLimit({
+        windowMs: WINDOW_MINUTES * 60 * 1000,
+        limit: IP_MAX,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: limitHandler(SUBMISSION_MESSAGE)
+    }),
+    rateLimit({
+        windowMs: WINDOW_MINUTES * 60 * 1000,
+        limit: DEVICE_MAX,
+        standardHeaders: false,
+        legacyHeaders: false,
+        skip: req => !getDeviceId(req),
+        keyGenerator: req => `device:${getDeviceId(req)}`,
+        handler: limitHandler(SUBMISSION_MESSAGE)
+    })
+];
+
+// Only failed attempts count, so staff logging in on a shared desk are not blocked
+const loginLimiter = rateLimit({
+    windowMs: WINDOW_MINUTES * 60 * 1000,
+    limit: LOGIN_MAX,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    handler: limitHandler('Too many login attempts. Please wait a few minutes and try again.')
+});
+
+module.exports = {
+    submissionLimiters,
+    loginLimiter,
+    tooManyRequests
+};
@@ -0,0 +1,61 @@
+const cors = require('cors');
+
+// Security headers, CORS and body size limits applied to every request.
+//
+// The CSP only allows scripts from this origin: pages load their code from
+// public/*.js and wire buttons with data-href/data-action (see api.js)
+// rather than inline handlers. Inline style attributes are still allowed.
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob:",
+    "connect-src 'self'",
+    "font-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// Comma-separated origins allowed to call the API from another site
+// (e.g. "https://gitex.mtn.ng,https://kiosk.mtn.ng"). Same-origin pages
+// never need to be listed.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '50kb';
+
+function securityHeaders(req, res, next) {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'same-origin',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        // The check-in desk scans badges with the camera
+        'Permissions-Policy': 'camera=(self), microphone=(), geolocation=()'
+    });
+    if (process.env.NODE_ENV === 'production') {
+        res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+}
+
+// Requests from origins not on the list get no CORS headers, so the
+// browser refuses to hand the response to the calling page
+const corsPolicy = cors({
+    origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin)),
+    exposedHeaders: ['Content-Disposition', 'Retry-After']
+});
+
+module.exports = {
+    CONTENT_SECURITY_POLICY,
+    CORS_ORIGINS,
+    JSON_BODY_LIMIT,
+    securityHeaders,
+    corsPolicy
+};
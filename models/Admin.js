@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ROLES = ['viewer', 'organizer', 'superadmin'];
+
+const SCRYPT_KEYLEN = 64;
+
+// Progressive lockout: after LOGIN_LOCKOUT_THRESHOLD failed logins in a row
+// the account is locked for LOGIN_LOCKOUT_BASE_SECONDS, doubling with every
+// further failure up to LOGIN_LOCKOUT_MAX_SECONDS
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60;
+
+const adminSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: true,
+        unique: true
+    },
+    name: { type: String, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'viewer' },
+    active: { type: Boolean, default: true },
+    lastLoginAt: Date,
+    failedLogins: { type: Number, default: 0 },
+    lockedUntil: Date,
+    timestamp: { type: Date, default: Date.now }
+});
+
+// Passwords are stored as "salt:hash" (hex) using scrypt
+adminSchema.methods.setPassword = function (password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    this.passwordHash = `${salt}:${hash}`;
+};
+
+adminSchema.methods.verifyPassword = function (password) {
+    const [salt, hash] = (this.passwordHash || '').split(':');
+    if (!salt || !hash || typeof password !== 'string') return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Seconds left on a lockout, 0 when the account can log in
+adminSchema.methods.lockoutRemaining = function () {
+    if (!this.lockedUntil) return 0;
+    return Math.max(Math.ceil((this.lockedUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+adminSchema.methods.recordFailedLogin = function () {
+    this.failedLogins = (this.failedLogins || 0) + 1;
+    if (this.failedLogins >= LOCKOUT_THRESHOLD) {
+        const seconds = Math.min(
+            LOCKOUT_BASE_SECONDS * 2 ** (this.failedLogins - LOCKOUT_THRESHOLD),
+            LOCKOUT_MAX_SECONDS
+        );
+        this.lockedUntil = new Date(Date.now() + seconds * 1000);
+    }
+};
+
+adminSchema.methods.recordSuccessfulLogin = function () {
+    this.failedLogins = 0;
+    this.lockedUntil = undefined;
+    this.lastLoginAt = new Date();
+};
+
+// Never send the hash back to the client
+adminSchema.methods.toPublicJSON = function () {
+    return {
+        _id: this._id,
+        email: this.email,
+        name: this.name,
+        role: this.role,
+        active: this.active,
+        lastLoginAt: this.lastLoginAt,
+        lockedUntil: this.lockoutRemaining() ? this.lockedUntil : null,
+        timestamp: this.timestamp
+    };
+};
+
+adminSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Who did what to attendee data. Entries are written by lib/audit.js, never
+// updated (except that search terms naming an erased attendee are redacted),
+// and pruned once older than AUDIT_RETENTION_DAYS.
+const auditLogSchema = new mongoose.Schema({
+    action: { type: String, required: true, index: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', index: true },
+    actorEmail: String,
+    ip: String,
+    // What the action was applied to, e.g. the subject's email or a registration id
+    target: String,
+    params: mongoose.Schema.Types.Mixed,
+    timestamp: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// An expo or booth the kiosk runs for. Registrations and feedback belong to
+// one event; the public pages pick it up from ?event=<slug> (see lib/events.js).
+const eventSchema = new mongoose.Schema({
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9-]+$/ },
+    name: { type: String, required: true, trim: true },
+    startsAt: Date,
+    endsAt: Date,
+    venue: { type: String, trim: true },
+    // Shown on the kiosk pages; logoUrl is a path on this site (the CSP blocks other hosts)
+    branding: {
+        welcomeText: String,
+        logoUrl: String,
+        primaryColor: String
+    },
+    // Offerings shown as tiles on interests.html
+    interests: [String],
+    // Questions from before forms could be edited; they were copied into the
+    // event's first registration form (lib/forms.js) and are no longer shown
+    questions: [{
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String, enum: ['text', 'choice'], default: 'text' },
+        options: [String],
+        required: { type: Boolean, default: false }
+    }],
+    // Inactive events keep their data but no longer accept registrations
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    timestamp: { type: Date, default: Date.now }
+});
+
+// Fields the kiosk pages need; nothing admin-only
+eventSchema.methods.toPublicJSON = function () {
+    return {
+        slug: this.slug,
+        name: this.name,
+        startsAt: this.startsAt,
+        endsAt: this.endsAt,
+        venue: this.venue,
+        branding: this.branding || {},
+        interests: this.interests
+    };
+};
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { LOCALES, DEFAULT_LOCALE } = require('../lib/i18n');
+
+const feedbackSchema = new mongoose.Schema({
+    // The expo this feedback is about (see models/Event.js)
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', index: true },
+    feedback1: String,
+    feedback2: String,
+    rating: { type: Number, min: 1, max: 5 },
+    // The form version that was answered (see lib/forms.js); none for imports
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+    // Answers to the event's own feedback questions, keyed by field key
+    answers: { type: Map, of: mongoose.Schema.Types.Mixed },
+    // Language the kiosk was used in (see lib/i18n.js)
+    locale: { type: String, enum: LOCALES, default: DEFAULT_LOCALE },
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration' },
+    // Hidden and spam feedback is kept but left out of lists, stats and exports
+    moderation: { type: String, enum: ['visible', 'hidden', 'spam'], default: 'visible' },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    moderatedAt: Date,
+    // Soft delete, restorable by an admin
+    deletedAt: Date,
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    // Idempotency-Key of the submission that created this record (see lib/idempotency.js)
+    idempotencyKey: { type: String, unique: true, sparse: true },
+    // Set on records loaded by an import so re-running it never duplicates them
+    importKey: { type: String, unique: true, sparse: true },
+    timestamp: { type: Date, default: Date.now }
+});
+
+// One live answer per attendee, so two submissions racing through the same
+// feedback link cannot both be stored. Partial indexes cannot select
+// "deletedAt unset", so deletedAt is part of the key instead: live answers
+// all have it unset, deleted ones keep their own deletion time.
+feedbackSchema.index(
+    { registrationId: 1, deletedAt: 1 },
+    { unique: true, partialFilterExpression: { registrationId: { $exists: true } } }
+);
+
+feedbackSchema.statics.MODERATION_STATES = ['visible', 'hidden', 'spam'];
+
+// Condition for feedback that counts: not deleted, hidden or spam (records
+// from before moderation have no state and count as visible)
+feedbackSchema.statics.VISIBLE = { deletedAt: null, moderation: { $nin: ['hidden', 'spam'] } };
+
+// Default prompts for the two free-text answers (forms can relabel them)
+feedbackSchema.statics.QUESTIONS = {
+    feedback1: 'How can we improve our service?',
+    feedback2: 'Write your feedback'
+};
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['registration', 'feedback'];
+const FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'choice', 'multichoice', 'number', 'interests', 'rating'];
+
+// One version of an event's registration or feedback form (see lib/forms.js).
+// Saving a form adds a version and old versions are kept: every submission
+// points at the version it answered, so its answers can still be labelled
+// after the form has changed.
+const formSchema = new mongoose.Schema({
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+    kind: { type: String, enum: KINDS, required: true },
+    version: { type: Number, required: true },
+    fields: [{
+        _id: false,
+        // Built-in keys are stored in their own columns, others in answers under the key
+        key: { type: String, required: true },
+        label: { type: String, required: true },
+        type: { type: String, enum: FIELD_TYPES, required: true },
+        required: { type: Boolean, default: false },
+        // Choices; for a rating, the word shown under each point from 1 up
+        options: [String],
+        placeholder: String,
+        // Longest answer (text), most picks (multichoice, interests) or highest value (number)
+        max: Number,
+        min: Number,
+        // Registration page the field is on: 1 registration.html, 2 interests.html
+        step: Number
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    timestamp: { type: Date, default: Date.now }
+});
+
+formSchema.index({ event: 1, kind: 1, version: -1 }, { unique: true });
+
+formSchema.statics.KINDS = KINDS;
+formSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('Form', formSchema);
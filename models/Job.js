@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Background work queued by lib/jobQueue.js (e.g. confirmation emails), kept
+// in MongoDB so nothing is lost if the server restarts before it is done.
+// Done jobs are removed after JOB_RETENTION_DAYS; failed ones are kept for
+// inspection.
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+const jobSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    payload: mongoose.Schema.Types.Mixed,
+    status: { type: String, enum: ['pending', 'processing', 'done', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // Not picked up before this time (used for retry backoff)
+    runAt: { type: Date, default: Date.now },
+    // A worker owns a processing job until then; after that it is retried
+    lockedUntil: Date,
+    lastError: String,
+    completedAt: Date,
+    timestamp: { type: Date, default: Date.now }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index(
+    { completedAt: 1 },
+    { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'done' } }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+
+// Follow-up of one attendee by one product team. A registration gets a lead
+// per team its interests are routed to (see models/LeadRule.js and lib/leads.js).
+const leadSchema = new mongoose.Schema({
+    registration: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', required: true, index: true },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', index: true },
+    team: { type: String, required: true, trim: true },
+    // The registration's interests that were routed to this team
+    interests: [String],
+    // Admin who follows up; unassigned leads wait in the team's shared queue
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', index: true },
+    status: { type: String, enum: STATUSES, default: 'new', index: true },
+    dueAt: Date,
+    notes: [{
+        text: { type: String, required: true },
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+        authorName: String,
+        timestamp: { type: Date, default: Date.now }
+    }],
+    // Every status the lead has been in; the funnel counts stages reached
+    history: [{
+        _id: false,
+        status: { type: String, enum: STATUSES },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+    }],
+    // Set while the registration is soft-deleted or erased; withdrawn leads
+    // are left out of the queues and the funnel (see lib/leads.js)
+    withdrawnAt: Date,
+    updatedAt: Date,
+    timestamp: { type: Date, default: Date.now }
+});
+
+leadSchema.index({ registration: 1, team: 1 }, { unique: true });
+
+leadSchema.statics.STATUSES = STATUSES;
+// Still being worked on; due dates only matter for these
+leadSchema.statics.OPEN_STATUSES = ['new', 'contacted', 'qualified'];
+// Condition for leads whose registration is still there
+leadSchema.statics.ACTIVE = { withdrawnAt: null };
+
+module.exports = mongoose.model('Lead', leadSchema);
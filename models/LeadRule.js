@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Routes attendees interested in `interest` to a product team, and to one
+// of its admins when owner is set. Rules apply to every event.
+const leadRuleSchema = new mongoose.Schema({
+    interest: { type: String, required: true, unique: true, trim: true },
+    team: { type: String, required: true, trim: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    timestamp: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('LeadRule', leadRuleSchema);
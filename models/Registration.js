@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { generateCheckInCode } = require('../lib/checkinCode');
+const { normalizeEmail, normalizeNigerianPhone } = require('../lib/identity');
+const { LOCALES, DEFAULT_LOCALE } = require('../lib/i18n');
+
+const registrationSchema = new mongoose.Schema({
+    // The expo this registration was made at (see models/Event.js)
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', index: true },
+    firstName: { type: String, trim: true, required: true },
+    lastName: { type: String, trim: true, required: true },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: true,
+        // Remove unique constraint to avoid duplicate issues during testing
+        index: true
+    },
+    phone: String,
+    location: String,
+    gender: String,
+    channel: String,
+    interests: [String],
+    otherInterest: String,
+    // The form version the attendee filled in (see lib/forms.js); none for imports
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+    // Answers to the event's own form fields, keyed by field key; a list for multiple choice
+    answers: { type: Map, of: mongoose.Schema.Types.Mixed },
+    // Language the kiosk was used in (see lib/i18n.js); records from before it had a choice are English
+    locale: { type: String, enum: LOCALES, default: DEFAULT_LOCALE },
+    // Marketing consent; mirrors the latest "marketing" entry in consents
+    consent: { type: Boolean, default: false },
+    // NDPR consent history, one entry per purpose and change (see lib/consent.js)
+    consents: [{
+        _id: false,
+        purpose: { type: String, enum: ['event', 'marketing'] },
+        granted: Boolean,
+        version: String,
+        source: String,
+        recordedAt: { type: Date, default: Date.now }
+    }],
+    // Set when the attendee's personal data was anonymised on request
+    erasedAt: Date,
+    checkInCode: { type: String, unique: true, sparse: true, default: generateCheckInCode },
+    checkedInAt: Date,
+    checkInLocation: String,
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    // Badge codes of records merged into this one, still accepted at check-in
+    aliasCheckInCodes: { type: [String], index: true },
+    // Normalised email/phone used for duplicate detection (see lib/identity.js)
+    emailKey: { type: String, index: true },
+    phoneKey: { type: String, index: true },
+    // Set when this registration repeats an existing attendee
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', index: true },
+    // Snapshot of each record merged into this one
+    mergedFrom: [{
+        _id: false,
+        registrationId: mongoose.Schema.Types.ObjectId,
+        firstName: String,
+        lastName: String,
+        email: String,
+        phone: String,
+        checkInCode: String,
+        timestamp: Date,
+        mergedAt: Date,
+        mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+    }],
+    // Soft delete: left out of lists, stats, exports and check-in until restored
+    deletedAt: { type: Date, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    // Idempotency-Key of the submission that created this record (see lib/idempotency.js)
+    idempotencyKey: { type: String, unique: true, sparse: true },
+    // Set on records loaded by an import so re-running it never duplicates them
+    importKey: { type: String, unique: true, sparse: true },
+    timestamp: { type: Date, default: Date.now }
+});
+
+registrationSchema.index({ timestamp: -1 });
+
+registrationSchema.methods.refreshIdentityKeys = function () {
+    this.emailKey = normalizeEmail(this.email) || undefined;
+    this.phoneKey = normalizeNigerianPhone(this.phone) || undefined;
+};
+
+registrationSchema.pre('validate', function (next) {
+    if (this.isNew || this.isModified('email') || this.isModified('phone')) {
+        this.refreshIdentityKeys();
+    }
+    next();
+});
+
+// Condition for registrations that have not been soft-deleted
+registrationSchema.statics.ACTIVE = { deletedAt: null };
+
+// Fields an admin may correct (routes/registrations.js); consent changes go
+// through the data-request endpoints so their history is kept
+registrationSchema.statics.EDITABLE_FIELDS = [
+    'firstName',
+    'lastName',
+    'email',
+    'phone',
+    'location',
+    'gender',
+    'channel',
+    'interests',
+    'otherInterest'
+];
+
+// Options offered on registration.html
+registrationSchema.statics.GENDERS = ['Male', 'Female'];
+registrationSchema.statics.CHANNELS = ['Walk-in', 'Invited', 'VIP', 'Staff'];
+
+// Catalogue of the original GITEX Nigeria event; each Event has its own
+registrationSchema.statics.INTERESTS = [
+    'Cloud Service Solution',
+    'Enterprise Business',
+    'Bayobab – Fiber Infrastructure',
+    'Chenosis',
+    'MoMo',
+    'Fiber X',
+    'IOT',
+    'Cyber Security'
+];
+
+module.exports = mongoose.model('Registration', registrationSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A bulk SMS to consenting attendees interested in any of `interests`.
+// Per-recipient delivery is tracked in SmsMessage.
+const smsBroadcastSchema = new mongoose.Schema({
+    message: { type: String, required: true },
+    interests: [String],
+    // Only attendees of this event; unset sends to every event
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+    recipients: { type: Number, default: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    createdByEmail: String,
+    timestamp: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('SmsBroadcast', smsBroadcastSchema);
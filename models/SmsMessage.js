@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One SMS to one attendee, from a registration confirmation or a broadcast.
+// Sent by the job queue (see lib/smsNotifications.js); status follows the
+// gateway's delivery reports.
+const smsMessageSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['registration', 'broadcast'], required: true },
+    broadcast: { type: mongoose.Schema.Types.ObjectId, ref: 'SmsBroadcast', index: true },
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', index: true },
+    to: { type: String, required: true },
+    body: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['queued', 'retrying', 'sent', 'delivered', 'failed'],
+        default: 'queued'
+    },
+    // The gateway's id, used to match delivery reports
+    providerMessageId: { type: String, index: true, sparse: true },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    sentAt: Date,
+    deliveredAt: Date,
+    timestamp: { type: Date, default: Date.now }
+});
+
+smsMessageSchema.statics.STATUSES = ['queued', 'retrying', 'sent', 'delivered', 'failed'];
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
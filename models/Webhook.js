@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const EVENTS = ['registration.created', 'feedback.created', 'attendee.checked_in'];
+
+// An outbound webhook: a CRM (or any HTTP endpoint) that is POSTed the
+// events it subscribes to, signed with its secret (see lib/webhooks.js).
+const webhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    events: [{ type: String, enum: EVENTS }],
+    // Shared with the receiver to check X-Webhook-Signature; never listed
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    updatedAt: Date,
+    timestamp: { type: Date, default: Date.now }
+});
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
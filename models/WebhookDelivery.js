@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One event POSTed to one webhook, sent by a "webhook.deliver" job (see
+// lib/webhooks.js). Deliveries that failed for good are the dead letters an
+// admin can replay. Old deliveries are removed after
+// WEBHOOK_LOG_RETENTION_DAYS, as they carry attendee details.
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+const STATUSES = ['queued', 'retrying', 'delivered', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true, index: true },
+    type: { type: String, required: true },
+    // The attendee the event is about, so erasure requests reach it
+    registration: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration', index: true },
+    // The JSON body, kept as sent so a replay is the very same event
+    body: { type: String, required: true },
+    status: { type: String, enum: STATUSES, default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    responseStatus: Number,
+    error: String,
+    deliveredAt: Date,
+    // Last time an admin sent it again
+    replayedAt: Date,
+    replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    timestamp: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+webhookDeliverySchema.index({ status: 1, timestamp: -1 });
+
+webhookDeliverySchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,110 @@
+// admin-audit.js - Browse the audit log of admin actions (superadmin)
+
+const auditQuery = { page: 1, limit: 50 };
+
+function cell(row, text) {
+    const td = row.insertCell();
+    td.textContent = text || '';
+    return td;
+}
+
+// { format: 'csv', rows: 12 } -> "format: csv, rows: 12"
+function describeParams(params) {
+    if (!params || typeof params !== 'object') return '';
+    return Object.entries(params)
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(' ') : value}`)
+        .join(', ');
+}
+
+function renderAuditPager(result) {
+    const pager = document.getElementById('auditPager');
+    const { page = 1, totalPages = 1, total = 0 } = result;
+    pager.innerHTML = '';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'pager-btn';
+    prevBtn.textContent = '‹ Prev';
+    prevBtn.disabled = page <= 1;
+    prevBtn.addEventListener('click', () => loadAuditLog(page - 1));
+
+    const info = document.createElement('span');
+    info.className = 'pager-info';
+    info.textContent = `Page ${page} of ${totalPages} · ${total} entr${total === 1 ? 'y' : 'ies'}`;
+
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'pager-btn';
+    nextBtn.textContent = 'Next ›';
+    nextBtn.disabled = page >= totalPages;
+    nextBtn.addEventListener('click', () => loadAuditLog(page + 1));
+
+    pager.append(prevBtn, info, nextBtn);
+}
+
+async function loadAuditLog(page = 1) {
+    auditQuery.page = page;
+    const tbody = document.getElementById('auditTableBody');
+
+    try {
+        const result = await getAuditLog(auditQuery);
+        document.getElementById('auditRetention').textContent =
+            `Logins, searches, exports and changes made by admins. Entries are kept for ${result.retentionDays} days.`;
+
+        tbody.innerHTML = '';
+        if (result.data.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">No entries found</td></tr>';
+        }
+        result.data.forEach(entry => {
+            const row = tbody.insertRow();
+            cell(row, new Date(entry.timestamp).toLocaleString('en-GB'));
+            cell(row, entry.actorEmail || '—');
+            cell(row, entry.action);
+            cell(row, entry.target);
+            cell(row, describeParams(entry.params));
+            cell(row, entry.ip);
+        });
+        renderAuditPager(result);
+    } catch (error) {
+        console.error('Failed to load audit log:', error);
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:red;">Failed to load audit log</td></tr>';
+    }
+}
+
+function applyAuditFilters() {
+    document.querySelectorAll('[data-audit-filter]').forEach(control => {
+        auditQuery[control.dataset.auditFilter] = control.value.trim();
+    });
+    loadAuditLog(1);
+}
+
+async function loadAuditActions() {
+    const select = document.querySelector('[data-audit-filter="action"]');
+    try {
+        const actions = await getAuditActions();
+        actions.forEach(action => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = action;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to load audit actions:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    let timeout;
+    document.querySelectorAll('[data-audit-filter]').forEach(control => {
+        control.addEventListener('change', applyAuditFilters);
+        if (control.type === 'text') {
+            control.addEventListener('input', () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(applyAuditFilters, 300);
+            });
+        }
+    });
+
+    loadAuditActions();
+    loadAuditLog();
+});
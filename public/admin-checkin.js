@@ -0,0 +1,88 @@
+// admin-checkin.js - Check-in desk: camera QR scanning or typed badge codes
+
+const locationInput = document.getElementById('checkinLocation');
+const codeInput = document.getElementById('checkinCodeInput');
+const resultBox = document.getElementById('checkinResult');
+const video = document.getElementById('scannerVideo');
+const scanBtn = document.getElementById('scanBtn');
+const feedbackLinkBadge = document.getElementById('feedbackLinkBadge');
+let busy = false;
+
+// Remember which stand this device is at
+locationInput.value = localStorage.getItem('checkinLocation') || '';
+locationInput.addEventListener('change', () => {
+    localStorage.setItem('checkinLocation', locationInput.value.trim());
+});
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+async function submitCode(code) {
+    if (busy || !code) return;
+    busy = true;
+    feedbackLinkBadge.hidden = true;
+
+    try {
+        const response = await checkInAttendee(code, locationInput.value.trim());
+        const { firstName, lastName } = response.attendee;
+        showResult('success', `✅ Welcome, ${firstName} ${lastName}!`);
+        // The attendee's own feedback link, linked to their registration
+        document.getElementById('feedbackLinkQr').src =
+            `/api/feedback/qr?t=${encodeURIComponent(response.feedbackToken)}`;
+        feedbackLinkBadge.hidden = false;
+    } catch (error) {
+        const type = error.message.startsWith('Already checked in') ? 'warning' : 'error';
+        showResult(type, `${type === 'warning' ? '⚠️' : '❌'} ${error.message}`);
+    } finally {
+        codeInput.value = '';
+        codeInput.focus();
+        busy = false;
+    }
+}
+
+document.getElementById('checkinForm').addEventListener('submit', function (e) {
+    e.preventDefault();
+    submitCode(codeInput.value.trim());
+});
+
+// Camera scanning uses the browser's BarcodeDetector where available;
+// other devices fall back to typing the code (or a USB scanner acting as a keyboard)
+async function startScanner() {
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    video.srcObject = stream;
+    video.hidden = false;
+    scanBtn.hidden = true;
+    await video.play();
+
+    let lastCode = null;
+    const scan = async () => {
+        try {
+            const codes = await detector.detect(video);
+            const code = codes[0] && codes[0].rawValue;
+            // Ignore the same badge while it stays in front of the camera
+            if (code && code !== lastCode) {
+                lastCode = code;
+                await submitCode(code);
+                setTimeout(() => { lastCode = null; }, 3000);
+            }
+        } catch (error) {
+            console.error('Scan failed:', error);
+        }
+        requestAnimationFrame(scan);
+    };
+    requestAnimationFrame(scan);
+}
+
+if ('BarcodeDetector' in window && navigator.mediaDevices) {
+    scanBtn.hidden = false;
+    scanBtn.addEventListener('click', () => {
+        startScanner().catch(error => {
+            console.error('Camera unavailable:', error);
+            showResult('error', 'Camera unavailable - type the code instead');
+        });
+    });
+}
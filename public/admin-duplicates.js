@@ -0,0 +1,89 @@
+// admin-duplicates.js - Review and merge suspected duplicate registrations
+
+const MATCH_LABELS = { email: 'same email', phone: 'same phone', linked: 'linked at registration' };
+
+function cell(row, text) {
+    const td = row.insertCell();
+    td.textContent = text || '';
+    return td;
+}
+
+function renderGroup(group, index) {
+    const box = document.createElement('div');
+    box.className = 'duplicate-group';
+
+    const match = document.createElement('div');
+    match.className = 'duplicate-match';
+    match.textContent = `Matched on: ${group.matchedOn.map(m => MATCH_LABELS[m] || m).join(', ')}`;
+    box.appendChild(match);
+
+    const table = document.createElement('table');
+    table.className = 'admin-table';
+    const head = table.createTHead().insertRow();
+    ['Keep', 'Name', 'Email', 'Phone', 'Interests', 'Feedback', 'Registered'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    group.registrations.forEach((reg, i) => {
+        const row = body.insertRow();
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `keep-${index}`;
+        radio.value = reg._id;
+        radio.checked = i === 0; // earliest registration by default
+        row.insertCell().appendChild(radio);
+
+        cell(row, `${reg.firstName || ''} ${reg.lastName || ''}`);
+        cell(row, reg.email);
+        cell(row, reg.phone);
+        cell(row, (reg.interests || []).join(', '));
+        cell(row, String(reg.feedbackCount));
+        cell(row, new Date(reg.timestamp).toLocaleString('en-GB'));
+    });
+    box.appendChild(table);
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.type = 'button';
+    mergeBtn.className = 'export-btn';
+    mergeBtn.textContent = '🔗 Merge';
+    mergeBtn.dataset.roles = 'organizer superadmin';
+    mergeBtn.hidden = !mergeBtn.dataset.roles.split(' ').includes(getAdminProfile().role);
+    mergeBtn.addEventListener('click', async () => {
+        const primaryId = box.querySelector('input[type="radio"]:checked').value;
+        const duplicateIds = group.registrations.map(r => r._id).filter(id => id !== primaryId);
+        if (!confirm(`Merge ${duplicateIds.length} record(s) into the selected registration?`)) return;
+
+        mergeBtn.disabled = true;
+        try {
+            await mergeDuplicates(primaryId, duplicateIds);
+            box.remove();
+        } catch (error) {
+            alert(`Merge failed: ${error.message}`);
+            mergeBtn.disabled = false;
+        }
+    });
+    box.appendChild(mergeBtn);
+
+    return box;
+}
+
+async function loadDuplicates() {
+    const container = document.getElementById('duplicateGroups');
+    try {
+        const groups = await getDuplicateGroups();
+        container.innerHTML = '';
+        if (groups.length === 0) {
+            container.innerHTML = '<div style="text-align:center;padding:20px;">No suspected duplicates 🎉</div>';
+            return;
+        }
+        groups.forEach((group, index) => container.appendChild(renderGroup(group, index)));
+    } catch (error) {
+        console.error('Failed to load duplicates:', error);
+        container.innerHTML = '<div style="text-align:center;color:red;padding:20px;">Failed to load duplicates</div>';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadDuplicates);
@@ -0,0 +1,166 @@
+// admin-events.js - events side by side, and creating or changing one (superadmins)
+
+const form = document.getElementById('eventForm');
+const resultBox = document.getElementById('eventResult');
+const canManage = getAdminProfile().role === 'superadmin';
+
+let events = [];
+let editingId = null;
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+function cell(row, text) {
+    const td = row.insertCell();
+    td.textContent = text === undefined || text === null ? '' : String(text);
+    return td;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-GB') : '';
+}
+
+function describeDates(event) {
+    const dates = [formatDate(event.startsAt), formatDate(event.endsAt)].filter(Boolean);
+    return dates.length ? [...new Set(dates)].join(' – ') : '—';
+}
+
+// <input type="date"> takes yyyy-mm-dd
+function dateInputValue(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+// ====== Comparison table ======
+
+async function loadEvents() {
+    const tbody = document.getElementById('eventTableBody');
+
+    try {
+        // Full events for the edit form, headline numbers for the table
+        const [allEvents, comparison] = await Promise.all([getEvents(), compareEvents()]);
+        events = allEvents;
+        tbody.innerHTML = '';
+        if (comparison.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="11" style="text-align:center;">No events yet</td></tr>';
+            return;
+        }
+
+        comparison.forEach(stats => {
+            const event = events.find(item => item._id === stats._id) || stats;
+            const row = tbody.insertRow();
+            const name = cell(row, event.name);
+            if (event.active === false) name.appendChild(textElement('div', 'duplicate-match', 'Inactive'));
+            cell(row, describeDates(event));
+            cell(row, stats.attendees);
+            cell(row, `${stats.checkedIn} (${stats.checkInRate}%)`);
+            cell(row, stats.duplicates);
+            cell(row, stats.consenting);
+            cell(row, stats.feedback);
+            cell(row, stats.averageRating === null ? '—' : stats.averageRating.toFixed(1));
+            cell(row, stats.topInterests.map(item => `${item.interest} (${item.count})`).join(', ') || '—');
+            cell(row, `/e/${event.slug}`);
+
+            const actions = row.insertCell();
+            if (canManage) {
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.className = 'pager-btn';
+                editBtn.textContent = '✏️ Edit';
+                editBtn.addEventListener('click', () => editEvent(event._id));
+                const formsBtn = document.createElement('button');
+                formsBtn.type = 'button';
+                formsBtn.className = 'pager-btn';
+                formsBtn.textContent = '🧾 Forms';
+                formsBtn.dataset.href = `admin-forms.html?event=${encodeURIComponent(event._id)}`;
+                actions.append(editBtn, formsBtn);
+            }
+        });
+    } catch (error) {
+        console.error('Failed to load events:', error);
+        tbody.innerHTML = '<tr><td colspan="11" style="text-align:center;color:red;">Failed to load events</td></tr>';
+    }
+}
+
+// ====== Create / edit form ======
+
+function readEvent() {
+    const value = name => form.elements[name].value.trim();
+    return {
+        name: value('name'),
+        slug: value('slug').toLowerCase(),
+        startsAt: value('startsAt'),
+        endsAt: value('endsAt'),
+        venue: value('venue'),
+        branding: {
+            welcomeText: value('branding.welcomeText'),
+            logoUrl: value('branding.logoUrl'),
+            primaryColor: value('branding.primaryColor')
+        },
+        interests: value('interests').split('\n').map(interest => interest.trim()).filter(Boolean),
+        active: form.elements.active.checked
+    };
+}
+
+function resetForm() {
+    editingId = null;
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('eventFormTitle').textContent = 'New Event';
+    document.getElementById('newEventBtn').hidden = true;
+}
+
+function editEvent(id) {
+    const event = events.find(item => item._id === id);
+    if (!event) return;
+
+    resetForm();
+    editingId = id;
+    const branding = event.branding || {};
+    form.elements.name.value = event.name;
+    form.elements.slug.value = event.slug;
+    form.elements.startsAt.value = dateInputValue(event.startsAt);
+    form.elements.endsAt.value = dateInputValue(event.endsAt);
+    form.elements.venue.value = event.venue || '';
+    form.elements['branding.welcomeText'].value = branding.welcomeText || '';
+    form.elements['branding.logoUrl'].value = branding.logoUrl || '';
+    form.elements['branding.primaryColor'].value = branding.primaryColor || '#ffcc00';
+    form.elements.interests.value = (event.interests || []).join('\n');
+    form.elements.active.checked = event.active;
+
+    document.getElementById('eventFormTitle').textContent = `Edit ${event.name}`;
+    document.getElementById('newEventBtn').hidden = false;
+    resultBox.hidden = true;
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+form.addEventListener('submit', async submitEvent => {
+    submitEvent.preventDefault();
+    clearFieldErrors(form);
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const data = readEvent();
+        const result = editingId ? await updateEvent(editingId, data) : await createEvent(data);
+        showResult('success', `✅ ${result.event.name} saved — kiosk link /e/${result.event.slug}`);
+        // The switcher and headers use the selected event's name and interests
+        if (getAdminEvent() && getAdminEvent()._id === result.event._id) setAdminEvent(result.event);
+        resetForm();
+        loadEvents();
+    } catch (error) {
+        if (error.errors) showFieldErrors(error.errors, form);
+        showResult('error', `❌ ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+document.getElementById('newEventBtn').addEventListener('click', () => {
+    resetForm();
+    resultBox.hidden = true;
+});
+
+document.addEventListener('DOMContentLoaded', loadEvents);
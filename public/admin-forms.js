@@ -0,0 +1,265 @@
+// admin-forms.js - the registration and feedback forms of each event, one field per row (superadmins)
+
+const FIELD_TYPE_NAMES = {
+    text: 'Short text',
+    textarea: 'Long text',
+    email: 'Email',
+    phone: 'Phone',
+    choice: 'Pick one',
+    multichoice: 'Pick several',
+    number: 'Number',
+    interests: 'Areas of interest',
+    rating: 'Rating'
+};
+const OPTION_TYPES = ['choice', 'multichoice', 'rating'];
+const PLACEHOLDER_TYPES = ['text', 'textarea', 'email', 'phone', 'number'];
+// What max means for each type that has one
+const MAX_LABELS = {
+    text: 'Longest answer',
+    textarea: 'Longest answer',
+    multichoice: 'Most picks',
+    interests: 'Most picks',
+    number: 'Highest value'
+};
+
+const eventSelect = document.getElementById('formEvent');
+const kindSelect = document.getElementById('formKind');
+const fieldForm = document.getElementById('fieldForm');
+const fieldRows = document.getElementById('fieldRows');
+const builtInSelect = document.getElementById('addBuiltInField');
+const resultBox = document.getElementById('formResult');
+
+// GET /api/admin/forms/:eventId for the selected event
+let forms = null;
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+// Built-in fields of the form being edited: key -> { type, locked }
+function builtIns() {
+    return forms.builtInFields[kindSelect.value];
+}
+
+function settingInput(name, placeholder, value, type = 'text') {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'form-control';
+    input.placeholder = placeholder;
+    input.title = placeholder;
+    input.value = value === undefined || value === null ? '' : value;
+    input.dataset.setting = name;
+    return input;
+}
+
+function rowButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pager-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// ====== Field rows ======
+
+function addFieldRow(field = { type: 'text' }) {
+    const builtIn = field.key ? builtIns()[field.key] : null;
+    const row = document.createElement('div');
+    row.className = 'field-row';
+
+    const key = settingInput('key', 'key, e.g. company-size', field.key);
+    key.readOnly = Boolean(builtIn);
+    const label = settingInput('label', 'Label, e.g. How big is your company?', field.label);
+
+    const type = document.createElement('select');
+    type.className = 'form-control';
+    type.dataset.setting = 'type';
+    (builtIn ? [builtIn.type] : forms.customTypes)
+        .forEach(value => type.appendChild(new Option(FIELD_TYPE_NAMES[value], value)));
+    type.value = field.type;
+
+    const required = document.createElement('input');
+    required.type = 'checkbox';
+    required.checked = Boolean(field.required);
+    required.disabled = Boolean(builtIn && builtIn.locked);
+    required.dataset.setting = 'required';
+    const requiredLabel = document.createElement('label');
+    requiredLabel.append(required, ' Required');
+
+    const options = settingInput('options', 'Choices, comma separated', (field.options || []).join(', '));
+    const placeholder = settingInput('placeholder', 'Placeholder', field.placeholder);
+    const min = settingInput('min', 'Lowest value', field.min, 'number');
+    const max = settingInput('max', '', field.max, 'number');
+    max.min = 1;
+
+    const step = document.createElement('select');
+    step.className = 'form-control';
+    step.dataset.setting = 'step';
+    step.append(new Option('Page 1 (biodata)', '1'), new Option('Page 2 (with the interests)', '2'));
+    step.value = String(field.step || 2);
+
+    // Only the settings that apply to the type are shown (and saved)
+    const showSettings = () => {
+        options.hidden = !OPTION_TYPES.includes(type.value);
+        options.placeholder = type.value === 'rating'
+            ? 'Word under each point from 1 to 5, comma separated'
+            : 'Choices, comma separated';
+        placeholder.hidden = !PLACEHOLDER_TYPES.includes(type.value);
+        min.hidden = type.value !== 'number';
+        max.hidden = !MAX_LABELS[type.value];
+        max.placeholder = MAX_LABELS[type.value] || '';
+        max.title = max.placeholder;
+        step.hidden = kindSelect.value !== 'registration' || type.value === 'interests';
+    };
+    type.addEventListener('change', showSettings);
+    showSettings();
+
+    const removeBtn = rowButton('✕', 'Remove field', () => {
+        row.remove();
+        updateBuiltInSelect();
+    });
+    removeBtn.disabled = Boolean(builtIn && builtIn.locked);
+
+    const main = document.createElement('div');
+    main.className = 'field-main';
+    main.append(
+        key,
+        label,
+        type,
+        requiredLabel,
+        rowButton('↑', 'Move up', () => {
+            if (row.previousElementSibling) fieldRows.insertBefore(row, row.previousElementSibling);
+        }),
+        rowButton('↓', 'Move down', () => {
+            if (row.nextElementSibling) fieldRows.insertBefore(row.nextElementSibling, row);
+        }),
+        removeBtn
+    );
+
+    const details = document.createElement('div');
+    details.className = 'field-details';
+    details.append(options, placeholder, min, max, step);
+
+    row.append(main, details);
+    fieldRows.appendChild(row);
+}
+
+function readFields() {
+    return Array.from(fieldRows.querySelectorAll('.field-row')).map(row => {
+        const setting = name => row.querySelector(`[data-setting="${name}"]`);
+        const shown = name => !setting(name).hidden && setting(name).value.trim() !== '';
+        const field = {
+            key: setting('key').value.trim(),
+            label: setting('label').value.trim(),
+            type: setting('type').value,
+            required: setting('required').checked
+        };
+        if (shown('options')) {
+            field.options = setting('options').value.split(',').map(option => option.trim()).filter(Boolean);
+        }
+        ['placeholder', 'min', 'max', 'step'].filter(shown).forEach(name => {
+            field[name] = setting(name).value.trim();
+        });
+        return field;
+    });
+}
+
+// Built-in fields that were left out of the form can be added back
+function updateBuiltInSelect() {
+    const used = Array.from(fieldRows.querySelectorAll('[data-setting="key"]')).map(input => input.value.trim());
+    builtInSelect.length = 1;
+    Object.keys(builtIns())
+        .filter(key => !used.includes(key))
+        .forEach(key => builtInSelect.appendChild(new Option(key, key)));
+    builtInSelect.hidden = builtInSelect.length === 1;
+}
+
+// ====== Loading and saving ======
+
+async function loadVersions() {
+    const tbody = document.getElementById('versionTableBody');
+    try {
+        const versions = await getFormVersions(eventSelect.value, kindSelect.value);
+        tbody.innerHTML = '';
+        versions.forEach(version => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = `v${version.version}`;
+            row.insertCell().textContent = new Date(version.timestamp).toLocaleString('en-GB');
+            row.insertCell().textContent = version.createdBy
+                ? version.createdBy.name || version.createdBy.email
+                : 'Original kiosk form';
+            row.insertCell().textContent = version.fields.map(field => field.label).join(', ');
+        });
+    } catch (error) {
+        console.error('Failed to load form versions:', error);
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align:center; color:red;">Failed to load versions</td></tr>';
+    }
+}
+
+function renderForm() {
+    const form = forms[kindSelect.value];
+    clearFieldErrors(fieldForm);
+    fieldRows.innerHTML = '';
+    form.fields.forEach(field => addFieldRow(field));
+    updateBuiltInSelect();
+    document.getElementById('formVersion').textContent =
+        `Version ${form.version}, saved ${new Date(form.timestamp).toLocaleString('en-GB')}`;
+    loadVersions();
+}
+
+async function loadForms() {
+    try {
+        forms = await getEventForms(eventSelect.value);
+        renderForm();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+}
+
+async function loadEventOptions() {
+    try {
+        const events = await getEvents();
+        events.forEach(event => eventSelect.appendChild(new Option(event.name, event._id)));
+        // Opened from admin-events.html with ?event=, otherwise the event selected in the header
+        const wanted = new URLSearchParams(window.location.search).get('event') || (getAdminEvent() || {})._id;
+        if (events.some(event => event._id === wanted)) eventSelect.value = wanted;
+        if (events.length) loadForms();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+}
+
+fieldForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    clearFieldErrors(fieldForm);
+
+    const submitBtn = fieldForm.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const result = await saveEventForm(eventSelect.value, kindSelect.value, readFields());
+        showResult('success', `✅ Version ${result.form.version} saved — kiosks show it when a page is next opened`);
+        loadForms();
+    } catch (error) {
+        if (error.errors) showFieldErrors(error.errors, fieldForm);
+        showResult('error', `❌ ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+builtInSelect.addEventListener('change', () => {
+    const key = builtInSelect.value;
+    if (!key) return;
+    addFieldRow({ key, label: key, type: builtIns()[key].type });
+    updateBuiltInSelect();
+});
+
+document.getElementById('addFieldBtn').addEventListener('click', () => addFieldRow());
+eventSelect.addEventListener('change', loadForms);
+kindSelect.addEventListener('change', renderForm);
+
+document.addEventListener('DOMContentLoaded', loadEventOptions);
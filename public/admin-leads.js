@@ -0,0 +1,313 @@
+// admin-leads.js - lead queues (mine, a team's, unassigned) and the routing rules
+
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+const OPEN_STATUSES = ['new', 'contacted', 'qualified'];
+
+const leadQuery = { owner: 'me', page: 1, limit: 25 };
+const profile = getAdminProfile();
+const isManager = ['organizer', 'superadmin'].includes(profile.role);
+const resultBox = document.getElementById('leadResult');
+const ruleForm = document.getElementById('ruleForm');
+const ruleRows = document.getElementById('ruleRows');
+
+let owners = [];
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+function ownerLabel(owner) {
+    return owner ? owner.name || owner.email : 'Unassigned';
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// <input type="date"> takes yyyy-mm-dd
+function dateInputValue(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+function isOverdue(lead) {
+    return Boolean(lead.dueAt) && OPEN_STATUSES.includes(lead.status) && new Date(lead.dueAt) < new Date();
+}
+
+function ownerSelect(selected) {
+    const select = document.createElement('select');
+    select.className = 'form-control';
+    select.appendChild(new Option('Unassigned', ''));
+    owners.forEach(owner => select.appendChild(new Option(ownerLabel(owner), owner._id)));
+    select.value = selected || '';
+    return select;
+}
+
+function labelled(text, control) {
+    const label = document.createElement('label');
+    label.append(textElement('span', '', text), control);
+    return label;
+}
+
+// ====== Queue ======
+
+async function changeLead(lead, changes, card) {
+    try {
+        const result = await updateLead(lead._id, changes);
+        card.replaceWith(leadCard(result.lead));
+    } catch (error) {
+        alert(`Could not update lead: ${error.message}`);
+        loadLeads();
+    }
+}
+
+function leadCard(lead) {
+    const registration = lead.registration || {};
+    const canWork = isManager || (lead.owner && lead.owner._id === profile._id);
+
+    const card = document.createElement('div');
+    card.className = `lead-card${isOverdue(lead) ? ' overdue' : ''}`;
+
+    const header = document.createElement('div');
+    header.className = 'lead-header';
+    const name = textElement('a', 'lead-name', `${registration.firstName || ''} ${registration.lastName || ''}`);
+    name.href = `admin-registration.html?id=${encodeURIComponent(registration._id || '')}`;
+    header.append(name, textElement('span', `lead-status ${lead.status}`, capitalize(lead.status)));
+    card.appendChild(header);
+
+    // Attendee-supplied values are set as text, never parsed as HTML
+    card.appendChild(textElement('div', 'lead-contact',
+        [registration.email, registration.phone, registration.location].filter(Boolean).join(' · ')));
+    card.appendChild(textElement('div', 'feedback-interests',
+        `${lead.team} · ${(lead.interests || []).join(', ')}${registration.deletedAt ? ' · registration deleted' : ''}`));
+
+    const controls = document.createElement('div');
+    controls.className = 'lead-controls';
+
+    const status = document.createElement('select');
+    status.className = 'form-control';
+    LEAD_STATUSES.forEach(value => status.appendChild(new Option(capitalize(value), value)));
+    status.value = lead.status;
+    status.disabled = !canWork;
+    status.addEventListener('change', () => changeLead(lead, { status: status.value }, card));
+
+    const due = document.createElement('input');
+    due.type = 'date';
+    due.className = 'form-control';
+    due.value = dateInputValue(lead.dueAt);
+    due.disabled = !canWork;
+    due.addEventListener('change', () => changeLead(lead, { dueAt: due.value }, card));
+
+    controls.append(labelled('Status', status), labelled('Follow up by', due));
+
+    if (isManager) {
+        const owner = ownerSelect(lead.owner && lead.owner._id);
+        owner.addEventListener('change', () => changeLead(lead, { owner: owner.value }, card));
+        controls.appendChild(labelled('Owner', owner));
+    } else {
+        controls.appendChild(textElement('div', 'lead-owner', `Owner: ${ownerLabel(lead.owner)}`));
+    }
+    card.appendChild(controls);
+
+    const notes = document.createElement('div');
+    notes.className = 'lead-notes';
+    (lead.notes || []).slice().reverse().forEach(note => {
+        const item = textElement('div', 'lead-note', note.text);
+        item.appendChild(textElement('div', 'feedback-date',
+            `${note.authorName || 'Admin'} · ${new Date(note.timestamp).toLocaleString('en-GB')}`));
+        notes.appendChild(item);
+    });
+    card.appendChild(notes);
+
+    if (canWork) {
+        const noteForm = document.createElement('form');
+        noteForm.className = 'lead-note-form';
+        const text = document.createElement('textarea');
+        text.className = 'form-control';
+        text.placeholder = 'What happened? e.g. Called, wants a demo next week';
+        text.maxLength = 2000;
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.className = 'pager-btn';
+        addBtn.textContent = '+ Add note';
+        noteForm.append(text, addBtn);
+        noteForm.addEventListener('submit', async event => {
+            event.preventDefault();
+            if (!text.value.trim()) return;
+            addBtn.disabled = true;
+            try {
+                const result = await addLeadNote(lead._id, text.value.trim());
+                card.replaceWith(leadCard(result.lead));
+            } catch (error) {
+                alert(`Could not add note: ${error.message}`);
+                addBtn.disabled = false;
+            }
+        });
+        card.appendChild(noteForm);
+    }
+
+    return card;
+}
+
+function renderLeadPager(result) {
+    const pager = document.getElementById('leadPager');
+    const { page = 1, totalPages = 1, total = 0 } = result;
+    pager.innerHTML = '';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'pager-btn';
+    prevBtn.textContent = '‹ Prev';
+    prevBtn.disabled = page <= 1;
+    prevBtn.addEventListener('click', () => goToLeadPage(page - 1));
+
+    const info = textElement('span', 'pager-info', `Page ${page} of ${totalPages} · ${total} lead${total === 1 ? '' : 's'}`);
+
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'pager-btn';
+    nextBtn.textContent = 'Next ›';
+    nextBtn.disabled = page >= totalPages;
+    nextBtn.addEventListener('click', () => goToLeadPage(page + 1));
+
+    pager.append(prevBtn, info, nextBtn);
+}
+
+function goToLeadPage(page) {
+    leadQuery.page = page;
+    loadLeads();
+}
+
+async function loadLeads() {
+    const list = document.getElementById('leadList');
+    try {
+        const result = await getLeads(leadQuery);
+        list.innerHTML = '';
+        if (result.data.length === 0) {
+            list.innerHTML = '<div class="user-item">No leads in this queue</div>';
+        }
+        result.data.forEach(lead => list.appendChild(leadCard(lead)));
+        renderLeadPager(result);
+    } catch (error) {
+        console.error('Failed to load leads:', error);
+        list.innerHTML = '<div class="user-item" style="color:red;">Failed to load leads</div>';
+    }
+}
+
+document.querySelectorAll('[data-lead-filter]').forEach(control => {
+    control.addEventListener('change', () => {
+        leadQuery[control.dataset.leadFilter] = control.value;
+        leadQuery.page = 1;
+        loadLeads();
+    });
+});
+
+document.getElementById('routeLeadsBtn').addEventListener('click', async event => {
+    const routeBtn = event.currentTarget;
+    routeBtn.disabled = true;
+    try {
+        const result = await routeLeads();
+        showResult('success', `✅ ${result.created} lead(s) created from ${result.registrations} registration(s)`);
+        loadLeads();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    } finally {
+        routeBtn.disabled = false;
+    }
+});
+
+// ====== Routing rules ======
+
+function addRuleRow(rule = {}) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const interest = document.createElement('input');
+    interest.className = 'form-control';
+    interest.placeholder = 'Area of interest, e.g. MoMo';
+    interest.value = rule.interest || '';
+    interest.setAttribute('list', 'interestOptions');
+    interest.dataset.rule = 'interest';
+
+    const team = document.createElement('input');
+    team.className = 'form-control';
+    team.placeholder = 'Team, e.g. Fintech Sales';
+    team.value = rule.team || '';
+    team.setAttribute('list', 'teamOptions');
+    team.dataset.rule = 'team';
+
+    const owner = ownerSelect(rule.owner && rule.owner._id);
+    owner.options[0].text = 'Anyone in the team';
+    owner.dataset.rule = 'owner';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'pager-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove rule';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(interest, team, owner, removeBtn);
+    ruleRows.appendChild(row);
+}
+
+function readRules() {
+    return Array.from(ruleRows.querySelectorAll('.rule-row')).map(row => {
+        const field = name => row.querySelector(`[data-rule="${name}"]`).value.trim();
+        return { interest: field('interest'), team: field('team'), owner: field('owner') };
+    });
+}
+
+function fillDatalist(id, values) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    [...new Set(values)].sort().forEach(value => list.appendChild(new Option(value)));
+}
+
+async function loadRules() {
+    try {
+        const [{ rules, teams }, events] = await Promise.all([getLeadRules(), getEvents()]);
+        const teamFilter = document.querySelector('[data-lead-filter="team"]');
+        teams.forEach(team => teamFilter.appendChild(new Option(team, team)));
+
+        fillDatalist('teamOptions', teams);
+        fillDatalist('interestOptions', events.flatMap(event => event.interests || []));
+        ruleRows.innerHTML = '';
+        rules.forEach(rule => addRuleRow(rule));
+    } catch (error) {
+        console.error('Failed to load lead rules:', error);
+    }
+}
+
+ruleForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    clearFieldErrors(ruleForm);
+
+    const submitBtn = ruleForm.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const result = await saveLeadRules(readRules());
+        showResult('success', `✅ ${result.rules.length} rule(s) saved`);
+        loadRules();
+    } catch (error) {
+        if (error.errors) showFieldErrors(error.errors, ruleForm);
+        else alert(`Could not save rules: ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+document.getElementById('addRuleBtn').addEventListener('click', () => addRuleRow());
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        owners = await getLeadOwners();
+        const ownerFilter = document.querySelector('[data-lead-filter="owner"]');
+        owners.forEach(owner => ownerFilter.appendChild(new Option(ownerLabel(owner), owner._id)));
+    } catch (error) {
+        console.error('Failed to load lead owners:', error);
+    }
+    loadLeads();
+    loadRules();
+});
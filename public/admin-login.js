@@ -0,0 +1,18 @@
+// admin-login.js - Admin login form
+
+// Admin login handler - credentials are checked by the server
+document.getElementById('adminLoginForm').addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const username = document.getElementById('adminUsername').value;
+    const password = document.getElementById('adminPassword').value;
+    const submitBtn = this.querySelector('button[type="submit"]');
+
+    submitBtn.disabled = true;
+    try {
+        await adminLogin(username, password);
+        window.location.href = 'admin.html';
+    } catch (error) {
+        alert(`Login failed: ${error.message}`);
+        submitBtn.disabled = false;
+    }
+});
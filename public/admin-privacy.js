@@ -0,0 +1,74 @@
+// admin-privacy.js - Data-subject requests: export, consent withdrawal and erasure
+
+const resultBox = document.getElementById('privacyResult');
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+function currentSubject() {
+    const email = document.getElementById('subjectEmail').value.trim();
+    const phone = document.getElementById('subjectPhone').value.trim();
+    if (!email && !phone) {
+        showResult('error', 'Enter the attendee\'s email or phone number first');
+        return null;
+    }
+    return { email, phone };
+}
+
+function describe(subject) {
+    return [subject.email, subject.phone].filter(Boolean).join(' / ');
+}
+
+document.getElementById('downloadSubjectBtn').addEventListener('click', async () => {
+    const subject = currentSubject();
+    if (!subject) return;
+
+    try {
+        await downloadSubjectData(subject);
+        showResult('success', `✅ Data for ${describe(subject)} downloaded`);
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+});
+
+document.querySelectorAll('[data-consent]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        const subject = currentSubject();
+        if (!subject) return;
+
+        try {
+            const result = await updateSubjectConsent(subject, btn.dataset.consent, false);
+            showResult(result.registrations ? 'success' : 'warning',
+                `${result.registrations ? '✅' : '⚠️'} Consent withdrawn on ${result.registrations} registration(s)`);
+        } catch (error) {
+            showResult('error', `❌ ${error.message}`);
+        }
+    });
+});
+
+document.querySelectorAll('[data-erase]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        const subject = currentSubject();
+        if (!subject) return;
+
+        const mode = btn.dataset.erase;
+        const warning = mode === 'delete'
+            ? `Permanently delete every registration and feedback for ${describe(subject)}? This cannot be undone.`
+            : `Remove the name, contact details and location of ${describe(subject)}? This cannot be undone.`;
+        if (!confirm(warning)) return;
+
+        try {
+            const result = await eraseSubjectData(subject, mode);
+            showResult(result.registrations ? 'success' : 'warning',
+                `${result.registrations ? '✅' : '⚠️'} ${result.registrations} registration(s), ` +
+                `${result.feedback} feedback and ${result.mergedRecords} merged record(s) ` +
+                `${mode === 'delete' ? 'deleted' : 'anonymised'}; ` +
+                `${result.auditEntries} audit log search(es) redacted`);
+        } catch (error) {
+            showResult('error', `❌ ${error.message}`);
+        }
+    });
+});
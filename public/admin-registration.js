@@ -0,0 +1,168 @@
+// admin-registration.js - One registration: details, corrections, delete/restore and its feedback
+
+const registrationId = new URLSearchParams(window.location.search).get('id');
+const form = document.getElementById('registrationForm');
+const fields = document.getElementById('registrationFields');
+const resultBox = document.getElementById('registrationResult');
+const canChange = ['organizer', 'superadmin'].includes(getAdminProfile().role);
+
+// Editable fields other than the interest checkboxes
+const TEXT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'location', 'gender', 'channel', 'otherInterest'];
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+// Gender and channel offer the choices of the attendee's form version,
+// plus the stored value should it no longer be one of them
+function fillChoices(registration, formFields) {
+    ['gender', 'channel'].forEach(name => {
+        const field = (formFields || []).find(candidate => candidate.key === name);
+        if (!field || !(field.options || []).length) return;
+
+        const choices = [...new Set([...(field.required ? [] : ['']), ...field.options, registration[name] || ''])];
+        form.elements[name].replaceChildren(...choices.map(choice => {
+            const option = textElement('option', '', choice || 'Not given');
+            option.value = choice;
+            return option;
+        }));
+    });
+}
+
+function fillForm(registration) {
+    TEXT_FIELDS.forEach(name => {
+        form.elements[name].value = registration[name] || '';
+    });
+    const interests = registration.interests || [];
+    form.querySelectorAll('input[name="interests"]').forEach(box => {
+        box.checked = interests.includes(box.value);
+    });
+}
+
+function readForm() {
+    const changes = {};
+    TEXT_FIELDS.forEach(name => {
+        changes[name] = form.elements[name].value.trim();
+    });
+    changes.interests = Array.from(form.querySelectorAll('input[name="interests"]:checked')).map(box => box.value);
+    return changes;
+}
+
+function describeStatus(registration, event) {
+    const parts = [`Registered ${new Date(registration.timestamp).toLocaleString('en-GB')}${event ? ` at ${event.name}` : ''}`];
+    if (registration.checkInCode) parts.push(`check-in code ${registration.checkInCode}`);
+    if (registration.checkedInAt) parts.push(`checked in ${new Date(registration.checkedInAt).toLocaleString('en-GB')}`);
+    if (registration.duplicateOf) parts.push('merged into another registration');
+    if (registration.deletedAt) parts.push(`deleted ${new Date(registration.deletedAt).toLocaleString('en-GB')}`);
+    if (registration.erasedAt) parts.push(`data erased ${new Date(registration.erasedAt).toLocaleString('en-GB')}`);
+    return parts.join(' · ');
+}
+
+// "Label: answer" for each of the event's own fields the attendee answered,
+// labelled by the server from the form version they filled in
+function renderAnswers(answers) {
+    const container = document.getElementById('registrationAnswers');
+    container.innerHTML = '';
+    container.hidden = answers.length === 0;
+    answers.forEach(({ label, answer }) => {
+        container.appendChild(textElement('div', 'duplicate-match', `${label}: ${answer}`));
+    });
+}
+
+function renderFeedback(feedback) {
+    const container = document.getElementById('registrationFeedback');
+    container.innerHTML = '';
+    if (feedback.length === 0) {
+        container.appendChild(textElement('div', 'feedback-date', 'No feedback from this attendee'));
+        return;
+    }
+
+    feedback.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'feedback-card';
+        const state = item.deletedAt ? 'deleted' : item.moderation;
+        const rating = item.rating ? ` | Rating: ${item.rating}/5` : '';
+        [item.feedback1, item.feedback2].filter(Boolean)
+            .forEach(answer => card.appendChild(textElement('div', 'feedback-text', answer)));
+        (item.answers || [])
+            .forEach(({ label, answer }) => card.appendChild(textElement('div', 'feedback-text', `${label}: ${answer}`)));
+        card.appendChild(textElement('div', 'feedback-date',
+            `${new Date(item.timestamp).toLocaleDateString('en-GB')}${rating}${state !== 'visible' ? ` | ${state}` : ''}`));
+        container.appendChild(card);
+    });
+}
+
+function render({ registration, answers, fields: formFields, event, feedback }) {
+    document.getElementById('registrationTitle').textContent =
+        `${registration.firstName || ''} ${registration.lastName || ''}`.trim() || 'Registration';
+    document.getElementById('registrationStatus').textContent = describeStatus(registration, event);
+    // Interests come from the registration's own event
+    if (event) {
+        renderInterestCheckboxes(form.querySelector('[data-field="interests"]'), event.interests || []);
+    }
+    fillChoices(registration, formFields);
+    fillForm(registration);
+    renderAnswers(answers || []);
+
+    const deleted = Boolean(registration.deletedAt);
+    // Erased data stays erased
+    fields.disabled = !canChange || deleted || Boolean(registration.erasedAt);
+    document.getElementById('saveRegistrationBtn').hidden = deleted || Boolean(registration.erasedAt);
+    document.getElementById('deleteRegistrationBtn').hidden = deleted;
+    document.getElementById('restoreRegistrationBtn').hidden = !deleted;
+    renderFeedback(feedback || []);
+}
+
+async function loadRegistration() {
+    if (!registrationId) {
+        showResult('error', '❌ No registration selected');
+        return;
+    }
+    try {
+        render(await getRegistration(registrationId));
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+}
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    clearFieldErrors(form);
+    const saveBtn = document.getElementById('saveRegistrationBtn');
+    saveBtn.disabled = true;
+    try {
+        await updateRegistration(registrationId, readForm());
+        showResult('success', '✅ Changes saved');
+        loadRegistration();
+    } catch (error) {
+        if (error.errors) showFieldErrors(error.errors, form);
+        showResult('error', `❌ ${error.message}`);
+    } finally {
+        saveBtn.disabled = false;
+    }
+});
+
+document.getElementById('deleteRegistrationBtn').addEventListener('click', async () => {
+    if (!confirm('Delete this registration? It can be restored later from the deleted registrations list.')) return;
+    try {
+        await deleteRegistration(registrationId);
+        showResult('success', '🗑 Registration deleted');
+        loadRegistration();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+});
+
+document.getElementById('restoreRegistrationBtn').addEventListener('click', async () => {
+    try {
+        await restoreRegistration(registrationId);
+        showResult('success', '♻️ Registration restored');
+        loadRegistration();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+});
+
+document.addEventListener('DOMContentLoaded', loadRegistration);
@@ -0,0 +1,144 @@
+// admin-sms.js - SMS broadcasts by interest and their delivery status
+
+const form = document.getElementById('broadcastForm');
+const messageInput = document.getElementById('smsMessage');
+const resultBox = document.getElementById('broadcastResult');
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+function cell(row, text) {
+    const td = row.insertCell();
+    td.textContent = text || '';
+    return td;
+}
+
+function selectedInterests() {
+    return Array.from(form.querySelectorAll('input[name="interests"]:checked')).map(box => box.value);
+}
+
+// One SMS is 160 characters; longer messages are sent (and billed) in parts
+function updateLength() {
+    const length = messageInput.value.length;
+    const parts = Math.max(Math.ceil(length / 153), 1);
+    document.getElementById('smsLength').textContent =
+        `(${length} characters${length > 160 ? `, ${parts} SMS each` : ''})`;
+}
+
+// "delivered 12 · sent 3 · failed 1", leaving out empty statuses
+function describeStatus(status) {
+    return Object.entries(status)
+        .filter(([, count]) => count)
+        .map(([name, count]) => `${name} ${count}`)
+        .join(' · ') || '—';
+}
+
+async function loadBroadcasts() {
+    const tbody = document.getElementById('broadcastTableBody');
+    const canSend = ['organizer', 'superadmin'].includes(getAdminProfile().role);
+
+    try {
+        const broadcasts = await getSmsBroadcasts();
+        tbody.innerHTML = '';
+        if (broadcasts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">No broadcasts yet</td></tr>';
+            return;
+        }
+
+        broadcasts.forEach(broadcast => {
+            const row = tbody.insertRow();
+            cell(row, new Date(broadcast.timestamp).toLocaleString('en-GB'));
+            cell(row, broadcast.interests.join(', '));
+            cell(row, broadcast.message);
+            cell(row, String(broadcast.recipients));
+            cell(row, describeStatus(broadcast.status));
+
+            const actions = row.insertCell();
+            if (canSend && broadcast.status.failed) {
+                const retryBtn = document.createElement('button');
+                retryBtn.type = 'button';
+                retryBtn.className = 'pager-btn';
+                retryBtn.textContent = '↻ Retry failed';
+                retryBtn.addEventListener('click', async () => {
+                    retryBtn.disabled = true;
+                    try {
+                        const result = await retrySmsBroadcast(broadcast._id);
+                        showResult('success', `✅ ${result.message}`);
+                        loadBroadcasts();
+                    } catch (error) {
+                        alert(`Retry failed: ${error.message}`);
+                        retryBtn.disabled = false;
+                    }
+                });
+                actions.appendChild(retryBtn);
+            }
+        });
+    } catch (error) {
+        console.error('Failed to load broadcasts:', error);
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:red;">Failed to load broadcasts</td></tr>';
+    }
+}
+
+function readBroadcast() {
+    clearFieldErrors(form);
+    const interests = selectedInterests();
+    const message = messageInput.value.trim();
+
+    const errors = {};
+    if (!interests.length) errors.interests = 'Pick at least one area of interest';
+    if (!message) errors.message = 'Write the message to send';
+    if (Object.keys(errors).length) {
+        showFieldErrors(errors, form);
+        return null;
+    }
+    return { interests, message };
+}
+
+document.getElementById('previewBroadcastBtn').addEventListener('click', async () => {
+    const broadcast = readBroadcast();
+    if (!broadcast) return;
+
+    try {
+        const result = await sendSmsBroadcast(broadcast.message, broadcast.interests, true);
+        showResult(result.recipients ? 'success' : 'warning',
+            `${result.recipients ? '👥' : '⚠️'} ${result.recipients} consenting attendee(s) would receive this`);
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+});
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    const broadcast = readBroadcast();
+    if (!broadcast) return;
+    if (!confirm(`Send this SMS to consenting attendees interested in ${broadcast.interests.join(', ')}?`)) return;
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        const result = await sendSmsBroadcast(broadcast.message, broadcast.interests);
+        showResult('success', `✅ Broadcast queued for ${result.recipients} attendee(s)`);
+        form.reset();
+        updateLength();
+        loadBroadcasts();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+messageInput.addEventListener('input', updateLength);
+
+document.addEventListener('DOMContentLoaded', () => {
+    // With an event selected, broadcasts go to its attendees and use its interests
+    const event = getAdminEvent();
+    if (event) renderInterestCheckboxes(form.querySelector('[data-field="interests"]'), event.interests);
+    updateLength();
+    loadBroadcasts();
+    // Delivery reports keep arriving after sending
+    setInterval(loadBroadcasts, 15000);
+});
@@ -0,0 +1,265 @@
+// admin-webhooks.js - outbound webhooks, their delivery log and replays of dead letters
+
+const form = document.getElementById('webhookForm');
+const nameInput = document.getElementById('webhookName');
+const urlInput = document.getElementById('webhookUrl');
+const activeInput = document.getElementById('webhookActive');
+const resultBox = document.getElementById('webhookResult');
+const bodyBox = document.getElementById('deliveryBody');
+const deliveryQuery = { page: 1, limit: 25 };
+
+let editingId = null;
+
+function showResult(type, message) {
+    resultBox.className = `checkin-result ${type}`;
+    resultBox.textContent = message;
+    resultBox.hidden = false;
+}
+
+function cell(row, text) {
+    const td = row.insertCell();
+    td.textContent = text || '';
+    return td;
+}
+
+function actionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pager-btn';
+    button.textContent = label;
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            await onClick();
+        } finally {
+            button.disabled = false;
+        }
+    });
+    return button;
+}
+
+// "delivered 12 · failed 1", leaving out empty statuses
+function describeDeliveries(deliveries) {
+    return Object.entries(deliveries)
+        .filter(([, count]) => count)
+        .map(([name, count]) => `${name} ${count}`)
+        .join(' · ') || '—';
+}
+
+// The secret is only ever shown here, right after it is made
+function showSecret(secret) {
+    showResult('success', `✅ Secret: ${secret} — copy it into the receiving system now; it will not be shown again.`);
+}
+
+// ====== Webhooks ======
+
+function editWebhook(webhook) {
+    editingId = webhook._id;
+    clearFieldErrors(form);
+    document.getElementById('webhookFormTitle').textContent = `Edit ${webhook.name}`;
+    nameInput.value = webhook.name;
+    urlInput.value = webhook.url;
+    form.querySelectorAll('input[name="events"]').forEach(box => {
+        box.checked = webhook.events.includes(box.value);
+    });
+    activeInput.checked = webhook.active;
+    document.getElementById('cancelEditBtn').hidden = false;
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetForm() {
+    editingId = null;
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('webhookFormTitle').textContent = 'Add Webhook';
+    document.getElementById('cancelEditBtn').hidden = true;
+}
+
+async function runAction(action, describe) {
+    try {
+        const result = await action();
+        showResult(result.success === false ? 'error' : 'success', describe(result));
+        loadWebhooks();
+        loadDeliveries();
+    } catch (error) {
+        showResult('error', `❌ ${error.message}`);
+    }
+}
+
+function webhookRow(tbody, webhook) {
+    const row = tbody.insertRow();
+    cell(row, `${webhook.name}${webhook.active ? '' : ' (off)'}`);
+    cell(row, webhook.url);
+    cell(row, webhook.events.join(', '));
+    cell(row, describeDeliveries(webhook.deliveries));
+
+    const actions = row.insertCell();
+    actions.append(
+        actionButton('✎ Edit', async () => editWebhook(webhook)),
+        actionButton('▶ Test', () => runAction(() => testWebhook(webhook._id), result =>
+            result.success
+                ? `✅ ${webhook.name} answered ${result.delivery.responseStatus}`
+                : `❌ ${webhook.name}: ${result.delivery.error}`)),
+        actionButton('🔑 New secret', async () => {
+            if (!confirm(`Make a new secret for ${webhook.name}? The current one stops working at once.`)) return;
+            try {
+                showSecret((await rotateWebhookSecret(webhook._id)).secret);
+            } catch (error) {
+                showResult('error', `❌ ${error.message}`);
+            }
+        })
+    );
+    if (webhook.deliveries.failed) {
+        actions.appendChild(actionButton('↻ Replay failed', () =>
+            runAction(() => replayFailedWebhookDeliveries(webhook._id), result => `✅ ${result.message}`)));
+    }
+    actions.appendChild(actionButton('✕ Delete', async () => {
+        if (!confirm(`Delete ${webhook.name}? Nothing more will be sent to it.`)) return;
+        await runAction(() => deleteWebhook(webhook._id), result => `✅ ${result.message}`);
+    }));
+}
+
+async function loadWebhooks() {
+    const tbody = document.getElementById('webhookTableBody');
+    const filter = document.querySelector('[data-delivery-filter="webhook"]');
+    try {
+        const webhooks = await getWebhooks();
+        tbody.innerHTML = '';
+        if (webhooks.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">No webhooks yet</td></tr>';
+        }
+        webhooks.forEach(webhook => webhookRow(tbody, webhook));
+
+        const selected = filter.value;
+        filter.length = 1;
+        webhooks.forEach(webhook => filter.appendChild(new Option(webhook.name, webhook._id)));
+        filter.value = selected;
+    } catch (error) {
+        console.error('Failed to load webhooks:', error);
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:red;">Failed to load webhooks</td></tr>';
+    }
+}
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    clearFieldErrors(form);
+
+    const webhook = {
+        name: nameInput.value.trim(),
+        url: urlInput.value.trim(),
+        events: Array.from(form.querySelectorAll('input[name="events"]:checked')).map(box => box.value),
+        active: activeInput.checked
+    };
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    try {
+        if (editingId) {
+            await updateWebhook(editingId, webhook);
+            showResult('success', `✅ ${webhook.name} saved`);
+        } else {
+            showSecret((await createWebhook(webhook)).secret);
+        }
+        resetForm();
+        loadWebhooks();
+    } catch (error) {
+        if (error.errors) showFieldErrors(error.errors, form);
+        else alert(`Could not save the webhook: ${error.message}`);
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+document.getElementById('cancelEditBtn').addEventListener('click', resetForm);
+
+// ====== Deliveries ======
+
+async function showDeliveryBody(delivery) {
+    try {
+        const full = await getWebhookDelivery(delivery._id);
+        bodyBox.textContent = JSON.stringify(JSON.parse(full.body), null, 2);
+        bodyBox.hidden = false;
+        bodyBox.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert(`Could not load the delivery: ${error.message}`);
+    }
+}
+
+function deliveryRow(tbody, delivery) {
+    const row = tbody.insertRow();
+    cell(row, new Date(delivery.timestamp).toLocaleString('en-GB'));
+    cell(row, delivery.webhook ? delivery.webhook.name : 'Deleted webhook');
+    cell(row, delivery.type);
+    cell(row, delivery.status === 'retrying' && delivery.nextAttemptAt
+        ? `retrying at ${new Date(delivery.nextAttemptAt).toLocaleTimeString('en-GB')}`
+        : delivery.status);
+    cell(row, String(delivery.attempts));
+    cell(row, [delivery.responseStatus, delivery.error].filter(Boolean).join(' · ') || '—');
+
+    const actions = row.insertCell();
+    actions.appendChild(actionButton('View', () => showDeliveryBody(delivery)));
+    if (delivery.webhook && ['delivered', 'failed'].includes(delivery.status)) {
+        actions.appendChild(actionButton('↻ Replay', () =>
+            runAction(() => replayWebhookDelivery(delivery._id), result => `✅ ${result.message}`)));
+    }
+}
+
+function renderDeliveryPager(result) {
+    const pager = document.getElementById('deliveryPager');
+    const { page = 1, totalPages = 1, total = 0 } = result;
+    pager.innerHTML = '';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'pager-btn';
+    prevBtn.textContent = '‹ Prev';
+    prevBtn.disabled = page <= 1;
+    prevBtn.addEventListener('click', () => goToDeliveryPage(page - 1));
+
+    const info = textElement('span', 'pager-info',
+        `Page ${page} of ${totalPages} · ${total} deliver${total === 1 ? 'y' : 'ies'}`);
+
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'pager-btn';
+    nextBtn.textContent = 'Next ›';
+    nextBtn.disabled = page >= totalPages;
+    nextBtn.addEventListener('click', () => goToDeliveryPage(page + 1));
+
+    pager.append(prevBtn, info, nextBtn);
+}
+
+function goToDeliveryPage(page) {
+    deliveryQuery.page = page;
+    loadDeliveries();
+}
+
+async function loadDeliveries() {
+    const tbody = document.getElementById('deliveryTableBody');
+    try {
+        const result = await getWebhookDeliveries(deliveryQuery);
+        tbody.innerHTML = '';
+        if (result.data.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">No deliveries</td></tr>';
+        }
+        result.data.forEach(delivery => deliveryRow(tbody, delivery));
+        renderDeliveryPager(result);
+    } catch (error) {
+        console.error('Failed to load deliveries:', error);
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; color:red;">Failed to load deliveries</td></tr>';
+    }
+}
+
+document.querySelectorAll('[data-delivery-filter]').forEach(control => {
+    control.addEventListener('change', () => {
+        deliveryQuery[control.dataset.deliveryFilter] = control.value;
+        deliveryQuery.page = 1;
+        bodyBox.hidden = true;
+        loadDeliveries();
+    });
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadWebhooks();
+    loadDeliveries();
+});
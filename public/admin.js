@@ -0,0 +1,17 @@
+// admin.js - Admin home: live stat counters
+
+async function refreshStats() {
+    try {
+        const stats = await getAdminStats();
+        document.getElementById('feedback-count').textContent = stats.feedbacks || 0;
+        document.getElementById('registration-count').textContent = stats.registrations || 0;
+        document.getElementById('checkin-count').textContent = stats.checkedIn || 0;
+    } catch (error) {
+        console.error('Failed to load stats:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    refreshStats();                // load immediately
+    setInterval(refreshStats, 10000); // refresh every 10s
+});
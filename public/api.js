@@ -4,23 +4,139 @@
 const API_BASE_URL = window.location.origin; // Automatically use current domain
 // For local development: const API_BASE_URL = 'http://localhost:3000';
 
+const ADMIN_TOKEN_KEY = 'adminToken';
+const ADMIN_PROFILE_KEY = 'adminProfile';
+const DEVICE_ID_KEY = 'kioskDeviceId';
+const KIOSK_EVENT_KEY = 'kioskEvent';
+const KIOSK_EVENT_CONFIG_KEY = 'kioskEventConfig';
+const ADMIN_EVENT_KEY = 'adminEvent';
+
+// When this page was opened; kiosk forms report how long they were open
+// so the server can drop submissions made faster than a person could type
+const PAGE_LOADED_AT = Date.now();
+
+// Titles name the original event; applyEventBranding swaps in the kiosk's
+const PAGE_TITLE = document.title;
+
+// Admin session token (cleared when the browser tab closes)
+function getAdminToken() {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+}
+
+function setAdminToken(token) {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+}
+
+function clearAdminToken() {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    sessionStorage.removeItem(ADMIN_PROFILE_KEY);
+    sessionStorage.removeItem(ADMIN_EVENT_KEY);
+}
+
+// The signed-in admin ({ email, name, role }) as returned at login
+function getAdminProfile() {
+    return JSON.parse(sessionStorage.getItem(ADMIN_PROFILE_KEY) || '{}');
+}
+
+// Stable id for this kiosk/browser, used by the server's per-device rate limit
+function getDeviceId() {
+    let id = localStorage.getItem(DEVICE_ID_KEY);
+    if (!id) {
+        id = newIdempotencyKey();
+        localStorage.setItem(DEVICE_ID_KEY, id);
+    }
+    return id;
+}
+
+function isAdminPage() {
+    const path = window.location.pathname;
+    return path.includes('admin') && !path.includes('admin-login.html');
+}
+
+// ====== Events ======
+
+// The kiosk's event slug. Opening any page with ?event=<slug> picks it and it
+// is remembered, so the rest of the flow (and offline replays) use it too;
+// blank means the server's default event.
+function getKioskEvent() {
+    const fromUrl = new URLSearchParams(window.location.search).get('event');
+    if (fromUrl) localStorage.setItem(KIOSK_EVENT_KEY, fromUrl);
+    return localStorage.getItem(KIOSK_EVENT_KEY) || '';
+}
+
+function setKioskEvent(slug) {
+    localStorage.setItem(KIOSK_EVENT_KEY, slug);
+}
+
+// The event picked in the admin event switcher ({ _id, slug, name, interests }), or null for all events
+function getAdminEvent() {
+    return JSON.parse(sessionStorage.getItem(ADMIN_EVENT_KEY) || 'null');
+}
+
+function setAdminEvent(event) {
+    if (event) {
+        sessionStorage.setItem(ADMIN_EVENT_KEY, JSON.stringify({
+            _id: event._id,
+            slug: event.slug,
+            name: event.name,
+            interests: event.interests || []
+        }));
+    } else {
+        sessionStorage.removeItem(ADMIN_EVENT_KEY);
+    }
+}
+
+// Admin requests are scoped to the selected event (see middleware/eventScope.js)
+function eventScopeHeaders() {
+    const event = isAdminPage() ? getAdminEvent() : null;
+    return event ? { 'X-Event-Id': event._id } : {};
+}
+
 // API helper function
 async function apiRequest(endpoint, options = {}) {
     try {
         console.log(`Making API request to: ${API_BASE_URL}/api${endpoint}`);
-        
+
+        const token = getAdminToken();
         const response = await fetch(`${API_BASE_URL}/api${endpoint}`, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                'X-Device-Id': getDeviceId(),
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                // Kiosk pages (i18n.js): the API answers in the attendee's language
+                ...(window.getKioskLocale ? { 'Accept-Language': getKioskLocale() } : {}),
+                ...eventScopeHeaders(),
                 ...options.headers
-            },
-            ...options
+            }
         });
 
-        const data = await response.json();
+        // Gateways and proxies can answer with an HTML error page
+        const data = await response.json().catch(() => ({}));
+
+        // Session missing or expired - send the admin back to the login page
+        if (response.status === 401 && isAdminPage()) {
+            clearAdminToken();
+            window.location.href = 'admin-login.html';
+        }
         
+        // Rate limited or locked out: say how long to wait
+        if (response.status === 429) {
+            const retryAfter = data.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || 60;
+            const minutes = Math.ceil(retryAfter / 60);
+            const error = new Error(data.message ||
+                `Too many requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+            error.status = 429;
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+
         if (!response.ok) {
-            throw new Error(data.message || `HTTP ${response.status}`);
+            const error = new Error(data.message || `HTTP ${response.status}`);
+            error.status = response.status;
+            // Per-field messages from the validation layer ({ email: '...', phone: '...' })
+            if (data.errors) error.errors = data.errors;
+            throw error;
         }
 
         console.log('API response received:', data);
@@ -31,63 +147,777 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
+// Unique per submission; the server uses it to ignore replays of the same one
+function newIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
 // Registration API
-async function submitRegistrationAPI(registrationData) {
+async function submitRegistrationAPI(registrationData, idempotencyKey = newIdempotencyKey()) {
     return apiRequest('/register', {
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey },
         body: JSON.stringify(registrationData)
     });
 }
 
 // Enhanced Feedback API with rating support
-async function submitFeedbackAPI(feedbackData) {
+async function submitFeedbackAPI(feedbackData, idempotencyKey = newIdempotencyKey()) {
     return apiRequest('/feedback', {
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey },
         body: JSON.stringify(feedbackData)
     });
 }
 
+// ====== Inline form errors ======
+
+const REGISTRATION_ERRORS_KEY = 'registrationErrors';
+
+// A field is found by data-field="..." or name="..."; the message goes
+// at the end of its .form-group, or straight after it when there is none
+function findErrorField(field, root) {
+    return root.querySelector(`[data-field="${field}"]`) || root.querySelector(`[name="${field}"]`);
+}
+
+function clearFieldErrors(root = document) {
+    root.querySelectorAll('.field-error').forEach(el => el.remove());
+    root.querySelectorAll('.has-error').forEach(el => el.classList.remove('has-error'));
+}
+
+// Shows errors ({ field: message }) next to their fields and returns the
+// fields that are not on this page
+function showFieldErrors(errors, root = document) {
+    clearFieldErrors(root);
+    const missing = [];
+
+    Object.entries(errors || {}).forEach(([field, message]) => {
+        const el = findErrorField(field, root);
+        if (!el) {
+            missing.push(field);
+            return;
+        }
+
+        const group = el.closest('.form-group');
+        const target = group || el;
+        target.classList.add('has-error');
+
+        const note = document.createElement('div');
+        note.className = 'field-error';
+        note.textContent = message;
+        if (group) {
+            group.appendChild(note);
+        } else {
+            el.insertAdjacentElement('afterend', note);
+        }
+    });
+
+    const first = root.querySelector('.has-error');
+    if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return missing;
+}
+
+// ====== Kiosk event branding ======
+
+// Shows the event's name, welcome text, logo and colour on a kiosk page
+function applyEventBranding(event) {
+    const branding = event.branding || {};
+    document.querySelectorAll('.event-title, .gitex-subtitle').forEach(el => {
+        el.textContent = event.name;
+    });
+    document.querySelectorAll('.welcome-text-white, .welcome-text-black').forEach(el => {
+        if (branding.welcomeText) setText(el, branding.welcomeText);
+        else setText(el, 'Welcome to {name}', { name: event.name });
+    });
+    document.title = PAGE_TITLE.replace('GITEX Nigeria', event.name);
+    if (branding.logoUrl) {
+        document.querySelectorAll('.mtn-logo img, .mtn-logo-large img').forEach(img => { img.src = branding.logoUrl; });
+    }
+    if (branding.primaryColor) {
+        document.documentElement.style.setProperty('--brand-color', branding.primaryColor);
+    }
+}
+
+// Loads the kiosk's event and brands the page with it. The last event loaded
+// is kept so an offline kiosk still shows it; pages listen for "kioskevent"
+// to render the event's interests and forms.
+async function loadKioskEvent() {
+    const slug = getKioskEvent();
+    let event = null;
+    try {
+        event = (await getEventConfig(slug)).event;
+        localStorage.setItem(KIOSK_EVENT_CONFIG_KEY, JSON.stringify(event));
+    } catch (error) {
+        const saved = JSON.parse(localStorage.getItem(KIOSK_EVENT_CONFIG_KEY) || 'null');
+        if (saved && (!slug || saved.slug === slug)) event = saved;
+        if (!event) console.warn('Event not loaded, keeping the page defaults:', error.message);
+    }
+    if (!event) return null;
+
+    window.kioskEvent = event;
+    applyEventBranding(event);
+    document.dispatchEvent(new CustomEvent('kioskevent', { detail: event }));
+    return event;
+}
+
+// ====== Kiosk forms ======
+
+// The kiosk pages are rendered from the event's forms (lib/forms.js). Every
+// field is an element with data-field (its name in the submission: built-in
+// fields by key, the event's own as answers.<key>), data-type, data-label
+// and, when set, data-required and data-max. The pages' own markup follows
+// the same pattern, so a kiosk that has never loaded a form still works.
+// Labels, options and placeholders are shown in the kiosk's language
+// (i18n.js, loaded before api.js); data-label and values stay as written.
+
+const FORM_INPUT_TYPES = { email: 'email', phone: 'tel', number: 'number' };
+
+function formFieldName(field) {
+    return field.builtIn ? field.key : `answers.${field.key}`;
+}
+
+// A field's value in data as readFormFields returns it
+function formFieldValue(data, name) {
+    return name.startsWith('answers.') ? (data.answers || {})[name.slice(8)] : data[name];
+}
+
+// A .form-group for one field; interests and rating are laid out by their pages
+function renderFormField(field) {
+    const name = formFieldName(field);
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    Object.assign(group.dataset, { field: name, type: field.type, label: field.label });
+    if (field.required) group.dataset.required = 'true';
+    if (field.max) group.dataset.max = field.max;
+
+    const label = document.createElement('label');
+    label.appendChild(setText(document.createElement('span'), field.label));
+    if (field.required) label.append(' ', textElement('span', 'required', '*'));
+    group.appendChild(label);
+
+    if (field.type === 'choice') {
+        const options = document.createElement('div');
+        options.className = 'choice-options';
+        field.options.forEach(option => {
+            const btn = setText(document.createElement('button'), option);
+            btn.className = 'option-btn';
+            btn.type = 'button';
+            btn.dataset.value = option;
+            options.appendChild(btn);
+        });
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        group.append(options, input);
+    } else if (field.type === 'multichoice') {
+        field.options.forEach((option, index) => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-group';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.id = `${field.key}-${index}`;
+            box.name = name;
+            box.value = option;
+            const boxLabel = setText(document.createElement('label'), option);
+            boxLabel.htmlFor = box.id;
+            item.append(box, boxLabel);
+            group.appendChild(item);
+        });
+    } else {
+        const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+        if (field.type !== 'textarea') input.type = FORM_INPUT_TYPES[field.type] || 'text';
+        input.className = 'form-control';
+        input.name = name;
+        if (field.placeholder) setPlaceholder(input, field.placeholder);
+        input.required = Boolean(field.required);
+        if (field.type === 'number') {
+            if (field.min !== undefined && field.min !== null) input.min = field.min;
+            if (field.max) input.max = field.max;
+            input.step = 'any';
+        } else if (field.max) {
+            input.maxLength = field.max;
+        }
+        group.appendChild(input);
+    }
+    return group;
+}
+
+// { data, errors } from the fields in root: built-in fields at the top
+// level, the event's own in data.answers. Blank fields are left out; blank
+// required fields and too many picks are errors.
+function readFormFields(root) {
+    const data = {};
+    const errors = {};
+    root.querySelectorAll('[data-field][data-type]').forEach(el => {
+        const name = el.dataset.field;
+        let value;
+        switch (el.dataset.type) {
+            case 'multichoice':
+                value = Array.from(el.querySelectorAll('input[type="checkbox"]:checked')).map(box => box.value);
+                break;
+            case 'interests':
+                value = Array.from(el.querySelectorAll('.interest-item.selected')).map(item => item.dataset.interest);
+                break;
+            case 'rating': {
+                const selected = el.querySelector('.rating-item.selected');
+                value = selected ? Number(selected.dataset.rating) : '';
+                break;
+            }
+            default: {
+                const input = el.querySelector('input, textarea');
+                value = input ? input.value.trim() : '';
+            }
+        }
+
+        const blank = Array.isArray(value) ? value.length === 0 : value === '';
+        const max = Number(el.dataset.max);
+        if (blank && el.dataset.required) {
+            errors[name] = t('{label} is required', { label: t(el.dataset.label) });
+        } else if (Array.isArray(value) && max && value.length > max) {
+            errors[name] = t('Select at most {max}', { max });
+        }
+        if (blank) return;
+
+        if (name.startsWith('answers.')) {
+            data.answers = data.answers || {};
+            data.answers[name.slice(8)] = value;
+        } else {
+            data[name] = value;
+        }
+    });
+    return { data, errors };
+}
+
+// Puts values (as readFormFields returns them) back into the fields in root;
+// interests and ratings are picked again
+function fillFormFields(root, data = {}) {
+    root.querySelectorAll('[data-field][data-type]').forEach(el => {
+        const value = formFieldValue(data, el.dataset.field);
+        if (value === undefined) return;
+
+        switch (el.dataset.type) {
+            case 'multichoice': {
+                const values = [].concat(value).map(String);
+                el.querySelectorAll('input[type="checkbox"]').forEach(box => { box.checked = values.includes(box.value); });
+                break;
+            }
+            case 'choice':
+                el.querySelector('input[type="hidden"]').value = value;
+                el.querySelectorAll('.option-btn').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.value === value);
+                });
+                break;
+            case 'interests':
+            case 'rating':
+                break;
+            default: {
+                const input = el.querySelector('input, textarea');
+                if (input) input.value = value;
+            }
+        }
+    });
+}
+
+// Replaces the fields in container with the form's, two short fields to a
+// row as on the original pages, keeping what was already filled in
+function renderFormFields(container, fields) {
+    const current = readFormFields(container).data;
+    container.innerHTML = '';
+
+    let row = null;
+    fields.forEach(field => {
+        const group = renderFormField(field);
+        const wide = ['textarea', 'multichoice'].includes(field.type) ||
+            (field.type === 'choice' && field.options.length > 2);
+        if (wide) {
+            container.appendChild(group);
+            row = null;
+        } else if (row) {
+            row.appendChild(group);
+            row = null;
+        } else {
+            row = document.createElement('div');
+            row.className = 'form-row';
+            row.appendChild(group);
+            container.appendChild(row);
+        }
+    });
+    fillFormFields(container, current);
+}
+
+// Choice buttons set the hidden input of their .form-group; fields may be
+// re-rendered for the kiosk's event, so clicks are handled on the document
+document.addEventListener('click', event => {
+    const btn = event.target.closest('.option-btn');
+    if (!btn) return;
+
+    btn.parentElement.querySelectorAll('.option-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    const group = btn.closest('.form-group');
+    const input = group && group.querySelector('input[type="hidden"]');
+    if (input) input.value = btn.dataset.value;
+});
+
+// ====== Offline outbox (kiosk mode) ======
+
+// No response at all (Wi-Fi down) or the server/gateway is unreachable
+function isOfflineError(error) {
+    return error instanceof TypeError || [502, 503, 504].includes(error.status);
+}
+
+// Sends the submission now, or queues it in the IndexedDB outbox (outbox.js)
+// when the network is down. Resolves with { queued, response }.
+async function submitWithOutbox(type, submit, endpoint, payload) {
+    const idempotencyKey = newIdempotencyKey();
+    try {
+        return { queued: false, response: await submit(payload, idempotencyKey) };
+    } catch (error) {
+        if (!isOfflineError(error) || !window.KioskOutbox) throw error;
+
+        console.warn(`Offline - queueing ${type} for later:`, error.message);
+        await KioskOutbox.add({ type, endpoint, payload, idempotencyKey, deviceId: getDeviceId() });
+        requestOutboxSync();
+        updateOutboxStatus();
+        return { queued: true };
+    }
+}
+
+// Ask the service worker to replay via Background Sync; pages also retry on 'online'
+function requestOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register('outbox'))
+        .catch(error => console.warn('Background sync unavailable:', error));
+}
+
+function flushOutbox() {
+    if (!window.KioskOutbox || !navigator.onLine) return Promise.resolve();
+    return KioskOutbox.flush(API_BASE_URL)
+        .then(result => {
+            if (result.sent) console.log(`Outbox: sent ${result.sent} queued submission(s)`);
+            updateOutboxStatus();
+        })
+        .catch(error => console.error('Outbox flush failed:', error));
+}
+
+// Small badge telling kiosk staff how many submissions are still waiting to sync
+function updateOutboxStatus() {
+    if (!window.KioskOutbox) return;
+    KioskOutbox.count().then(count => {
+        let badge = document.getElementById('outboxStatus');
+        if (!count) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.id = 'outboxStatus';
+            badge.className = 'outbox-status';
+            document.body.appendChild(badge);
+        }
+        const pending = t(count === 1 ? '{count} pending submission' : '{count} pending submissions', { count });
+        badge.textContent = `⏳ ${pending} - ${t(navigator.onLine ? 'syncing' : 'offline')}`;
+    });
+}
+
+function initializeOfflineMode() {
+    if (isAdminPage() || window.location.pathname.includes('admin-login.html')) return;
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'outbox-updated') updateOutboxStatus();
+        });
+    }
+
+    window.addEventListener('online', flushOutbox);
+    window.addEventListener('offline', updateOutboxStatus);
+    document.addEventListener('localechange', updateOutboxStatus);
+    updateOutboxStatus();
+    flushOutbox();
+}
+
 // Admin APIs
 async function adminLogin(username, password) {
-    return apiRequest('/admin/login', {
+    const response = await apiRequest('/admin/login', {
         method: 'POST',
         body: JSON.stringify({ username, password })
     });
+    setAdminToken(response.token);
+    sessionStorage.setItem(ADMIN_PROFILE_KEY, JSON.stringify(response.admin || {}));
+    return response;
+}
+
+function adminLogout() {
+    clearAdminToken();
+    window.location.href = 'admin-login.html';
+}
+
+// Who a feedback link belongs to: { firstName, answered }
+async function getFeedbackInvitation(token) {
+    return apiRequest(`/feedback/invitation${toQueryString({ t: token })}`);
+}
+
+// Kiosk set-up of an event (name, branding, interests, questions); a blank slug is the default event
+async function getEventConfig(slug) {
+    return apiRequest(`/event${slug ? `/${encodeURIComponent(slug)}` : ''}`);
 }
 
 async function getAdminStats() {
     return apiRequest('/admin/stats');
 }
 
-async function getRegistrations(searchQuery = '') {
-    const params = searchQuery ? `?search=${encodeURIComponent(searchQuery)}` : '';
-    return apiRequest(`/admin/registrations${params}`);
+// Turns { search: 'ada', page: 2 } into "?search=ada&page=2", skipping empty values
+function toQueryString(query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+    const qs = params.toString();
+    return qs ? `?${qs}` : '';
 }
 
-async function getFeedbacks() {
-    return apiRequest('/admin/feedbacks');
+// Accepts a search string or a query object (filters, sort, page, limit)
+async function getRegistrations(query = {}) {
+    if (typeof query === 'string') query = { search: query };
+    return apiRequest(`/admin/registrations${toQueryString(query)}`);
 }
 
-// Production Registration Submission
-function submitRegistrationProduction() {
-    const registrationData = JSON.parse(localStorage.getItem('registrationData') || '{}');
-    const interests = window.selectedInterests || [];
-    const otherInterest = document.getElementById('otherInterest')?.value || '';
-    
-    if (interests.length === 0) {
-        alert('Please select at least one area of interest');
-        return;
+// view: 'visible' (default), 'hidden', 'spam' or 'deleted'
+async function getFeedbacks(view) {
+    return apiRequest(`/admin/feedbacks${toQueryString({ view })}`);
+}
+
+// One registration with its feedback (admin-registration.html)
+async function getRegistration(id) {
+    return apiRequest(`/admin/registrations/${encodeURIComponent(id)}`);
+}
+
+async function updateRegistration(id, changes) {
+    return apiRequest(`/admin/registrations/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+}
+
+async function deleteRegistration(id) {
+    return apiRequest(`/admin/registrations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+async function restoreRegistration(id) {
+    return apiRequest(`/admin/registrations/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+}
+
+// Feedback moderation; moderation is 'visible', 'hidden' or 'spam'
+async function moderateFeedback(id, moderation) {
+    return apiRequest(`/admin/feedbacks/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ moderation })
+    });
+}
+
+async function deleteFeedback(id) {
+    return apiRequest(`/admin/feedbacks/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+async function restoreFeedback(id) {
+    return apiRequest(`/admin/feedbacks/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+}
+
+// Downloads a CSV/XLSX export (type: 'registrations' or 'feedbacks').
+// Uses fetch rather than a plain link so the session token is sent.
+async function downloadExport(type, format = 'csv', query = {}) {
+    return downloadFile(`/admin/export/${type}${toQueryString({ ...query, format })}`, `gitex_${type}.${format}`);
+}
+
+// Saves an authenticated GET response as a file, named by Content-Disposition
+async function downloadFile(endpoint, fallbackName) {
+    const token = getAdminToken();
+    const response = await fetch(`${API_BASE_URL}/api${endpoint}`, {
+        headers: { ...(token ? { 'Authorization': `Bearer ${token}` } : {}), ...eventScopeHeaders() }
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) adminLogout();
+        throw new Error(data.message || `HTTP ${response.status}`);
     }
 
-    if (interests.length > 2) {
-        alert('Maximum 2 areas of interest allowed');
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : fallbackName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Export button handlers
+function exportRegistrations(format) {
+    // The server never exports the bin (soft-deleted registrations)
+    if (registrationQuery.deleted === 'true') {
+        alert('Deleted registrations cannot be exported');
         return;
     }
+    const { page, limit, deleted, ...filters } = registrationQuery;
+    const includeBox = document.getElementById('includeNonConsenting');
+    if (includeBox && includeBox.checked) filters.includeNonConsenting = 'true';
+
+    downloadExport('registrations', format, filters)
+        .catch(error => alert(`Export failed: ${error.message}`));
+}
+
+function exportFeedbacks(format) {
+    downloadExport('feedbacks', format)
+        .catch(error => alert(`Export failed: ${error.message}`));
+}
+
+// Upload a CSV of paper walk-in registrations
+async function importRegistrationsCsv(csvText, dryRun = false) {
+    return apiRequest(`/admin/import/registrations${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: csvText
+    });
+}
+
+// File input handler: imports the chosen CSV and summarises the result
+function handleImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(text => importRegistrationsCsv(text))
+        .then(report => {
+            const problems = report.rejected
+                .slice(0, 10)
+                .map(({ row, reason }) => `Row ${row}: ${reason}`)
+                .join('\n');
+            alert(`Imported ${report.inserted} of ${report.total} rows.\n` +
+                `${report.skipped.length} already imported, ${report.rejected.length} rejected.` +
+                (problems ? `\n\n${problems}` : ''));
+            loadAdminData();
+        })
+        .catch(error => alert(`Import failed: ${error.message}`))
+        .finally(() => { input.value = ''; });
+}
+
+async function getRegistrationAnalytics(query = {}) {
+    return apiRequest(`/admin/analytics/registrations${toQueryString(query)}`);
+}
+
+async function getFeedbackAnalytics(query = {}) {
+    return apiRequest(`/admin/analytics/feedback${toQueryString(query)}`);
+}
+
+async function getDuplicateGroups() {
+    return apiRequest('/admin/duplicates');
+}
+
+async function mergeDuplicates(primaryId, duplicateIds) {
+    return apiRequest('/admin/duplicates/merge', {
+        method: 'POST',
+        body: JSON.stringify({ primaryId, duplicateIds })
+    });
+}
+
+// Data-subject requests (superadmin, admin-privacy.html); subject = { email, phone }
+async function downloadSubjectData(subject) {
+    return downloadFile(`/admin/privacy/export${toQueryString(subject)}`, 'subject_data.json');
+}
+
+async function eraseSubjectData(subject, mode) {
+    return apiRequest('/admin/privacy/erase', {
+        method: 'POST',
+        body: JSON.stringify({ ...subject, mode })
+    });
+}
+
+async function updateSubjectConsent(subject, purpose, granted) {
+    return apiRequest('/admin/privacy/consent', {
+        method: 'POST',
+        body: JSON.stringify({ ...subject, purpose, granted })
+    });
+}
+
+// Audit log (superadmin, admin-audit.html)
+async function getAuditLog(query = {}) {
+    return apiRequest(`/admin/audit${toQueryString(query)}`);
+}
+
+async function getAuditActions() {
+    return apiRequest('/admin/audit/actions');
+}
+
+// SMS broadcasts (admin-sms.html)
+async function getSmsBroadcasts() {
+    return apiRequest('/admin/sms/broadcasts');
+}
+
+async function sendSmsBroadcast(message, interests, dryRun = false) {
+    return apiRequest(`/admin/sms/broadcasts${toQueryString({ dryRun: dryRun || '' })}`, {
+        method: 'POST',
+        body: JSON.stringify({ message, interests })
+    });
+}
+
+async function retrySmsBroadcast(id) {
+    return apiRequest(`/admin/sms/broadcasts/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+}
+
+// Events (admin-events.html and the event switcher)
+async function getEvents() {
+    return apiRequest('/admin/events');
+}
+
+async function compareEvents(ids = []) {
+    return apiRequest(`/admin/events/compare${toQueryString({ ids: ids.join(',') })}`);
+}
+
+async function createEvent(event) {
+    return apiRequest('/admin/events', {
+        method: 'POST',
+        body: JSON.stringify(event)
+    });
+}
+
+async function updateEvent(id, changes) {
+    return apiRequest(`/admin/events/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+}
+
+// Leads (admin-leads.html and the dashboard funnel)
+async function getLeads(query = {}) {
+    return apiRequest(`/admin/leads${toQueryString(query)}`);
+}
+
+async function getLeadFunnel() {
+    return apiRequest('/admin/leads/funnel');
+}
+
+async function getLeadOwners() {
+    return apiRequest('/admin/leads/owners');
+}
+
+async function getLeadRules() {
+    return apiRequest('/admin/leads/rules');
+}
+
+async function saveLeadRules(rules) {
+    return apiRequest('/admin/leads/rules', {
+        method: 'PUT',
+        body: JSON.stringify({ rules })
+    });
+}
+
+async function routeLeads() {
+    return apiRequest('/admin/leads/route', { method: 'POST' });
+}
+
+async function updateLead(id, changes) {
+    return apiRequest(`/admin/leads/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+}
+
+async function addLeadNote(id, text) {
+    return apiRequest(`/admin/leads/${encodeURIComponent(id)}/notes`, {
+        method: 'POST',
+        body: JSON.stringify({ text })
+    });
+}
+
+// Outbound webhooks (admin-webhooks.html, superadmin)
+async function getWebhooks() {
+    return apiRequest('/admin/webhooks');
+}
+
+async function createWebhook(webhook) {
+    return apiRequest('/admin/webhooks', {
+        method: 'POST',
+        body: JSON.stringify(webhook)
+    });
+}
+
+async function updateWebhook(id, changes) {
+    return apiRequest(`/admin/webhooks/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+}
+
+async function deleteWebhook(id) {
+    return apiRequest(`/admin/webhooks/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+async function rotateWebhookSecret(id) {
+    return apiRequest(`/admin/webhooks/${encodeURIComponent(id)}/rotate-secret`, { method: 'POST' });
+}
+
+async function testWebhook(id) {
+    return apiRequest(`/admin/webhooks/${encodeURIComponent(id)}/test`, { method: 'POST' });
+}
+
+async function replayFailedWebhookDeliveries(id) {
+    return apiRequest(`/admin/webhooks/${encodeURIComponent(id)}/replay-failed`, { method: 'POST' });
+}
+
+async function getWebhookDeliveries(query = {}) {
+    return apiRequest(`/admin/webhooks/deliveries${toQueryString(query)}`);
+}
+
+async function getWebhookDelivery(id) {
+    return apiRequest(`/admin/webhooks/deliveries/${encodeURIComponent(id)}`);
+}
+
+async function replayWebhookDelivery(id) {
+    return apiRequest(`/admin/webhooks/deliveries/${encodeURIComponent(id)}/replay`, { method: 'POST' });
+}
+
+// The event's registration and feedback forms (admin-forms.html)
+async function getEventForms(eventId) {
+    return apiRequest(`/admin/forms/${encodeURIComponent(eventId)}`);
+}
+
+async function getFormVersions(eventId, kind) {
+    return apiRequest(`/admin/forms/${encodeURIComponent(eventId)}/${kind}/versions`);
+}
+
+async function saveEventForm(eventId, kind, fields) {
+    return apiRequest(`/admin/forms/${encodeURIComponent(eventId)}/${kind}`, {
+        method: 'PUT',
+        body: JSON.stringify({ fields })
+    });
+}
+
+async function checkInAttendee(code, location) {
+    return apiRequest('/admin/checkin', {
+        method: 'POST',
+        body: JSON.stringify({ code, location })
+    });
+}
+
+// Production Registration Submission
+function submitRegistrationProduction() {
+    // Both pages of the form, saved by registration.js and interests.js
+    const registrationData = JSON.parse(localStorage.getItem('registrationData') || '{}');
+    clearFieldErrors();
     
     // Prepare final data
-    registrationData.interests = interests;
-    registrationData.otherInterest = otherInterest;
-    registrationData.consent = true;
+    registrationData.event = getKioskEvent();
+    // Stored with the registration; server messages come back in it
+    registrationData.locale = getKioskLocale();
+    // Filled in by registration.html; the honeypot "website" field comes from there too
+    registrationData.formElapsedMs = Date.now() - (registrationData.formStartedAt || PAGE_LOADED_AT);
+    delete registrationData.formStartedAt;
     
     console.log('Submitting registration:', registrationData);
     
@@ -95,45 +925,81 @@ function submitRegistrationProduction() {
     const submitBtn = document.querySelector('.btn-primary');
     if (submitBtn) {
         const originalText = submitBtn.textContent;
-        submitBtn.textContent = 'Submitting...';
+        submitBtn.textContent = t('Submitting...');
         submitBtn.disabled = true;
         
-        // Submit to API
-        submitRegistrationAPI(registrationData)
-            .then(response => {
-                console.log('Registration successful:', response);
+        // Submit to API (queued in the outbox if the Wi-Fi is down)
+        submitWithOutbox('registration', submitRegistrationAPI, '/register', registrationData)
+            .then(({ queued, response }) => {
+                console.log(queued ? 'Registration queued offline' : 'Registration successful:', response);
                 localStorage.removeItem('registrationData');
-                alert('Registration successful!');
+                // Kept for the badge on success.html (no code yet if it was queued)
+                localStorage.setItem('lastRegistration', JSON.stringify({
+                    id: queued ? null : response.id,
+                    checkInCode: queued ? null : response.checkInCode,
+                    feedbackToken: queued ? null : response.feedbackToken,
+                    firstName: registrationData.firstName,
+                    queued
+                }));
+                alert(t('Registration successful!'));
                 window.location.href = 'success.html';
             })
             .catch(error => {
                 console.error('Registration failed:', error);
-                alert(`Registration failed: ${error.message}. Please try again.`);
-                
+
                 // Reset button
                 submitBtn.textContent = originalText;
                 submitBtn.disabled = false;
+
+                if (!error.errors) {
+                    alert(t('Registration failed: {message}. Please try again.', { message: error.message }));
+                    return;
+                }
+
+                // Biodata errors are shown on registration.html, where those fields live
+                const elsewhere = showFieldErrors(error.errors);
+                if (elsewhere.length) {
+                    localStorage.setItem(REGISTRATION_ERRORS_KEY, JSON.stringify(error.errors));
+                    window.location.href = 'registration.html';
+                }
             });
     }
 }
 
 // Production Feedback Submission
 function submitFeedbackProduction() {
-    const feedback1 = document.getElementById('feedbackText1')?.value.trim() || '';
-    const feedback2 = document.getElementById('feedbackText2')?.value.trim() || '';
-    const rating = window.selectedRating;
-    
-    if (!feedback1 && !feedback2) {
-        alert('Please provide some feedback');
+    const { data, errors } = readFormFields(document);
+
+    // At least one question must be answered; the rating only counts when
+    // there is nothing else to answer (as lib/validation.js checks)
+    const questions = Array.from(document.querySelectorAll('[data-field][data-type]:not([data-type="rating"])'));
+    const asked = questions.length ? questions : Array.from(document.querySelectorAll('[data-type="rating"]'));
+    const answered = el => formFieldValue(data, el.dataset.field) !== undefined;
+    if (asked.length && !asked.some(answered) && Object.keys(errors).length === 0) {
+        errors[asked[0].dataset.field] = t('Please answer at least one question');
+    }
+    if (Object.keys(errors).length) {
+        showFieldErrors(errors);
         return;
     }
+    clearFieldErrors();
     
     const feedbackData = {
-        feedback1: feedback1,
-        feedback2: feedback2,
-        rating: rating,
-        timestamp: new Date().toISOString()
+        ...data,
+        // The form version the page was rendered from (feedback.js)
+        form: document.getElementById('feedbackFields').dataset.formId,
+        timestamp: new Date().toISOString(),
+        website: document.querySelector('[name="website"]')?.value || '',
+        formElapsedMs: Date.now() - PAGE_LOADED_AT,
+        locale: getKioskLocale()
     };
+    // Set by feedback.js when the page was opened from an attendee's feedback link;
+    // otherwise the feedback is for the kiosk's event
+    if (window.feedbackToken) {
+        feedbackData.token = window.feedbackToken;
+    } else {
+        feedbackData.event = getKioskEvent();
+    }
     
     console.log('Submitting feedback:', feedbackData);
     
@@ -141,39 +1007,50 @@ function submitFeedbackProduction() {
     const submitBtn = document.querySelector('.btn-primary');
     if (submitBtn) {
         const originalText = submitBtn.textContent;
-        submitBtn.textContent = 'Submitting...';
+        submitBtn.textContent = t('Submitting...');
         submitBtn.disabled = true;
         
-        // Submit to API
-        submitFeedbackAPI(feedbackData)
-            .then(response => {
-                console.log('Feedback successful:', response);
-                alert('Thank you for your feedback!');
+        // Submit to API (queued in the outbox if the Wi-Fi is down)
+        submitWithOutbox('feedback', submitFeedbackAPI, '/feedback', feedbackData)
+            .then(({ queued, response }) => {
+                console.log(queued ? 'Feedback queued offline' : 'Feedback successful:', response);
+                alert(t('Thank you for your feedback!'));
                 window.location.href = 'sucess.html'; // fixed typo
             })
             .catch(error => {
                 console.error('Feedback failed:', error);
-                alert(`Failed to submit feedback: ${error.message}. Please try again.`);
-                
+
                 // Reset button
                 submitBtn.textContent = originalText;
                 submitBtn.disabled = false;
+
+                if (error.errors) {
+                    showFieldErrors(error.errors);
+                } else if (error.status === 409) {
+                    // This attendee's feedback link has already been used
+                    alert(error.message);
+                    window.location.href = 'index.html';
+                } else {
+                    alert(t('Failed to submit feedback: {message}. Please try again.', { message: error.message }));
+                }
             });
     }
 }
 
+// Tiles declare which counter they show, e.g. <div data-stat="checkedIn">
+function showStats(stats) {
+    document.querySelectorAll('[data-stat]').forEach(el => {
+        el.textContent = stats[el.dataset.stat] || 0;
+    });
+}
+
 // Load admin dashboard data
 function loadAdminData() {
     console.log('Loading admin dashboard data...');
     
     // Load stats
     getAdminStats()
-        .then(stats => {
-            const statNumbers = document.querySelectorAll('.stat-number');
-            if (statNumbers[0]) statNumbers[0].textContent = stats.registrations;
-            if (statNumbers[1]) statNumbers[1].textContent = stats.feedbacks;
-            if (statNumbers[2]) statNumbers[2].textContent = stats.admins;
-        })
+        .then(showStats)
         .catch(error => {
             console.error('Failed to load stats:', error);
         });
@@ -182,15 +1059,173 @@ function loadAdminData() {
     loadRegistrations();
 }
 
+// Both analytics panels follow the date range and language chosen in the registration filters
+function analyticsQuery() {
+    return { from: registrationQuery.from, to: registrationQuery.to, locale: registrationQuery.locale };
+}
+
+// Registration analytics (admin-dashboard.html)
+function loadRegistrationAnalytics() {
+    getRegistrationAnalytics(analyticsQuery())
+        .then(renderRegistrationAnalytics)
+        .catch(error => {
+            console.error('Failed to load registration analytics:', error);
+        });
+}
+
+function renderRegistrationAnalytics(analytics) {
+    if (typeof renderBarChart !== 'function') return;
+
+    renderBarChart(document.getElementById('interestChart'),
+        analytics.interests.map(({ interest, count }) => ({ label: interest, value: count })));
+    renderBarChart(document.getElementById('channelChart'),
+        analytics.channel.map(({ channel, count }) => ({ label: channel, value: count })));
+    renderBarChart(document.getElementById('genderChart'),
+        analytics.gender.map(({ gender, count }) => ({ label: gender, value: count })));
+    renderBarChart(document.getElementById('languageChart'),
+        analytics.locale.map(({ language, count }) => ({ label: language, value: count })));
+    renderBarChart(document.getElementById('locationChart'),
+        analytics.location.slice(0, 10).map(({ location, count }) => ({ label: location, value: count })));
+    renderBarChart(document.getElementById('otherInterestChart'),
+        analytics.otherInterest.slice(0, 10).map(({ answer, examples, count }) => ({
+            label: examples[0] || answer,
+            value: count
+        })));
+
+    // Only the span of hours with activity, so the expo day is not squashed by empty nights
+    const active = analytics.hourOfDay.filter(h => h.count > 0).map(h => h.hour);
+    const hours = active.length
+        ? analytics.hourOfDay.slice(Math.min(...active), Math.max(...active) + 1)
+        : [];
+    renderLineChart(document.getElementById('hourChart'),
+        hours.map(({ hour, count }) => {
+            const label = `${String(hour).padStart(2, '0')}:00`;
+            return { label: `${label} (${count})`, shortLabel: label, value: count };
+        }));
+}
+
+// Feedback analytics (admin-dashboard.html)
+const RATING_LABELS = { 1: 'Unsatisfied', 2: 'Bad', 3: 'Neutral', 4: 'Good', 5: 'Satisfied' };
+let feedbackAnalytics = null;
+
+function loadFeedbackAnalytics() {
+    getFeedbackAnalytics(analyticsQuery())
+        .then(analytics => {
+            feedbackAnalytics = analytics;
+            renderFeedbackAnalytics();
+        })
+        .catch(error => {
+            console.error('Failed to load feedback analytics:', error);
+        });
+}
+
+function renderFeedbackAnalytics() {
+    if (!feedbackAnalytics || typeof renderBarChart !== 'function') return;
+    const analytics = feedbackAnalytics;
+
+    document.querySelectorAll('[data-feedback-stat]').forEach(el => {
+        const value = analytics.responses[el.dataset.feedbackStat];
+        el.textContent = value === null || value === undefined ? '–' : value;
+    });
+
+    renderBarChart(
+        document.getElementById('ratingDistributionChart'),
+        analytics.ratingDistribution
+            .slice()
+            .reverse()
+            .map(({ rating, count }) => ({ label: `${rating} · ${RATING_LABELS[rating]}`, value: count }))
+    );
+
+    const intervalSelect = document.getElementById('ratingInterval');
+    const interval = intervalSelect ? intervalSelect.value : 'hour';
+    renderLineChart(
+        document.getElementById('ratingTrendChart'),
+        analytics.averageRating[interval].map(point => ({
+            label: `${point.bucket} (${point.count} ratings)`,
+            // "2025-08-30T14:00" -> "14:00", "2025-08-30" -> "30/08"
+            shortLabel: interval === 'hour'
+                ? point.bucket.slice(11)
+                : point.bucket.slice(8, 10) + '/' + point.bucket.slice(5, 7),
+            value: point.average
+        })),
+        { yMin: 1, yMax: 5 }
+    );
+
+    renderBarChart(
+        document.getElementById('ratingByLanguageChart'),
+        analytics.locale
+            .filter(({ averageRating }) => averageRating !== null)
+            .map(({ language, responses, averageRating }) => ({
+                label: `${language} (${responses} responses)`,
+                value: averageRating
+            }))
+    );
+
+    analytics.questions.forEach((question, i) => {
+        const title = document.getElementById(`keywordsTitle${i + 1}`);
+        if (title) title.textContent = `"${question.question}" · ${question.responses} answers`;
+        renderBarChart(
+            document.getElementById(`keywordsChart${i + 1}`),
+            question.keywords.slice(0, 10).map(({ word, count }) => ({ label: word, value: count }))
+        );
+    });
+}
+
+// Lead conversion per interest (admin-dashboard.html)
+function loadLeadFunnel() {
+    const tbody = document.getElementById('leadFunnelBody');
+    if (!tbody) return;
+
+    getLeadFunnel()
+        .then(rows => {
+            tbody.innerHTML = '';
+            if (rows.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">No leads yet</td></tr>';
+                return;
+            }
+            // "12 (40%)": how many of the interest's leads got that far
+            const share = (count, total) => `${count} (${total ? Math.round((count / total) * 100) : 0}%)`;
+            rows.forEach(row => {
+                const tr = tbody.insertRow();
+                [
+                    row.interest,
+                    row.leads,
+                    share(row.contacted, row.leads),
+                    share(row.qualified, row.leads),
+                    row.won,
+                    row.lost,
+                    `${row.winRate}%`
+                ].forEach(value => {
+                    tr.insertCell().textContent = value;
+                });
+            });
+        })
+        .catch(error => {
+            console.error('Failed to load lead funnel:', error);
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;color:red;">Failed to load leads</td></tr>';
+        });
+}
+
+// Current admin list query (search, filters, sort and page)
+const registrationQuery = { page: 1, limit: 25 };
+
 // Load registrations (works for both dashboard & admin.html table)
-function loadRegistrations(searchQuery = '') {
+// Passing a search string starts again from page 1
+function loadRegistrations(searchQuery) {
+    if (typeof searchQuery === 'string') {
+        registrationQuery.search = searchQuery;
+        registrationQuery.page = 1;
+    }
+
     const tbody = document.getElementById('registrationTableBody');
     if (tbody) {
         tbody.innerHTML = `<tr><td colspan="6" style="text-align:center;">Loading...</td></tr>`;
     }
 
-    getRegistrations(searchQuery)
-        .then(registrations => {
+    getRegistrations(registrationQuery)
+        .then(result => {
+            const registrations = result.data || [];
+
             // Fill "userList" (dashboard)
             const userList = document.getElementById('userList');
             if (userList) {
@@ -198,15 +1233,12 @@ function loadRegistrations(searchQuery = '') {
                 if (registrations.length === 0) {
                     userList.innerHTML = '<div class="user-item">No registrations found</div>';
                 } else {
-                    registrations.slice(0, 10).forEach(reg => {
-                        const userItem = document.createElement('div');
-                        userItem.className = 'user-item';
-                        userItem.innerHTML = `${reg.firstName} ${reg.lastName} - ${reg.email}`;
-                        userList.appendChild(userItem);
-                    });
+                    registrations.slice(0, USER_LIST_SIZE).forEach(reg => userList.appendChild(userItem(reg)));
                 }
             }
 
+            renderRegistrationPager(result);
+
             // Fill "registrationTableBody" (admin.html)
             if (tbody) {
                 if (registrations.length === 0) {
@@ -214,18 +1246,7 @@ function loadRegistrations(searchQuery = '') {
                     return;
                 }
                 tbody.innerHTML = '';
-                registrations.forEach(reg => {
-                    const row = tbody.insertRow();
-                    const interests = Array.isArray(reg.interests) ? reg.interests.join(', ') : reg.interests || '';
-                    row.innerHTML = `
-                        <td>${reg.firstName || ''} ${reg.lastName || ''}</td>
-                        <td>${reg.gender || ''}</td>
-                        <td>${reg.email || ''}</td>
-                        <td>${reg.location || ''}</td>
-                        <td>${reg.channel || ''}</td>
-                        <td>${interests}</td>
-                    `;
-                });
+                registrations.forEach(reg => addRegistrationRow(tbody, reg));
             }
         })
         .catch(error => {
@@ -236,9 +1257,228 @@ function loadRegistrations(searchQuery = '') {
         });
 }
 
-// Load feedbacks (admin-feedback.html)
+const USER_LIST_SIZE = 10;
+
+function userItem(reg) {
+    const item = document.createElement('div');
+    item.className = 'user-item';
+    item.dataset.id = reg._id;
+    item.textContent = `${reg.firstName || ''} ${reg.lastName || ''} - ${reg.email || ''}`;
+    if (reg.checkedInAt) item.textContent += ' ✅';
+    return item;
+}
+
+// index -1 adds the row at the end, 0 at the top
+function addRegistrationRow(tbody, reg, index = -1) {
+    const row = tbody.insertRow(index);
+    // Opens the registration's detail page (view, edit, delete)
+    row.className = 'clickable-row';
+    row.dataset.href = `admin-registration.html?id=${encodeURIComponent(reg._id)}`;
+    const interests = Array.isArray(reg.interests) ? reg.interests.join(', ') : reg.interests || '';
+    // Attendee-supplied values are set as text, never parsed as HTML
+    [
+        `${reg.firstName || ''} ${reg.lastName || ''}`,
+        reg.gender,
+        reg.email,
+        reg.location,
+        reg.channel,
+        interests
+    ].forEach(value => {
+        row.insertCell().textContent = value || '';
+    });
+    return row;
+}
+
+// Paging controls under the registrations table
+function renderRegistrationPager(result) {
+    const pager = document.getElementById('registrationPager');
+    if (!pager) return;
+
+    const { page = 1, totalPages = 1, total = 0 } = result;
+    pager.innerHTML = '';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'pager-btn';
+    prevBtn.textContent = '‹ Prev';
+    prevBtn.disabled = page <= 1;
+    prevBtn.addEventListener('click', () => goToRegistrationPage(page - 1));
+
+    const info = document.createElement('span');
+    info.className = 'pager-info';
+    info.textContent = `Page ${page} of ${totalPages} · ${total} registration${total === 1 ? '' : 's'}`;
+
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'pager-btn';
+    nextBtn.textContent = 'Next ›';
+    nextBtn.disabled = page >= totalPages;
+    nextBtn.addEventListener('click', () => goToRegistrationPage(page + 1));
+
+    pager.append(prevBtn, info, nextBtn);
+}
+
+function goToRegistrationPage(page) {
+    registrationQuery.page = page;
+    loadRegistrations();
+}
+
+// Reads every control marked with data-filter="<query param>" and reloads from page 1
+function applyRegistrationFilters() {
+    document.querySelectorAll('[data-filter]').forEach(control => {
+        registrationQuery[control.dataset.filter] = control.value;
+    });
+    registrationQuery.page = 1;
+    loadRegistrations();
+    loadRegistrationAnalytics();
+    loadFeedbackAnalytics();
+}
+
+function setupRegistrationFilters() {
+    document.querySelectorAll('[data-filter]').forEach(control => {
+        control.addEventListener('change', applyRegistrationFilters);
+    });
+}
+
+// Element whose content is plain text (safe for untrusted values)
+function textElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text === undefined || text === null ? '' : String(text);
+    return el;
+}
+
+// Replaces the interest checkboxes in container (a form group) with one per interest
+function renderInterestCheckboxes(container, interests, checked = []) {
+    container.querySelectorAll('.checkbox-group').forEach(el => el.remove());
+    interests.forEach((interest, index) => {
+        const group = document.createElement('div');
+        group.className = 'checkbox-group';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.id = `interest${index + 1}`;
+        box.name = 'interests';
+        box.value = interest;
+        box.checked = checked.includes(interest);
+        const label = textElement('label', '', interest);
+        label.htmlFor = box.id;
+        group.append(box, label);
+        container.appendChild(group);
+    });
+}
+
+// ====== Admin event switcher ======
+
+// Fills <select id="eventSwitcher"> with the events; picking one reloads the
+// page scoped to it. Every admin page names the selected event in its header
+// and the interest filter lists that event's interests.
+async function setupEventSwitcher() {
+    let selected = getAdminEvent();
+    const showSelected = () => {
+        if (!selected) return;
+        document.querySelectorAll('.event-title').forEach(el => { el.textContent = selected.name; });
+        const interestFilter = document.querySelector('select[data-filter="interests"]');
+        if (interestFilter) {
+            interestFilter.length = 1;
+            selected.interests.forEach(interest => interestFilter.appendChild(new Option(interest, interest)));
+        }
+    };
+    showSelected();
+
+    const switcher = document.getElementById('eventSwitcher');
+    if (!switcher) return;
+
+    let events;
+    try {
+        events = await getEvents();
+    } catch (error) {
+        console.error('Failed to load events:', error);
+        return;
+    }
+
+    switcher.innerHTML = '';
+    switcher.appendChild(new Option('All events', ''));
+    events.forEach(event => {
+        switcher.appendChild(new Option(event.active ? event.name : `${event.name} (inactive)`, event._id));
+    });
+
+    // Pick up changes made to the selected event since it was chosen
+    if (selected) {
+        const current = events.find(event => event._id === selected._id);
+        setAdminEvent(current || null);
+        selected = getAdminEvent();
+        showSelected();
+    }
+    switcher.value = selected ? selected._id : '';
+
+    switcher.addEventListener('change', () => {
+        setAdminEvent(events.find(event => event._id === switcher.value) || null);
+        window.location.reload();
+    });
+}
+
+// Moderation buttons for a feedback card (organizers and superadmins)
+function feedbackActions(feedback) {
+    const actions = document.createElement('div');
+    actions.className = 'feedback-actions';
+    if (!['organizer', 'superadmin'].includes(getAdminProfile().role)) return actions;
+
+    const buttons = feedback.deletedAt
+        ? [['♻️ Restore', () => restoreFeedback(feedback._id)]]
+        : [
+            feedback.moderation === 'visible'
+                ? ['🙈 Hide', () => moderateFeedback(feedback._id, 'hidden')]
+                : ['👁 Show', () => moderateFeedback(feedback._id, 'visible')],
+            ...(feedback.moderation === 'spam' ? [] : [['🚫 Spam', () => moderateFeedback(feedback._id, 'spam')]]),
+            ['🗑 Delete', () => deleteFeedback(feedback._id)]
+        ];
+
+    buttons.forEach(([label, run]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pager-btn';
+        btn.textContent = label;
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                await run();
+                loadFeedbacks();
+            } catch (error) {
+                alert(`Could not update feedback: ${error.message}`);
+                btn.disabled = false;
+            }
+        });
+        actions.appendChild(btn);
+    });
+    return actions;
+}
+
+function feedbackCard(feedback) {
+    const card = document.createElement('div');
+    card.className = 'feedback-card';
+    const date = new Date(feedback.timestamp).toLocaleDateString('en-GB');
+    const rating = feedback.rating ? ` | Rating: ${feedback.rating}/5` : '';
+    const answers = [
+        feedback.feedback1,
+        feedback.feedback2,
+        ...(feedback.answers || []).map(({ label, answer }) => `${label}: ${answer}`)
+    ].filter(Boolean);
+    const text = answers.length ? answers : [feedback.text || 'No feedback text'];
+    // Feedback is free text from the public kiosk, so it is only ever set as text
+    card.appendChild(textElement('div', 'feedback-name', feedback.name || 'Anonymous User'));
+    if (feedback.interests && feedback.interests.length) {
+        card.appendChild(textElement('div', 'feedback-interests', feedback.interests.join(', ')));
+    }
+    text.forEach(answer => card.appendChild(textElement('div', 'feedback-text', answer)));
+    card.appendChild(textElement('div', 'feedback-date', `${date}${rating}`));
+    card.appendChild(feedbackActions(feedback));
+    return card;
+}
+
+// Load feedbacks (admin-feedback.html); #feedbackView picks visible, hidden, spam or deleted
 function loadFeedbacks() {
-    getFeedbacks()
+    const viewSelect = document.getElementById('feedbackView');
+    getFeedbacks(viewSelect ? viewSelect.value : undefined)
         .then(feedbacks => {
             const feedbackCards = document.getElementById('feedbackCards');
             if (!feedbackCards) return;
@@ -249,18 +1489,7 @@ function loadFeedbacks() {
                 return;
             }
             
-            feedbacks.forEach(feedback => {
-                const card = document.createElement('div');
-                card.className = 'feedback-card';
-                const date = new Date(feedback.timestamp).toLocaleDateString('en-GB');
-                const rating = feedback.rating ? ` | Rating: ${feedback.rating}/5` : '';
-                card.innerHTML = `
-                    <div class="feedback-name">${feedback.name || 'Anonymous User'}</div>
-                    <div class="feedback-text">${feedback.text || 'No feedback text'}</div>
-                    <div class="feedback-date">${date}${rating}</div>
-                `;
-                feedbackCards.appendChild(card);
-            });
+            feedbacks.forEach(feedback => feedbackCards.appendChild(feedbackCard(feedback)));
         })
         .catch(error => {
             console.error('Failed to load feedbacks:', error);
@@ -271,6 +1500,200 @@ function loadFeedbacks() {
         });
 }
 
+// ====== Live updates (admin-dashboard.html, admin-feedback.html) ======
+
+// The stream from /api/admin/live is read with fetch because EventSource
+// cannot send the Authorization and X-Event-Id headers. When it drops, it
+// reconnects (waiting longer after each failure) with the last id seen, and
+// the server replays what was missed or sends "resync".
+const LIVE_RETRY_MAX_MS = 60000;
+const LIVE_STATUS_TEXT = { connecting: '○ Connecting…', live: '● Live', offline: '○ Reconnecting…' };
+
+function setLiveStatus(state) {
+    const el = document.getElementById('liveStatus');
+    if (!el) return;
+    el.dataset.state = state;
+    el.textContent = LIVE_STATUS_TEXT[state];
+}
+
+// One "event: x / id: y / data: {...}" block; lines starting with ":" are keep-alives
+function parseServerEvent(block) {
+    const message = { event: 'message', data: '', id: null, retry: null };
+    block.split(/\r?\n/).forEach(line => {
+        if (!line || line.startsWith(':')) return;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'data') message.data += (message.data ? '\n' : '') + value;
+        if (field === 'event') message.event = value;
+        if (field === 'id') message.id = value;
+        if (field === 'retry') message.retry = parseInt(value, 10);
+    });
+    return message;
+}
+
+// handlers maps event names (registration, feedback, checkin, import, stats,
+// resync) to functions called with the event's data
+function connectLiveUpdates(handlers) {
+    let lastEventId = null;
+    let retryMs = 5000;
+    let failures = 0;
+
+    const dispatch = message => {
+        if (message.retry) retryMs = message.retry;
+        if (message.id) lastEventId = message.id;
+        const handler = handlers[message.event];
+        if (!handler || !message.data) return;
+        try {
+            handler(JSON.parse(message.data));
+        } catch (error) {
+            console.error(`Live ${message.event} update failed:`, error);
+        }
+    };
+
+    async function connect() {
+        setLiveStatus(failures ? 'offline' : 'connecting');
+        try {
+            const token = getAdminToken();
+            const response = await fetch(`${API_BASE_URL}/api/admin/live`, {
+                cache: 'no-store',
+                headers: {
+                    'Accept': 'text/event-stream',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                    ...eventScopeHeaders(),
+                    ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+                }
+            });
+            if (response.status === 401) {
+                endAdminSession();
+                return;
+            }
+            if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+            failures = 0;
+            setLiveStatus('live');
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let pending = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                pending += decoder.decode(value, { stream: true });
+                const blocks = pending.split(/\r?\n\r?\n/);
+                pending = blocks.pop();
+                blocks.forEach(block => dispatch(parseServerEvent(block)));
+            }
+        } catch (error) {
+            console.warn('Live updates interrupted:', error.message);
+        }
+
+        failures++;
+        setLiveStatus('offline');
+        setTimeout(connect, Math.min(retryMs * 2 ** (failures - 1), LIVE_RETRY_MAX_MS));
+    }
+
+    connect();
+}
+
+function endAdminSession() {
+    clearAdminToken();
+    window.location.href = 'admin-login.html';
+}
+
+// New registrations go straight into the table only while it shows the
+// first page, newest first, with no search or filters
+function showsNewestRegistrations() {
+    const { page, limit, search, sort, order, ...filters } = registrationQuery;
+    return page === 1 && !search &&
+        [undefined, '', 'timestamp'].includes(sort) &&
+        [undefined, '', 'desc'].includes(order) &&
+        Object.values(filters).every(value => !value);
+}
+
+// Charts are redrawn at most every few seconds while updates keep coming
+let analyticsRefresh = null;
+function refreshAnalyticsSoon() {
+    if (analyticsRefresh) return;
+    analyticsRefresh = setTimeout(() => {
+        analyticsRefresh = null;
+        loadRegistrationAnalytics();
+        loadFeedbackAnalytics();
+        loadLeadFunnel();
+    }, 5000);
+}
+
+// "Loading..." / "No records found" rows and lines
+function removePlaceholders(container) {
+    container.querySelectorAll('td[colspan], .user-item:not([data-id])').forEach(el => {
+        (el.closest('tr') || el).remove();
+    });
+}
+
+function showLiveRegistration(reg) {
+    const userList = document.getElementById('userList');
+    if (userList) {
+        removePlaceholders(userList);
+        const item = userItem(reg);
+        item.classList.add('live-new');
+        userList.prepend(item);
+        while (userList.children.length > USER_LIST_SIZE) userList.lastElementChild.remove();
+    }
+
+    const tbody = document.getElementById('registrationTableBody');
+    if (tbody && showsNewestRegistrations()) {
+        removePlaceholders(tbody);
+        addRegistrationRow(tbody, reg, 0).classList.add('live-new');
+        while (tbody.rows.length > registrationQuery.limit) tbody.deleteRow(-1);
+    }
+    refreshAnalyticsSoon();
+}
+
+function showLiveCheckIn(reg) {
+    const item = document.querySelector(`#userList [data-id="${CSS.escape(String(reg._id))}"]`);
+    if (item) item.replaceWith(userItem(reg));
+}
+
+function liveDashboardHandlers() {
+    return {
+        stats: showStats,
+        registration: showLiveRegistration,
+        checkin: showLiveCheckIn,
+        feedback: refreshAnalyticsSoon,
+        import: () => {
+            loadRegistrations();
+            refreshAnalyticsSoon();
+        },
+        resync: () => {
+            loadAdminData();
+            loadRegistrationAnalytics();
+            loadFeedbackAnalytics();
+            loadLeadFunnel();
+        },
+        expired: endAdminSession
+    };
+}
+
+function liveFeedbackHandlers() {
+    return {
+        feedback: feedback => {
+            const viewSelect = document.getElementById('feedbackView');
+            const feedbackCards = document.getElementById('feedbackCards');
+            // New feedback is visible; the hidden, spam and deleted views do not change
+            if (!feedbackCards || (viewSelect && viewSelect.value !== 'visible')) return;
+            Array.from(feedbackCards.children)
+                .filter(el => !el.classList.contains('feedback-card'))
+                .forEach(el => el.remove());
+            const card = feedbackCard(feedback);
+            card.classList.add('live-new');
+            feedbackCards.prepend(card);
+            // GET /feedbacks lists the latest 100
+            while (feedbackCards.children.length > 100) feedbackCards.lastElementChild.remove();
+        },
+        resync: loadFeedbacks,
+        expired: endAdminSession
+    };
+}
+
 // Search functionality with debounce
 function setupSearch() {
     const adminSearch = document.getElementById('adminSearch');
@@ -283,19 +1706,67 @@ function setupSearch() {
     }
 }
 
+// Inline on* handlers are blocked by the Content-Security-Policy, so buttons
+// say what they do instead: data-href="page.html" navigates and
+// data-action="fnName" calls a global function with data-arg (or, for file
+// inputs, the input itself) when clicked or changed
+function runAction(el) {
+    const action = window[el.dataset.action];
+    if (typeof action !== 'function') {
+        console.error('Unknown data-action:', el.dataset.action);
+        return;
+    }
+    action(el.dataset.arg !== undefined ? el.dataset.arg : el);
+}
+
+document.addEventListener('click', event => {
+    const el = event.target.closest('[data-href], [data-action]');
+    if (!el || el.matches('input[type="file"]')) return;
+
+    if (el.dataset.href) {
+        window.location.href = el.dataset.href;
+    } else {
+        runAction(el);
+    }
+});
+
+document.addEventListener('change', event => {
+    if (event.target.matches('input[type="file"][data-action]')) runAction(event.target);
+});
+
 // Initialize admin pages
 function initializeAdminPage() {
     const path = window.location.pathname;
+    if (isAdminPage() && !getAdminToken()) {
+        window.location.href = 'admin-login.html';
+        return;
+    }
     if (path.includes('admin-dashboard.html')) {
         loadAdminData();
         setupSearch();
+        setupRegistrationFilters();
+        loadRegistrationAnalytics();
+        loadFeedbackAnalytics();
+        loadLeadFunnel();
+        const intervalSelect = document.getElementById('ratingInterval');
+        if (intervalSelect) intervalSelect.addEventListener('change', renderFeedbackAnalytics);
+        connectLiveUpdates(liveDashboardHandlers());
     }
+    // Role-restricted controls (data-roles="organizer superadmin") stay hidden for everyone else
+    const role = getAdminProfile().role;
+    document.querySelectorAll('[data-roles]').forEach(el => {
+        el.hidden = !el.dataset.roles.split(' ').includes(role);
+    });
+    if (isAdminPage()) setupEventSwitcher();
     if (path.includes('admin.html')) {
         loadRegistrations();
         setupSearch();
     }
     if (path.includes('admin-feedback.html')) {
         loadFeedbacks();
+        const viewSelect = document.getElementById('feedbackView');
+        if (viewSelect) viewSelect.addEventListener('change', loadFeedbacks);
+        connectLiveUpdates(liveFeedbackHandlers());
     }
 }
 
@@ -314,13 +1785,26 @@ async function testAPIConnection() {
 // Expose global functions
 window.submitRegistrationProduction = submitRegistrationProduction;
 window.submitFeedbackProduction = submitFeedbackProduction;
+window.showFieldErrors = showFieldErrors;
+window.clearFieldErrors = clearFieldErrors;
 window.loadAdminData = loadAdminData;
 window.loadRegistrations = loadRegistrations;
+window.applyRegistrationFilters = applyRegistrationFilters;
 window.loadFeedbacks = loadFeedbacks;
+window.checkInAttendee = checkInAttendee;
+window.getDuplicateGroups = getDuplicateGroups;
+window.mergeDuplicates = mergeDuplicates;
+window.exportRegistrations = exportRegistrations;
+window.exportFeedbacks = exportFeedbacks;
+window.handleImportFile = handleImportFile;
+window.adminLogin = adminLogin;
+window.adminLogout = adminLogout;
 
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', function() {
     testAPIConnection();
     initializeAdminPage();
+    initializeOfflineMode();
+    if (!window.location.pathname.includes('admin')) loadKioskEvent();
     console.log('MTN GITEX Nigeria website initialized with API integration');
 });
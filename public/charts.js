@@ -0,0 +1,112 @@
+// charts.js - Minimal dependency-free charts for the admin dashboard
+// Add <script src="charts.js"></script> before api.js on pages that draw charts
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgElement(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+function showEmptyChart(container, message = 'No data yet') {
+    container.innerHTML = '';
+    const empty = document.createElement('div');
+    empty.className = 'chart-empty';
+    empty.textContent = message;
+    container.appendChild(empty);
+}
+
+// Horizontal bars: items = [{ label, value }]
+function renderBarChart(container, items, { formatValue = v => v } = {}) {
+    if (!container) return;
+    if (!items.length || items.every(item => !item.value)) {
+        showEmptyChart(container);
+        return;
+    }
+
+    const max = Math.max(...items.map(item => item.value));
+    container.innerHTML = '';
+
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+
+        const label = document.createElement('div');
+        label.className = 'bar-label';
+        label.textContent = item.label;
+        label.title = item.label;
+
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const fill = document.createElement('div');
+        fill.className = 'bar-fill';
+        fill.style.width = `${max ? (item.value / max) * 100 : 0}%`;
+        track.appendChild(fill);
+
+        const value = document.createElement('div');
+        value.className = 'bar-value';
+        value.textContent = formatValue(item.value);
+
+        row.append(label, track, value);
+        container.appendChild(row);
+    });
+}
+
+// Line chart: points = [{ label, value }], y axis from yMin to yMax
+function renderLineChart(container, points, { yMin = 0, yMax, formatValue = v => v } = {}) {
+    if (!container) return;
+    if (!points.length) {
+        showEmptyChart(container);
+        return;
+    }
+
+    const width = 600;
+    const height = 200;
+    const pad = { top: 15, right: 15, bottom: 30, left: 35 };
+    const top = yMax !== undefined ? yMax : Math.max(...points.map(p => p.value));
+    const range = top - yMin || 1;
+
+    const x = i => pad.left + (points.length === 1 ? 0.5 : i / (points.length - 1)) * (width - pad.left - pad.right);
+    const y = v => height - pad.bottom - ((v - yMin) / range) * (height - pad.top - pad.bottom);
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'line-chart', role: 'img' });
+
+    // Horizontal grid lines with y labels
+    for (let step = 0; step <= 4; step++) {
+        const value = yMin + (range * step) / 4;
+        svg.appendChild(svgElement('line', {
+            x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), class: 'chart-grid'
+        }));
+        const label = svgElement('text', { x: pad.left - 6, y: y(value) + 4, class: 'chart-axis', 'text-anchor': 'end' });
+        label.textContent = formatValue(Math.round(value * 10) / 10);
+        svg.appendChild(label);
+    }
+
+    svg.appendChild(svgElement('polyline', {
+        points: points.map((p, i) => `${x(i)},${y(p.value)}`).join(' '),
+        class: 'chart-line'
+    }));
+
+    // Label at most ~8 points along the x axis so they do not overlap
+    const every = Math.ceil(points.length / 8);
+    points.forEach((p, i) => {
+        const dot = svgElement('circle', { cx: x(i), cy: y(p.value), r: 4, class: 'chart-dot' });
+        const title = svgElement('title');
+        title.textContent = `${p.label}: ${formatValue(p.value)}`;
+        dot.appendChild(title);
+        svg.appendChild(dot);
+
+        if (i % every === 0) {
+            const label = svgElement('text', { x: x(i), y: height - 8, class: 'chart-axis', 'text-anchor': 'middle' });
+            label.textContent = p.shortLabel || p.label;
+            svg.appendChild(label);
+        }
+    });
+
+    container.innerHTML = '';
+    container.appendChild(svg);
+}
+
+window.renderBarChart = renderBarChart;
+window.renderLineChart = renderLineChart;
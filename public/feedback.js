@@ -0,0 +1,76 @@
+// feedback.js - Questions and rating picker on the kiosk feedback page
+
+const feedbackFields = document.getElementById('feedbackFields');
+const ratingGroup = document.querySelector('.rating-group');
+
+// Rating selection UI logic
+document.querySelectorAll('.rating-item').forEach(item => {
+    item.addEventListener('click', function () {
+        document.querySelectorAll('.rating-item').forEach(r => {
+            r.classList.remove('selected');
+            r.querySelector('.rating-checkbox').checked = false;
+        });
+
+        this.classList.add('selected');
+        this.querySelector('.rating-checkbox').checked = true;
+    });
+});
+
+// The form's rating: its question, the word under each point and whether it is asked at all
+function applyRatingField(field) {
+    ratingGroup.hidden = !field;
+    if (!field) {
+        // Left out of readFormFields
+        delete ratingGroup.dataset.type;
+        return;
+    }
+
+    ratingGroup.dataset.type = 'rating';
+    ratingGroup.dataset.label = field.label;
+    if (field.required) ratingGroup.dataset.required = 'true';
+    else delete ratingGroup.dataset.required;
+    setText(document.getElementById('ratingLabel'), '{label} (1-5):', { label: field.label });
+    ratingGroup.querySelectorAll('.rating-item').forEach(item => {
+        setText(item.querySelector('.rating-label'), field.options[item.dataset.rating - 1] || '');
+    });
+}
+
+document.addEventListener('kioskevent', event => {
+    const form = event.detail.forms && event.detail.forms.feedback;
+    if (!form || feedbackFields.dataset.formId === String(form.id)) return;
+
+    renderFormFields(feedbackFields, form.fields.filter(field => field.type !== 'rating'));
+    applyRatingField(form.fields.find(field => field.type === 'rating'));
+    feedbackFields.dataset.formId = form.id;
+});
+
+// Opened from an attendee's feedback link (feedback.html?t=<token>): the token
+// is sent with the answers so they are linked to the attendee (see api.js)
+window.feedbackToken = new URLSearchParams(window.location.search).get('t');
+
+document.addEventListener('DOMContentLoaded', async function () {
+    if (!window.feedbackToken) return;
+
+    const greeting = document.getElementById('feedbackGreeting');
+    try {
+        const invitation = await getFeedbackInvitation(window.feedbackToken);
+        setText(greeting, invitation.answered
+            ? 'Thanks {name}, you have already shared your feedback.'
+            : 'Hi {name}, tell us about your visit to the MTN stand.', { name: invitation.firstName });
+        greeting.hidden = false;
+        if (invitation.answered) {
+            document.querySelector('[data-action="submitFeedbackProduction"]').disabled = true;
+        }
+        // Show the attendee's own event, whatever the device was last used for
+        if (invitation.event && invitation.event !== getKioskEvent()) {
+            setKioskEvent(invitation.event);
+            loadKioskEvent();
+        }
+    } catch (error) {
+        // Offline: keep the token, the outbox sends it when the connection is back
+        if (isOfflineError(error)) return;
+        window.feedbackToken = null;
+        setText(greeting, '{message}. Your feedback will be sent anonymously.', { message: error.message });
+        greeting.hidden = false;
+    }
+});
@@ -0,0 +1,125 @@
+// i18n.js - Kiosk languages
+// Loaded first by the kiosk pages. The English in the pages is the source
+// text; locales/<locale>.json maps each English string to its translation
+// (the API reads the same bundles, see lib/i18n.js). Strings missing from a
+// bundle, and the admins' own form labels, stay in English.
+//
+// Text to translate is marked in the markup: data-i18n on an element
+// translates its text, data-i18n-placeholder its placeholder. Scripts set
+// text with setText() so it follows later language changes too.
+//
+// The language is the attendee's, not the kiosk's: pages that end a visit
+// (<body data-end-of-visit>, the success pages) are shown in it and then
+// forget it, so the next attendee starts in English.
+
+const KIOSK_LOCALE_KEY = 'kioskLocale';
+const DEFAULT_LOCALE = 'en';
+// In step with LOCALES in lib/i18n.js; Pidgin is "pcm"
+const KIOSK_LOCALES = ['en', 'pcm', 'ha', 'yo', 'ig'];
+
+// The chosen language's bundle; empty for English or until it has loaded
+let translations = {};
+// The language the page is shown in
+let shownLocale = DEFAULT_LOCALE;
+
+function getKioskLocale() {
+    const saved = localStorage.getItem(KIOSK_LOCALE_KEY);
+    return KIOSK_LOCALES.includes(saved) ? saved : DEFAULT_LOCALE;
+}
+
+// text (English) in the kiosk's language with "{name}" filled from params
+function t(text, params = {}) {
+    const source = String(text);
+    const template = Object.prototype.hasOwnProperty.call(translations, source) ? translations[source] : source;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+// Params are translated too, so "{label} (1-5):" follows its label's language
+function translateMarked(text, params) {
+    const translated = {};
+    Object.entries(params).forEach(([name, value]) => {
+        translated[name] = typeof value === 'string' ? t(value) : value;
+    });
+    return t(text, translated);
+}
+
+// Sets el's text to text (English) in the kiosk's language, keeping the
+// English so a language change can translate it again. Returns el.
+function setText(el, text, params = {}) {
+    el.dataset.i18n = text;
+    if (Object.keys(params).length) {
+        el.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete el.dataset.i18nParams;
+    }
+    el.textContent = translateMarked(text, params);
+    return el;
+}
+
+function setPlaceholder(el, text) {
+    el.dataset.i18nPlaceholder = text;
+    el.placeholder = t(text);
+    return el;
+}
+
+// Translates the marked text in root. A bare data-i18n takes the element's
+// own (English) text the first time.
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (!el.dataset.i18n) el.dataset.i18n = el.textContent.replace(/\s+/g, ' ').trim();
+        const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+        el.textContent = translateMarked(el.dataset.i18n, params);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.placeholder;
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-locale]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.locale === getKioskLocale());
+    });
+}
+
+// Loads the bundle of the kiosk's language and translates the page; pages
+// listen for "localechange" to redo text they build themselves. Offline,
+// the service worker serves the bundle from its cache.
+async function loadKioskLocale() {
+    const locale = getKioskLocale();
+    translations = {};
+    if (locale !== DEFAULT_LOCALE) {
+        try {
+            const response = await fetch(`locales/${locale}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            translations = await response.json();
+        } catch (error) {
+            console.warn(`Translations for ${locale} not loaded, showing English:`, error.message);
+        }
+    }
+
+    shownLocale = locale;
+    document.documentElement.lang = locale;
+    applyTranslations();
+    if (document.body.hasAttribute('data-end-of-visit')) localStorage.removeItem(KIOSK_LOCALE_KEY);
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    return locale;
+}
+
+// For links that carry the visit on from a page that ends it (the success
+// page's feedback button): the attendee keeps the language they were shown
+function continueKioskVisit() {
+    if (shownLocale !== DEFAULT_LOCALE) localStorage.setItem(KIOSK_LOCALE_KEY, shownLocale);
+}
+
+// The attendee's pick on index.html, kept for the rest of the flow
+function setKioskLocale(locale) {
+    if (!KIOSK_LOCALES.includes(locale)) return Promise.resolve(getKioskLocale());
+    localStorage.setItem(KIOSK_LOCALE_KEY, locale);
+    return loadKioskLocale();
+}
+
+// Language buttons: <button data-locale="ha">Hausa</button>
+document.addEventListener('click', event => {
+    const btn = event.target.closest('[data-locale]');
+    if (btn) setKioskLocale(btn.dataset.locale);
+});
+
+document.addEventListener('DOMContentLoaded', loadKioskLocale);
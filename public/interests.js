@@ -0,0 +1,127 @@
+// interests.js - Areas of interest picker, the rest of page 2 of the event's
+// registration form and the final registration submit
+
+const interestsGrid = document.querySelector('.interests-grid');
+const stepFields = document.getElementById('stepFields');
+
+// Most interests an attendee may pick (the form's interests field); none means no limit
+function interestLimit() {
+    return Number(interestsGrid.dataset.max) || Infinity;
+}
+
+function selectedInterests() {
+    return interestsGrid.querySelectorAll('.interest-item.selected');
+}
+
+// Interest selection handlers; tiles may be re-rendered for the kiosk's
+// event, so clicks are handled on the grid
+interestsGrid.addEventListener('click', event => {
+    const item = event.target.closest('.interest-item');
+    if (!item || item.classList.contains('disabled')) return;
+
+    const selected = !item.classList.contains('selected');
+    if (selected && selectedInterests().length >= interestLimit()) return;
+
+    item.classList.toggle('selected', selected);
+    item.querySelector('.plus-icon').textContent = selected ? '✓' : '+';
+    updateInterestCount();
+});
+
+// Shows how many are picked and, at the limit, disables the other tiles
+function updateInterestCount() {
+    const countEl = document.querySelector('.interest-count');
+    const count = selectedInterests().length;
+    const limit = interestLimit();
+
+    interestsGrid.querySelectorAll('.interest-item:not(.selected)').forEach(item => {
+        item.classList.toggle('disabled', count >= limit);
+    });
+
+    if (limit === Infinity) {
+        setText(countEl, 'Select your areas of interest ({count} selected)', { count });
+        countEl.style.color = '#666';
+    } else if (count >= limit) {
+        setText(countEl, 'Maximum selections reached ({count}/{limit})', { count, limit });
+        countEl.style.color = '#e74c3c';
+    } else {
+        setText(countEl, 'Select up to {limit} areas of interest ({count}/{limit})', { count, limit });
+        countEl.style.color = '#666';
+    }
+}
+
+// One tile per interest in the event's catalogue
+function renderInterests(interests) {
+    const current = Array.from(interestsGrid.querySelectorAll('.interest-item')).map(item => item.dataset.interest);
+    if (current.join('\n') === interests.join('\n')) return;
+
+    interestsGrid.innerHTML = '';
+    interests.forEach(interest => {
+        const item = document.createElement('div');
+        item.className = 'interest-item';
+        item.dataset.interest = interest;
+        item.appendChild(textElement('span', '', interest));
+        item.appendChild(textElement('div', 'plus-icon', '+'));
+        interestsGrid.appendChild(item);
+    });
+    updateInterestCount();
+}
+
+// The form's interests field: its label, limit and whether it is asked at all
+function applyInterestsField(field) {
+    const section = document.getElementById('interestsSection');
+    section.hidden = !field;
+    if (!field) {
+        // Left out of readFormFields
+        delete interestsGrid.dataset.type;
+        return;
+    }
+
+    interestsGrid.dataset.type = 'interests';
+    interestsGrid.dataset.label = field.label;
+    setText(document.getElementById('interestsTitle'), field.label);
+    if (field.required) interestsGrid.dataset.required = 'true';
+    else delete interestsGrid.dataset.required;
+    if (field.max) interestsGrid.dataset.max = field.max;
+    else delete interestsGrid.dataset.max;
+    updateInterestCount();
+}
+
+document.addEventListener('kioskevent', event => {
+    renderInterests(event.detail.interests || []);
+
+    const form = event.detail.forms && event.detail.forms.registration;
+    if (!form || stepFields.dataset.formId === String(form.id)) return;
+
+    applyInterestsField(form.fields.find(field => field.type === 'interests'));
+    renderFormFields(stepFields, form.fields.filter(field => field.step === 2 && field.type !== 'interests'));
+    stepFields.dataset.formId = form.id;
+});
+
+// Adds this page's answers to those saved by registration.js and submits
+function prepareAndSubmit() {
+    const { data, errors } = readFormFields(document);
+    if (Object.keys(errors).length) {
+        showFieldErrors(errors);
+        return;
+    }
+
+    const registrationData = JSON.parse(localStorage.getItem('registrationData') || '{}');
+    // A field cleared since an earlier attempt must not keep its old value
+    document.querySelectorAll('[data-field][data-type]').forEach(el => {
+        const name = el.dataset.field;
+        if (name.startsWith('answers.')) delete (registrationData.answers || {})[name.slice(8)];
+        else delete registrationData[name];
+    });
+    const answers = { ...registrationData.answers, ...data.answers };
+    Object.assign(registrationData, data, { answers });
+    if (!registrationData.form && stepFields.dataset.formId) registrationData.form = stepFields.dataset.formId;
+    localStorage.setItem('registrationData', JSON.stringify(registrationData));
+
+    // Call the production submit function from api.js
+    submitRegistrationProduction();
+}
+
+// Initialize counter
+document.addEventListener('DOMContentLoaded', function () {
+    updateInterestCount();
+});
@@ -0,0 +1,117 @@
+// outbox.js - IndexedDB queue for kiosk submissions made while offline
+// Loaded by the kiosk pages (before api.js) and by sw.js via importScripts,
+// so it must not touch window or document.
+
+(function (scope) {
+    const DB_NAME = 'gitex-kiosk';
+    const DB_VERSION = 1;
+    const STORE = 'outbox';
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'idempotencyKey' });
+                store.createIndex('status', 'status');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Runs fn(store) in a transaction and resolves with the request result
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request && request.result);
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    }
+
+    // item: { type, endpoint, payload, idempotencyKey, deviceId }
+    function add(item) {
+        return withStore('readwrite', store => store.put({
+            ...item,
+            status: 'pending',
+            attempts: 0,
+            queuedAt: new Date().toISOString()
+        }));
+    }
+
+    function pending() {
+        return withStore('readonly', store => store.index('status').getAll('pending'));
+    }
+
+    function count() {
+        return withStore('readonly', store => store.index('status').count('pending'));
+    }
+
+    function update(item) {
+        return withStore('readwrite', store => store.put(item));
+    }
+
+    function remove(idempotencyKey) {
+        return withStore('readwrite', store => store.delete(idempotencyKey));
+    }
+
+    /**
+     * Replays pending submissions in the order they were queued.
+     * The Idempotency-Key header means a submission the server already stored
+     * (e.g. the connection dropped before the response arrived) is not saved twice.
+     * Stops at the first network failure; requests the server refuses outright
+     * (4xx other than 408/429) are kept with status "rejected" for staff to review.
+     * Resolves with { sent, rejected, remaining }.
+     */
+    async function flush(baseUrl) {
+        const items = (await pending()).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+        let sent = 0;
+        let rejected = 0;
+
+        for (const item of items) {
+            let response;
+            try {
+                response = await fetch(`${baseUrl}/api${item.endpoint}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': item.idempotencyKey,
+                        ...(item.deviceId ? { 'X-Device-Id': item.deviceId } : {})
+                    },
+                    body: JSON.stringify(item.payload)
+                });
+            } catch (error) {
+                break; // still offline
+            }
+
+            if (response.ok) {
+                await remove(item.idempotencyKey);
+                sent++;
+                continue;
+            }
+
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            const data = await response.json().catch(() => ({}));
+            await update({
+                ...item,
+                attempts: item.attempts + 1,
+                status: retryable ? 'pending' : 'rejected',
+                error: data.message || `HTTP ${response.status}`
+            });
+
+            if (retryable) break;
+            rejected++;
+        }
+
+        return { sent, rejected, remaining: await count() };
+    }
+
+    scope.KioskOutbox = { add, pending, count, flush };
+})(self);
@@ -0,0 +1,8 @@
+// register.js - Kiosk landing page
+
+function handleRegister() {
+    // Add your registration logic here
+    console.log('Opening registration form...');
+
+    window.location.href = 'registration.html';
+}
@@ -0,0 +1,63 @@
+// registration.js - Biodata step of the kiosk registration form
+
+const regForm = document.getElementById('regForm');
+const formFields = document.getElementById('formFields');
+
+// Messages from a rejected submission, shown again if the fields are re-rendered
+let rejectedErrors = null;
+
+// Page 1 of the event's registration form; interests.html asks the rest
+document.addEventListener('kioskevent', event => {
+    const form = event.detail.forms && event.detail.forms.registration;
+    if (!form || formFields.dataset.formId === String(form.id)) return;
+
+    renderFormFields(formFields, form.fields.filter(field => (field.step || 1) === 1 && field.type !== 'interests'));
+    formFields.dataset.formId = form.id;
+    if (rejectedErrors) showFieldErrors(rejectedErrors);
+});
+
+// Modified to work with api.js
+function validateAndProceed() {
+    if (!regForm.checkValidity()) {
+        regForm.reportValidity();
+        return;
+    }
+
+    // Choices are hidden inputs, which the browser does not check
+    const { data, errors } = readFormFields(formFields);
+    if (Object.keys(errors).length) {
+        showFieldErrors(errors);
+        return;
+    }
+
+    // The form version shown, so the server checks the answers against it
+    if (formFields.dataset.formId) data.form = formFields.dataset.formId;
+
+    // Consent is optional and recorded per purpose
+    data.consentEvent = document.getElementById('consentEvent').checked;
+    data.consentMarketing = document.getElementById('consentMarketing').checked;
+    data.website = regForm.elements.website.value;
+    data.formStartedAt = PAGE_LOADED_AT;
+
+    // Save to localStorage and proceed
+    localStorage.setItem('registrationData', JSON.stringify(data));
+    window.location.href = 'interests.html';
+
+}
+
+// Coming back from interests.html after the server rejected some fields:
+// refill the form and show the messages next to the fields
+function restoreRejectedRegistration() {
+    rejectedErrors = JSON.parse(localStorage.getItem('registrationErrors') || 'null');
+    if (!rejectedErrors) return;
+    localStorage.removeItem('registrationErrors');
+
+    const data = JSON.parse(localStorage.getItem('registrationData') || '{}');
+    fillFormFields(formFields, data);
+    document.getElementById('consentEvent').checked = Boolean(data.consentEvent);
+    document.getElementById('consentMarketing').checked = Boolean(data.consentMarketing);
+
+    showFieldErrors(rejectedErrors);
+}
+
+document.addEventListener('DOMContentLoaded', restoreRejectedRegistration);
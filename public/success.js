@@ -0,0 +1,23 @@
+// success.js - Shows the check-in badge for the registration just submitted
+
+// Show the check-in badge for the registration that was just submitted
+document.addEventListener('DOMContentLoaded', function () {
+    const lastRegistration = JSON.parse(localStorage.getItem('lastRegistration') || '{}');
+    // Feedback given from here is linked to this attendee
+    const feedbackBtn = document.getElementById('feedbackBtn');
+    if (lastRegistration.feedbackToken) {
+        feedbackBtn.dataset.href = `feedback.html?t=${encodeURIComponent(lastRegistration.feedbackToken)}`;
+    }
+    // Giving feedback is still the same attendee's visit
+    feedbackBtn.addEventListener('click', continueKioskVisit);
+    if (lastRegistration.queued) {
+        document.getElementById('offlineNotice').hidden = false;
+        return;
+    }
+    if (!lastRegistration.checkInCode) return;
+
+    const code = lastRegistration.checkInCode;
+    document.getElementById('checkinQr').src = `/api/badge/${encodeURIComponent(code)}`;
+    document.getElementById('checkinCode').textContent = code;
+    document.getElementById('checkinBadge').hidden = false;
+});
@@ -0,0 +1,109 @@
+// sw.js - Service worker for offline kiosk mode
+// Caches the public app shell so the registration and feedback pages load
+// without Wi-Fi, and replays the IndexedDB outbox (outbox.js) when the
+// connection comes back. Bump CACHE_NAME whenever the shell files change.
+
+importScripts('outbox.js');
+
+const CACHE_NAME = 'gitex-kiosk-v12';
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/register.html',
+    '/registration.html',
+    '/interests.html',
+    '/feedback.html',
+    '/success.html',
+    '/sucess.html',
+    '/styles.css',
+    '/api.js',
+    '/i18n.js',
+    '/outbox.js',
+    '/register.js',
+    '/registration.js',
+    '/interests.js',
+    '/feedback.js',
+    '/success.js',
+    '/locales/pcm.json',
+    '/locales/ha.json',
+    '/locales/yo.json',
+    '/locales/ig.json',
+    '/asset/mtn-logo.png',
+    '/asset/background1.jpg',
+    '/asset/background2.jpg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // API calls and other origins always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // Pages: network first so updates show up, cached copy when offline
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    if (response.ok) caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    return response;
+                })
+                .catch(() => caches.match(request, { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    // Assets: serve from cache, refresh it in the background
+    event.respondWith(
+        caches.match(request).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    if (response.ok) caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    return response;
+                })
+                .catch(() => cached);
+            return cached || network;
+        })
+    );
+});
+
+async function flushOutbox() {
+    const result = await self.KioskOutbox.flush(self.location.origin);
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'outbox-updated', ...result }));
+    return result;
+}
+
+// Background Sync (Chrome/Android): replays even if the kiosk page was closed
+self.addEventListener('sync', event => {
+    if (event.tag === 'outbox') {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'flush-outbox') {
+        event.waitUntil(flushOutbox());
+    }
+});
@@ -2,83 +2,213 @@ const express = require('express');
 const router = express.Router();
 const Registration = require('../models/Registration');
 const Feedback = require('../models/Feedback');
+const Admin = require('../models/Admin');
+const { SESSION_TTL_SECONDS, signToken, requireAdmin } = require('../middleware/auth');
+const { loginLimiter, tooManyRequests } = require('../middleware/rateLimit');
+const { scopeToEvent } = require('../middleware/eventScope');
+const { buildRegistrationFilter, buildRegistrationSort, parsePagination } = require('../lib/registrationQuery');
+const { recordAudit, describeQuery } = require('../lib/audit');
+const { dashboardStats } = require('../lib/analytics');
+const { feedbackSummary } = require('../lib/liveUpdates');
+const exportRoutes = require('./exports');
+const importRoutes = require('./imports');
+const checkinRoutes = require('./checkin');
+const analyticsRoutes = require('./analytics');
+const duplicateRoutes = require('./duplicates');
+const adminAccountRoutes = require('./admins');
+const privacyRoutes = require('./privacy');
+const auditRoutes = require('./audit');
+const smsRoutes = require('./sms');
+const registrationRecordRoutes = require('./registrations');
+const feedbackModerationRoutes = require('./feedbacks');
+const eventRoutes = require('./events');
+const liveRoutes = require('./live');
+const leadRoutes = require('./leads');
+const webhookRoutes = require('./webhooks');
+const formRoutes = require('./forms');
 
 // Admin login
-router.post('/login', async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (username === 'admin@mtn.ng' && password === '1234') {
-        res.json({ success: true, message: 'Login successful' });
-    } else {
-        res.status(401).json({ success: false, message: 'Invalid credentials' });
+router.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        console.log('🔐 Login attempt:', username);
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username and password are required'
+            });
+        }
+
+        const admin = await Admin.findOne({ email: String(username).toLowerCase().trim() });
+
+        // Locked accounts are refused before the password is even checked
+        const lockedFor = admin ? admin.lockoutRemaining() : 0;
+        if (lockedFor) {
+            console.log('🔒 Locked account login attempt:', admin.email);
+            await recordAudit(req, 'admin.login_locked', { actor: admin });
+            return tooManyRequests(res,
+                `Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60)} minute(s).`, lockedFor);
+        }
+
+        if (!admin || !admin.active || !admin.verifyPassword(password)) {
+            if (admin && admin.active) {
+                admin.recordFailedLogin();
+                await admin.save();
+            }
+            // The password is never logged; the username is kept to spot guessing
+            await recordAudit(req, 'admin.login_failed', {
+                actor: admin && admin.active ? admin : null,
+                target: String(username).slice(0, 100)
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        admin.recordSuccessfulLogin();
+        await admin.save();
+        await recordAudit(req, 'admin.login', { actor: admin });
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token: signToken(admin),
+            expiresIn: SESSION_TTL_SECONDS,
+            admin: admin.toPublicJSON()
+        });
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
     }
 });
 
+// Everything below requires a valid admin session, and works on the event
+// picked in the admin's event switcher (all events when none is picked)
+router.use(requireAdmin);
+router.use(scopeToEvent);
+
+// Current admin
+router.get('/me', (req, res) => {
+    res.json({ success: true, admin: req.admin.toPublicJSON() });
+});
+
 // Get statistics
 router.get('/stats', async (req, res) => {
     try {
-        const registrations = await Registration.countDocuments();
-        const feedbacks = await Feedback.countDocuments();
-        
+        const { registrations, duplicates, feedbacks, admins, checkedIn } = await dashboardStats(req.eventScope);
+
+        console.log('📊 Stats:', { registrations, duplicates, feedbacks, admins, checkedIn });
+
         res.json({
             registrations: registrations || 0,
+            duplicates: duplicates || 0,
             feedbacks: feedbacks || 0,
-            admins: 1
+            admins: admins || 0,
+            checkedIn: checkedIn || 0
         });
     } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Stats error:', error);
+        res.status(500).json({
+            registrations: 0,
+            duplicates: 0,
+            feedbacks: 0,
+            admins: 0,
+            checkedIn: 0,
+            error: 'Database connection issue'
+        });
     }
 });
 
-// Get all registrations with search
+// Get registrations (paginated, filterable, sortable)
 router.get('/registrations', async (req, res) => {
     try {
-        const search = req.query.search || '';
-        let query = {};
-        
-        if (search) {
-            query = {
-                $or: [
-                    { firstName: { $regex: search, $options: 'i' } },
-                    { lastName: { $regex: search, $options: 'i' } },
-                    { email: { $regex: search, $options: 'i' } },
-                    { location: { $regex: search, $options: 'i' } }
-                ]
-            };
-        }
-        
-        const registrations = await Registration.find(query)
-            .sort({ createdAt: -1 })
-            .limit(100); // Limit for performance
-        
-        console.log(`Found ${registrations.length} registrations`);
-        res.json(registrations);
+        const filter = { ...buildRegistrationFilter(req.query), ...req.eventScope };
+        const sort = buildRegistrationSort(req.query);
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [registrations, total] = await Promise.all([
+            Registration.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+            Registration.countDocuments(filter)
+        ]);
+
+        console.log(`📋 Found ${registrations.length} of ${total} registrations (page ${page})`);
+        await recordAudit(req, 'registrations.search', {
+            params: { ...describeQuery(req.query), page, results: registrations.length, total }
+        });
+
+        res.json({
+            data: registrations,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1)
+        });
     } catch (error) {
-        console.error('Registration fetch error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Get registrations error:', error);
+        res.status(500).json({
+            data: [],
+            page: 1,
+            limit: 0,
+            total: 0,
+            totalPages: 1,
+            error: 'Database connection issue'
+        });
     }
 });
 
-// Get all feedbacks
+// Which feedback GET /feedbacks lists (?view=); visible is the default
+const FEEDBACK_VIEWS = {
+    visible: Feedback.VISIBLE,
+    hidden: { deletedAt: null, moderation: 'hidden' },
+    spam: { deletedAt: null, moderation: 'spam' },
+    deleted: { deletedAt: { $ne: null } }
+};
+
+// Get the latest feedbacks
 router.get('/feedbacks', async (req, res) => {
     try {
-        const feedbacks = await Feedback.find()
-            .sort({ createdAt: -1 })
-            .limit(100);
-        
-        const formatted = feedbacks.map(f => ({
-            name: 'Customer',
-            text: f.feedback1 || f.feedback2 || 'No feedback text',
-            rating: f.rating,
-            timestamp: f.createdAt
-        }));
-        
+        const view = FEEDBACK_VIEWS[req.query.view] ? req.query.view : 'visible';
+        const feedbacks = await Feedback.find({ ...FEEDBACK_VIEWS[view], ...req.eventScope })
+            .sort({ timestamp: -1 })
+            .limit(100)
+            .populate('registrationId', 'firstName lastName interests')
+            .populate('form', 'fields')
+            .lean();
+
+        // Both answers are returned separately; text is kept for older clients.
+        // Feedback given through a feedback link names the attendee.
+        const formatted = feedbacks.map(fb => feedbackSummary(fb, fb.registrationId));
+
+        console.log(`💬 Found ${formatted.length} feedbacks`);
+        await recordAudit(req, 'feedback.view', { params: { view, results: formatted.length } });
+
         res.json(formatted);
     } catch (error) {
-        console.error('Feedback fetch error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('❌ Get feedbacks error:', error);
+        res.status(500).json([]); // Return empty array instead of error
     }
 });
 
-module.exports = router;
\ No newline at end of file
+router.use('/export', exportRoutes);
+router.use('/import', importRoutes);
+router.use('/checkin', checkinRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/duplicates', duplicateRoutes);
+router.use('/admins', adminAccountRoutes);
+router.use('/privacy', privacyRoutes);
+router.use('/audit', auditRoutes);
+router.use('/sms', smsRoutes);
+router.use('/registrations', registrationRecordRoutes);
+router.use('/feedbacks', feedbackModerationRoutes);
+router.use('/events', eventRoutes);
+router.use('/live', liveRoutes);
+router.use('/leads', leadRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/forms', formRoutes);
+
+module.exports = router;
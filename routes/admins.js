@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/Admin');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+
+// Admin accounts (superadmin only)
+router.use(requireRole('superadmin'));
+
+router.get('/', async (req, res) => {
+    try {
+        const admins = await Admin.find().sort({ timestamp: -1 });
+        res.json(admins.map(admin => admin.toPublicJSON()));
+    } catch (error) {
+        console.error('❌ Get admins error:', error);
+        res.status(500).json([]);
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const { email, name, password, role } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        if (role && !Admin.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${Admin.ROLES.join(', ')}`
+            });
+        }
+
+        if (await Admin.exists({ email: String(email).toLowerCase().trim() })) {
+            return res.status(409).json({
+                success: false,
+                message: 'An admin with this email already exists'
+            });
+        }
+
+        const admin = new Admin({ email, name, role });
+        admin.setPassword(password);
+        await admin.save();
+
+        console.log('✅ Admin created:', admin.email, admin.role);
+        await recordAudit(req, 'admins.create', { target: admin.email, params: { role: admin.role } });
+
+        res.status(201).json({ success: true, admin: admin.toPublicJSON() });
+    } catch (error) {
+        console.error('❌ Create admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating admin: ' + error.message
+        });
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const { name, password, role, active } = req.body;
+
+        if (role !== undefined && !Admin.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${Admin.ROLES.join(', ')}`
+            });
+        }
+
+        // Stop a superadmin from locking themselves out
+        if (admin._id.equals(req.admin._id) && (active === false || (role && role !== 'superadmin'))) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot demote or deactivate your own account'
+            });
+        }
+
+        if (name !== undefined) admin.name = name;
+        if (role !== undefined) admin.role = role;
+        if (active !== undefined) admin.active = Boolean(active);
+        if (password) {
+            // A new password also lifts any login lockout
+            admin.setPassword(password);
+            admin.failedLogins = 0;
+            admin.lockedUntil = undefined;
+        }
+
+        await admin.save();
+
+        // Which fields changed, never the password itself
+        const changes = {};
+        if (name !== undefined) changes.name = admin.name;
+        if (role !== undefined) changes.role = admin.role;
+        if (active !== undefined) changes.active = admin.active;
+        if (password) changes.passwordReset = true;
+        await recordAudit(req, 'admins.update', { target: admin.email, params: changes });
+
+        res.json({ success: true, admin: admin.toPublicJSON() });
+    } catch (error) {
+        console.error('❌ Update admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating admin: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { buildDateRange, buildLocaleFilter } = require('../lib/registrationQuery');
+const { feedbackAnalytics, registrationAnalytics } = require('../lib/analytics');
+
+// Feedback analytics (?from, ?to, ?locale)
+router.get('/feedback', async (req, res) => {
+    try {
+        const analytics = await feedbackAnalytics({
+            dateRange: buildDateRange(req.query),
+            match: { ...req.eventScope, ...buildLocaleFilter(req.query) }
+        });
+        console.log('📈 Feedback analytics:', analytics.responses);
+        res.json(analytics);
+    } catch (error) {
+        console.error('❌ Feedback analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building feedback analytics: ' + error.message
+        });
+    }
+});
+
+// Registration breakdowns by interest, channel, location, gender, language
+// and hour (?from, ?to, ?locale)
+router.get('/registrations', async (req, res) => {
+    try {
+        const analytics = await registrationAnalytics({
+            dateRange: buildDateRange(req.query),
+            match: { ...req.eventScope, ...buildLocaleFilter(req.query) },
+            catalogue: req.event ? req.event.interests : undefined
+        });
+        console.log('📈 Registration analytics:', { total: analytics.total });
+        res.json(analytics);
+    } catch (error) {
+        console.error('❌ Registration analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while building registration analytics: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { requireRole } = require('../middleware/auth');
+const { parsePagination } = require('../lib/registrationQuery');
+const { RETENTION_DAYS, buildAuditFilter } = require('../lib/audit');
+
+// Audit log (superadmin only)
+router.use(requireRole('superadmin'));
+
+// Entries, newest first (?action, ?actor, ?target, ?from, ?to, ?page, ?limit)
+router.get('/', async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ timestamp: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            data: entries,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1),
+            retentionDays: RETENTION_DAYS
+        });
+    } catch (error) {
+        console.error('❌ Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while reading the audit log: ' + error.message
+        });
+    }
+});
+
+// Action names seen so far, for the filter on admin-audit.html
+router.get('/actions', async (req, res) => {
+    try {
+        const actions = await AuditLog.distinct('action');
+        res.json(actions.sort());
+    } catch (error) {
+        console.error('❌ Get audit actions error:', error);
+        res.status(500).json([]);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const Registration = require('../models/Registration');
+const { CHECKIN_CODE_PATTERN, normalizeCheckInCode } = require('../lib/checkinCode');
+
+// QR badge for the check-in code of a registration; made-up codes get no badge
+router.get('/:code', async (req, res) => {
+    const code = normalizeCheckInCode(req.params.code);
+    if (!CHECKIN_CODE_PATTERN.test(code)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid check-in code'
+        });
+    }
+
+    try {
+        const registered = await Registration.exists({
+            $or: [{ checkInCode: code }, { aliasCheckInCodes: code }],
+            ...Registration.ACTIVE
+        });
+        if (!registered) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown check-in code'
+            });
+        }
+
+        const svg = await QRCode.toString(code, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        console.error('❌ Badge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Could not generate badge'
+        });
+    }
+});
+
+module.exports = router;
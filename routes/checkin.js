@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const Registration = require('../models/Registration');
+const { requireRole } = require('../middleware/auth');
+const { CHECKIN_CODE_PATTERN, normalizeCheckInCode } = require('../lib/checkinCode');
+const { recordAudit } = require('../lib/audit');
+const { signFeedbackToken } = require('../lib/feedbackLink');
+const { publishLiveUpdate, registrationSummary } = require('../lib/liveUpdates');
+const { queueCheckInWebhooks } = require('../lib/webhooks');
+const { notifyCheckIn } = require('../lib/notifications');
+
+// Check in an attendee by their badge code. With an event picked in the
+// admin's event switcher, badges for other events are turned away by name.
+router.post('/', requireRole('organizer', 'superadmin'), async (req, res) => {
+    try {
+        const code = normalizeCheckInCode(req.body.code);
+        const location = String(req.body.location || '').trim();
+
+        if (!CHECKIN_CODE_PATTERN.test(code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid check-in code'
+            });
+        }
+
+        const anyEvent = { $or: [{ checkInCode: code }, { aliasCheckInCodes: code }], ...Registration.ACTIVE };
+        const codeMatch = { ...anyEvent, ...req.eventScope };
+        // Only matches codes that have not been used yet, so two desks
+        // scanning the same badge cannot both succeed
+        const registration = await Registration.findOneAndUpdate(
+            { ...codeMatch, checkedInAt: null },
+            { $set: { checkedInAt: new Date(), checkInLocation: location, checkedInBy: req.admin._id } },
+            { new: true }
+        ).lean();
+
+        if (!registration) {
+            const existing = await Registration.findOne(codeMatch).lean();
+            const elsewhere = !existing && req.event
+                ? await Registration.findOne(anyEvent).populate('event', 'name').lean()
+                : null;
+            if (elsewhere) {
+                const eventName = elsewhere.event ? elsewhere.event.name : 'another event';
+                console.log('⚠️ Check-in code for another event:', code);
+                return res.status(409).json({
+                    success: false,
+                    wrongEvent: true,
+                    message: `This badge is for ${eventName}, not ${req.event.name}`,
+                    event: eventName,
+                    attendee: { firstName: elsewhere.firstName, lastName: elsewhere.lastName }
+                });
+            }
+            if (!existing) {
+                console.log('❓ Unknown check-in code:', code);
+                return res.status(404).json({
+                    success: false,
+                    message: 'Unknown check-in code'
+                });
+            }
+
+            console.log('⚠️ Check-in code already used:', code);
+            return res.status(409).json({
+                success: false,
+                message: `Already checked in at ${existing.checkInLocation || 'unknown location'}`,
+                checkedInAt: existing.checkedInAt,
+                checkInLocation: existing.checkInLocation,
+                attendee: { firstName: existing.firstName, lastName: existing.lastName }
+            });
+        }
+
+        console.log('✅ Checked in:', registration._id, location);
+        publishLiveUpdate('checkin', registration.event, {
+            ...registrationSummary(registration),
+            checkInLocation: registration.checkInLocation
+        });
+        queueCheckInWebhooks(registration);
+        notifyCheckIn(registration);
+        await recordAudit(req, 'registrations.checkin', { target: String(registration._id), params: { code, location } });
+
+        res.json({
+            success: true,
+            message: 'Check-in successful',
+            checkedInAt: registration.checkedInAt,
+            checkInLocation: registration.checkInLocation,
+            attendee: {
+                firstName: registration.firstName,
+                lastName: registration.lastName,
+                channel: registration.channel,
+                interests: registration.interests
+            },
+            // Shown as a QR code so the attendee can give feedback from their phone later
+            feedbackToken: signFeedbackToken(registration)
+        });
+    } catch (error) {
+        console.error('❌ Check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during check-in: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
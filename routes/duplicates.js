@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requireRole } = require('../middleware/auth');
+const { findDuplicateGroups, mergeRegistrations } = require('../lib/duplicates');
+const { recordAudit } = require('../lib/audit');
+
+// Suspected duplicate groups for review
+router.get('/', async (req, res) => {
+    try {
+        const groups = await findDuplicateGroups({ scope: req.eventScope });
+        console.log(`👥 Found ${groups.length} duplicate groups`);
+        await recordAudit(req, 'duplicates.view', { params: { groups: groups.length } });
+        res.json(groups);
+    } catch (error) {
+        console.error('❌ Get duplicates error:', error);
+        res.status(500).json([]);
+    }
+});
+
+// Merge duplicates into the registration being kept
+router.post('/merge', requireRole('organizer', 'superadmin'), async (req, res) => {
+    try {
+        const { primaryId, duplicateIds } = req.body;
+        if (!mongoose.isValidObjectId(primaryId) || !Array.isArray(duplicateIds) ||
+            !duplicateIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'primaryId and duplicateIds must be registration ids'
+            });
+        }
+
+        const registration = await mergeRegistrations(primaryId, duplicateIds, req.admin);
+        console.log(`🔗 Merged ${duplicateIds.length} registrations into ${registration._id} (${req.admin.email})`);
+        await recordAudit(req, 'registrations.merge', { target: String(registration._id), params: { duplicateIds } });
+
+        res.json({
+            success: true,
+            message: 'Registrations merged',
+            registration
+        });
+    } catch (error) {
+        console.error('❌ Merge error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Server error during merge: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { findActiveEvent } = require('../lib/events');
+const { kioskForms } = require('../lib/forms');
+const { requestLocale, translate } = require('../lib/i18n');
+
+// Kiosk set-up for an event: name, dates, branding, interests and the
+// current registration and feedback forms.
+// GET / is the default event, GET /:slug the one named in the page's ?event=.
+// Errors are in the kiosk's language (its Accept-Language).
+router.get(['/', '/:slug'], async (req, res) => {
+    try {
+        const event = await findActiveEvent(req.params.slug);
+        res.json({ success: true, event: { ...event.toPublicJSON(), forms: await kioskForms(event) } });
+    } catch (error) {
+        if (!error.status) console.error('❌ Event lookup error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: translate(requestLocale(req),
+                error.status ? error.message : 'Server error while loading the event')
+        });
+    }
+});
+
+module.exports = router;
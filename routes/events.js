@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { DEFAULT_EVENT_SLUG } = require('../lib/events');
+const { compareEvents } = require('../lib/analytics');
+const { toList } = require('../lib/registrationQuery');
+const { validateEvent, hasErrors, validationErrorResponse } = require('../lib/validation');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+
+// Events: every admin can list and compare them (and pick one in the event
+// switcher); only superadmins create and change them.
+const canManage = requireRole('superadmin');
+
+function slugTaken(res) {
+    return res.status(409).json({ success: false, message: 'Another event already uses this slug' });
+}
+
+// Newest first
+router.get('/', async (req, res) => {
+    try {
+        const events = await Event.find().sort({ startsAt: -1, timestamp: -1 }).lean();
+        res.json(events);
+    } catch (error) {
+        console.error('❌ Get events error:', error);
+        res.status(500).json([]);
+    }
+});
+
+// Headline numbers per event (?ids=a,b; every event when not given)
+router.get('/compare', async (req, res) => {
+    try {
+        const ids = toList(req.query.ids).filter(id => mongoose.isValidObjectId(id));
+        const events = await Event.find(ids.length ? { _id: { $in: ids } } : {})
+            .sort({ startsAt: -1, timestamp: -1 })
+            .lean();
+        res.json(await compareEvents(events));
+    } catch (error) {
+        console.error('❌ Compare events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while comparing events: ' + error.message
+        });
+    }
+});
+
+router.post('/', canManage, async (req, res) => {
+    try {
+        const { value, errors } = validateEvent(req.body);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        if (await Event.exists({ slug: value.slug })) return slugTaken(res);
+
+        const event = await Event.create({ ...value, createdBy: req.admin._id });
+        console.log('✅ Event created:', event.slug);
+        await recordAudit(req, 'events.create', { target: event.slug, params: { name: event.name } });
+
+        res.status(201).json({ success: true, event });
+    } catch (error) {
+        if (isDuplicateKeyError(error, 'slug')) return slugTaken(res);
+        console.error('❌ Create event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating event: ' + error.message
+        });
+    }
+});
+
+// Only the fields sent are changed; branding is replaced as a whole
+router.patch('/:id', canManage, async (req, res) => {
+    try {
+        const event = mongoose.isValidObjectId(req.params.id) ? await Event.findById(req.params.id) : null;
+        if (!event) {
+            return res.status(404).json({ success: false, message: 'Event not found' });
+        }
+
+        const { value, errors } = validateEvent(req.body, { partial: true });
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        // Kiosks opened without ?event= rely on the default event's slug
+        if (value.slug && value.slug !== event.slug) {
+            if (event.slug === DEFAULT_EVENT_SLUG) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The default event\'s slug cannot be changed'
+                });
+            }
+            if (await Event.exists({ slug: value.slug })) return slugTaken(res);
+        }
+
+        event.set(value);
+        const changed = Object.keys(value).filter(field => event.isModified(field));
+        await event.save();
+
+        console.log(`✏️ Event ${event.slug} updated by ${req.admin.email}:`, changed);
+        await recordAudit(req, 'events.update', { target: event.slug, params: { fields: changed } });
+
+        res.json({ success: true, event });
+    } catch (error) {
+        if (isDuplicateKeyError(error, 'slug')) return slugTaken(res);
+        console.error('❌ Update event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating event: ' + error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const {
+    buildDateRange,
+    buildLocaleFilter,
+    buildRegistrationFilter,
+    buildRegistrationSort
+} = require('../lib/registrationQuery');
+const { FORMATS, registrationColumns, feedbackColumns, streamExport } = require('../lib/export');
+const { recordAudit, describeQuery } = require('../lib/audit');
+
+// Non-consenting attendees are left out of exports unless a superadmin
+// explicitly asks for them with ?includeNonConsenting=true
+function checkExportRequest(req, res, next) {
+    const format = req.query.format || 'csv';
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: `Format must be one of: ${FORMATS.join(', ')}`
+        });
+    }
+
+    const includeNonConsenting = req.query.includeNonConsenting === 'true';
+    if (includeNonConsenting && req.admin.role !== 'superadmin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Only a superadmin can export non-consenting attendees'
+        });
+    }
+
+    req.exportOptions = { format, includeNonConsenting };
+    next();
+}
+
+// e.g. gitex_registrations_2025-09-01, or gitex-lagos_registrations_... for one event
+function exportFilename(req, type) {
+    const prefix = req.event ? req.event.slug : 'gitex';
+    return `${prefix}_${type}_${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Headers may already be out by the time a cursor fails mid-stream. A
+// download the admin cancelled has no one left to answer.
+function exportFailed(res, error) {
+    if (error.aborted) return;
+    if (!res.headersSent) {
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during export: ' + error.message
+        });
+    }
+    res.end();
+}
+
+// An export that was cancelled or failed part way may still have sent rows
+async function recordExportAttempt(req, action, error) {
+    await recordAudit(req, action, {
+        params: {
+            ...describeQuery(req.query),
+            rows: error.rows || 0,
+            outcome: error.aborted ? 'cancelled' : 'failed'
+        }
+    });
+}
+
+router.use(checkExportRequest);
+
+// Export registrations (same filters as the admin list). Soft-deleted
+// registrations are never exported, whatever ?deleted says.
+router.get('/registrations', async (req, res) => {
+    const options = req.exportOptions;
+
+    try {
+        const filter = { ...buildRegistrationFilter(req.query), ...req.eventScope, ...Registration.ACTIVE };
+        if (!options.includeNonConsenting) {
+            // Combine with any consent filter from the list view rather than replace it
+            filter.$and = [{ consent: true }];
+        }
+
+        const cursor = Registration.find(filter)
+            .sort(buildRegistrationSort(req.query))
+            .populate('event', 'name')
+            .lean()
+            .cursor();
+        const rows = await streamExport(res, {
+            format: options.format,
+            columns: registrationColumns,
+            cursor,
+            filename: exportFilename(req, 'registrations'),
+            sheetName: 'Registrations'
+        });
+
+        console.log(`📤 Exported ${rows} registrations as ${options.format} (${req.admin.email})`);
+        await recordAudit(req, 'registrations.export', { params: { ...describeQuery(req.query), rows } });
+    } catch (error) {
+        console.error('❌ Export registrations error:', error.aborted ? error.message : error);
+        exportFailed(res, error);
+        await recordExportAttempt(req, 'registrations.export', error);
+    }
+});
+
+// Export feedback (?from, ?to, ?rating, ?locale)
+router.get('/feedbacks', async (req, res) => {
+    const options = req.exportOptions;
+
+    try {
+        const filter = { ...Feedback.VISIBLE, ...buildLocaleFilter(req.query), ...req.eventScope };
+        const dateRange = buildDateRange(req.query);
+        if (dateRange) filter.timestamp = dateRange;
+
+        const rating = parseInt(req.query.rating, 10);
+        if (rating >= 1 && rating <= 5) filter.rating = rating;
+
+        // Feedback linked to a non-consenting attendee is treated like the attendee
+        if (!options.includeNonConsenting) {
+            const optedOut = await Registration.distinct('_id', { consent: { $ne: true } });
+            filter.registrationId = { $nin: optedOut };
+        }
+
+        const cursor = Feedback.find(filter).sort({ timestamp: -1 }).populate('event', 'name').lean().cursor();
+        const rows = await streamExport(res, {
+            format: options.format,
+            columns: feedbackColumns,
+            cursor,
+            filename: exportFilename(req, 'feedback'),
+            sheetName: 'Feedback'
+        });
+
+        console.log(`📤 Exported ${rows} feedbacks as ${options.format} (${req.admin.email})`);
+        await recordAudit(req, 'feedback.export', { params: { ...describeQuery(req.query), rows } });
+    } catch (error) {
+        console.error('❌ Export feedbacks error:', error.aborted ? error.message : error);
+        exportFailed(res, error);
+        await recordExportAttempt(req, 'feedback.export', error);
+    }
+});
+
+module.exports = router;
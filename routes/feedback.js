@@ -1,26 +1,151 @@
 const express = require('express');
 const router = express.Router();
+const QRCode = require('qrcode');
 const Feedback = require('../models/Feedback');
+const { readIdempotencyKey } = require('../middleware/idempotency');
+const { submissionLimiters } = require('../middleware/rateLimit');
+const { rejectBots } = require('../middleware/botCheck');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+const { validateFeedback, hasErrors, validationErrorResponse } = require('../lib/validation');
+const { PUBLIC_BASE_URL, feedbackUrl, requestOrigin, resolveFeedbackToken } = require('../lib/feedbackLink');
+const { notifyFeedback } = require('../lib/notifications');
+const { findActiveEvent } = require('../lib/events');
+const { submissionForm } = require('../lib/forms');
+const { publishLiveUpdate, feedbackSummary } = require('../lib/liveUpdates');
+const { queueFeedbackWebhooks } = require('../lib/webhooks');
+const { requestLocale, translate } = require('../lib/i18n');
 
-// POST - Submit feedback
-router.post('/', async (req, res) => {
+function feedbackResponse(replayed, locale) {
+    return {
+        success: true,
+        message: translate(locale, 'Feedback submitted successfully'),
+        replayed
+    };
+}
+
+function alreadyAnswered(res, locale) {
+    return res.status(409).json({
+        success: false,
+        alreadySubmitted: true,
+        message: translate(locale, 'You have already shared your feedback. Thank you!')
+    });
+}
+
+// Who a feedback link (?t=) belongs to, so feedback.html can greet them,
+// show their event and say if they have already answered
+router.get('/invitation', async (req, res) => {
     try {
-        const feedback = new Feedback(req.body);
-        await feedback.save();
-        
-        // Ensure proper JSON response
-        res.status(201).json({ 
-            success: true, 
-            message: 'Feedback submitted successfully',
-            id: feedback._id 
+        const { registration, answered } = await resolveFeedbackToken(req.query.t);
+        res.json({
+            success: true,
+            firstName: registration.firstName,
+            event: registration.event ? registration.event.slug : null,
+            answered
+        });
+    } catch (error) {
+        if (!error.status) console.error('❌ Feedback invitation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: translate(requestLocale(req),
+                error.status ? error.message : 'Server error while reading the feedback link')
         });
+    }
+});
+
+// QR code of a feedback link, for the attendee to scan at the check-in desk
+router.get('/qr', async (req, res) => {
+    try {
+        await resolveFeedbackToken(req.query.t);
+        const svg = await QRCode.toString(feedbackUrl(req.query.t, PUBLIC_BASE_URL || requestOrigin(req)),
+            { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+        res.type('image/svg+xml').send(svg);
     } catch (error) {
-        console.error('Feedback error:', error);
-        res.status(400).json({ 
-            success: false, 
-            message: error.message || 'Failed to submit feedback'
+        if (!error.status) console.error('❌ Feedback QR error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: translate(requestLocale(req), error.status ? error.message : 'Could not generate QR code')
+        });
+    }
+});
+
+// POST - Submit feedback. A feedback link token in body.token ties it to the
+// attendee and their event; without one the feedback is anonymous and counts
+// for the event named in body.event (the kiosk's ?event=). The answers are
+// checked against that event's feedback form (the version in body.form).
+// Only ids and field names are logged, never what the attendee wrote.
+router.post('/', submissionLimiters, rejectBots, readIdempotencyKey, async (req, res) => {
+    try {
+        const { idempotencyKey } = req;
+        const locale = requestLocale(req);
+
+        if (idempotencyKey) {
+            const previous = await Feedback.findOne({ idempotencyKey }).lean();
+            if (previous) {
+                console.log('🔁 Replayed feedback:', previous._id);
+                return res.json(feedbackResponse(true, locale));
+            }
+        }
+
+        let attendee = null;
+        let event = null;
+        if (req.body.token) {
+            const { registration, answered } = await resolveFeedbackToken(req.body.token);
+            if (answered) {
+                console.log('⚠️ Feedback already given by', registration._id);
+                return alreadyAnswered(res, locale);
+            }
+            attendee = registration;
+            // Registrations from before events existed fall back to the default event
+            event = registration.event || await findActiveEvent();
+        } else {
+            event = await findActiveEvent(req.body.event);
+        }
+
+        const form = await submissionForm(event, 'feedback', req.body.form);
+        const { value, errors, labels } = validateFeedback(req.body, form, locale);
+        if (hasErrors(errors)) {
+            console.log('⚠️ Invalid feedback:', Object.keys(errors).join(', '));
+            return res.status(400).json(validationErrorResponse(errors, locale, labels));
+        }
+        value.event = event._id;
+        value.form = form._id;
+        value.locale = locale;
+        if (attendee) value.registrationId = attendee._id;
+
+        const feedback = await Feedback.create({
+            ...value,
+            idempotencyKey: idempotencyKey || undefined
+        });
+
+        console.log('✅ Feedback created:', feedback._id);
+        publishLiveUpdate('feedback', feedback.event, feedbackSummary(feedback, attendee, form));
+        queueFeedbackWebhooks(feedback, attendee);
+        notifyFeedback(feedback);
+
+        res.json(feedbackResponse(false, locale));
+    } catch (error) {
+        if (isDuplicateKeyError(error) && req.idempotencyKey) {
+            return res.json(feedbackResponse(true, requestLocale(req)));
+        }
+        // Another submission through the same link got in first
+        if (isDuplicateKeyError(error, 'registrationId')) {
+            console.log('⚠️ Feedback already given through this link');
+            return alreadyAnswered(res, requestLocale(req));
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: translate(requestLocale(req), error.message)
+            });
+        }
+
+        console.error('❌ Feedback error:', error);
+        res.status(500).json({
+            success: false,
+            message: translate(requestLocale(req), 'Server error during feedback submission')
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+
+// Feedback moderation (organizers and superadmins): hide it, flag it as spam,
+// or soft-delete and restore it. The list is GET /api/admin/feedbacks (admin.js).
+router.use(requireRole('organizer', 'superadmin'));
+
+async function findFeedback(id) {
+    return mongoose.isValidObjectId(id) ? Feedback.findById(id) : null;
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Feedback not found' });
+}
+
+function feedbackError(res, error, action) {
+    console.error(`❌ Feedback ${action} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} feedback: ` + error.message
+    });
+}
+
+// { moderation: 'visible' | 'hidden' | 'spam' }
+router.patch('/:id', async (req, res) => {
+    try {
+        const { moderation } = req.body;
+        if (!Feedback.MODERATION_STATES.includes(moderation)) {
+            return res.status(400).json({
+                success: false,
+                message: `Moderation must be one of: ${Feedback.MODERATION_STATES.join(', ')}`
+            });
+        }
+
+        const feedback = await findFeedback(req.params.id);
+        if (!feedback) return notFound(res);
+
+        feedback.moderation = moderation;
+        feedback.moderatedBy = req.admin._id;
+        feedback.moderatedAt = new Date();
+        await feedback.save();
+        await recordAudit(req, 'feedback.moderate', { target: String(feedback._id), params: { moderation } });
+
+        res.json({ success: true, message: 'Feedback updated', feedback });
+    } catch (error) {
+        feedbackError(res, error, 'moderating');
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const feedback = await findFeedback(req.params.id);
+        if (!feedback) return notFound(res);
+
+        if (!feedback.deletedAt) {
+            feedback.deletedAt = new Date();
+            feedback.deletedBy = req.admin._id;
+            await feedback.save();
+            await recordAudit(req, 'feedback.delete', { target: String(feedback._id) });
+        }
+
+        res.json({ success: true, message: 'Feedback deleted', feedback });
+    } catch (error) {
+        feedbackError(res, error, 'deleting');
+    }
+});
+
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const feedback = await findFeedback(req.params.id);
+        if (!feedback) return notFound(res);
+
+        if (feedback.deletedAt) {
+            feedback.deletedAt = undefined;
+            feedback.deletedBy = undefined;
+            await feedback.save();
+            await recordAudit(req, 'feedback.restore', { target: String(feedback._id) });
+        }
+
+        res.json({ success: true, message: 'Feedback restored', feedback });
+    } catch (error) {
+        // Each attendee has one live answer (see models/Feedback.js)
+        if (isDuplicateKeyError(error, 'registrationId')) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attendee has answered again since; delete that feedback before restoring this one'
+            });
+        }
+        feedbackError(res, error, 'restoring');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Form = require('../models/Form');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { BUILT_IN_FIELDS, CUSTOM_FIELD_TYPES, currentForm, saveForm } = require('../lib/forms');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+const { validateFormFields, hasErrors, validationErrorResponse } = require('../lib/validation');
+
+// Form builder (superadmins): the registration and feedback forms of each
+// event. Saving adds a version; submissions keep pointing at the version
+// they were filled in on (see lib/forms.js).
+router.use(requireRole('superadmin'));
+
+async function findEvent(id) {
+    return mongoose.isValidObjectId(id) ? Event.findById(id) : null;
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+}
+
+function formError(res, error, action) {
+    console.error(`❌ Form ${action} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action}: ` + error.message
+    });
+}
+
+// Both current forms of an event, with the interests its interests field
+// offers and what the editor needs to know about field keys and types
+router.get('/:eventId', async (req, res) => {
+    try {
+        const event = await findEvent(req.params.eventId);
+        if (!event) return notFound(res);
+
+        const [registration, feedback] = await Promise.all([
+            currentForm(event, 'registration'),
+            currentForm(event, 'feedback')
+        ]);
+        res.json({
+            success: true,
+            registration,
+            feedback,
+            interests: event.interests || [],
+            builtInFields: BUILT_IN_FIELDS,
+            customTypes: CUSTOM_FIELD_TYPES
+        });
+    } catch (error) {
+        formError(res, error, 'loading the forms');
+    }
+});
+
+// Every saved version of one form, newest first
+router.get('/:eventId/:kind/versions', async (req, res) => {
+    try {
+        const event = await findEvent(req.params.eventId);
+        if (!event || !Form.KINDS.includes(req.params.kind)) return notFound(res);
+
+        const versions = await Form.find({ event: event._id, kind: req.params.kind })
+            .sort({ version: -1 })
+            .populate('createdBy', 'name email')
+            .lean();
+        res.json(versions);
+    } catch (error) {
+        formError(res, error, 'loading form versions');
+    }
+});
+
+// Replaces the form's fields by saving them as its next version
+router.put('/:eventId/:kind', async (req, res) => {
+    try {
+        const event = await findEvent(req.params.eventId);
+        if (!event || !Form.KINDS.includes(req.params.kind)) return notFound(res);
+
+        const { value: fields, errors } = validateFormFields(req.params.kind, req.body.fields);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        const form = await saveForm(event, req.params.kind, fields, req.admin);
+        console.log(`🧾 ${req.params.kind} form of ${event.slug} saved by ${req.admin.email}: v${form.version}`);
+        await recordAudit(req, 'forms.update', {
+            target: event.slug,
+            params: { kind: req.params.kind, version: form.version, fields: fields.length }
+        });
+
+        res.json({ success: true, form });
+    } catch (error) {
+        if (isDuplicateKeyError(error, 'version')) {
+            return res.status(409).json({
+                success: false,
+                message: 'Someone else saved this form at the same time. Reload it and try again.'
+            });
+        }
+        formError(res, error, 'saving the form');
+    }
+});
+
+module.exports = router;
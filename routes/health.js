@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+
+// Health check
+router.get('/', async (req, res) => {
+    try {
+        const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+        const registrations = dbStatus === 'connected' ? await Registration.countDocuments(Registration.ACTIVE) : 0;
+        const feedbacks = dbStatus === 'connected' ? await Feedback.countDocuments(Feedback.VISIBLE) : 0;
+
+        res.json({
+            status: 'healthy',
+            database: dbStatus,
+            timestamp: new Date().toISOString(),
+            registrations,
+            feedbacks,
+            message: 'MTN GITEX Nigeria API running'
+        });
+    } catch (error) {
+        res.json({
+            status: 'healthy',
+            database: 'error',
+            message: 'API running with database issues'
+        });
+    }
+});
+
+module.exports = router;
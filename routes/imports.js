@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { importRows, parseCsv } = require('../lib/importer');
+const { recordAudit } = require('../lib/audit');
+const { findActiveEvent } = require('../lib/events');
+const { publishLiveUpdate } = require('../lib/liveUpdates');
+const { routeUnroutedRegistrations } = require('../lib/leads');
+
+// Import walk-ins captured on paper (raw CSV body, ?dryRun=true to preview)
+// into the event picked in the switcher, or the default event
+router.post('/registrations',
+    requireRole('organizer', 'superadmin'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    async (req, res) => {
+        try {
+            if (typeof req.body !== 'string' || !req.body.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Send the CSV file as the request body (Content-Type: text/csv)'
+                });
+            }
+
+            let rows;
+            try {
+                rows = parseCsv(req.body);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Could not read CSV: ' + error.message
+                });
+            }
+
+            const dryRun = req.query.dryRun === 'true';
+            const event = req.event || await findActiveEvent();
+            const report = await importRows(rows, {
+                event,
+                kind: 'registration',
+                source: 'csv',
+                dryRun,
+                rowOffset: 2, // row 1 is the header
+                defaults: { channel: 'Walk-in' }
+            });
+
+            console.log(`📥 CSV import by ${req.admin.email}:`,
+                { inserted: report.inserted, skipped: report.skipped.length, rejected: report.rejected.length });
+            await recordAudit(req, 'registrations.import', {
+                params: {
+                    event: event.slug,
+                    dryRun,
+                    inserted: report.inserted,
+                    skipped: report.skipped.length,
+                    rejected: report.rejected.length
+                }
+            });
+
+            // Open dashboards reload their lists rather than receive every row
+            if (!dryRun && report.inserted) {
+                publishLiveUpdate('import', event._id, { inserted: report.inserted });
+                report.leads = (await routeUnroutedRegistrations({ event: event._id })).created;
+            }
+
+            res.json({ success: true, ...report });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            console.error('❌ Import error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error during import: ' + error.message
+            });
+        }
+    }
+);
+
+module.exports = router;
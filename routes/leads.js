@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const LeadRule = require('../models/LeadRule');
+const Admin = require('../models/Admin');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { toList, parsePagination } = require('../lib/registrationQuery');
+const { routeUnroutedRegistrations, leadFunnel } = require('../lib/leads');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+const {
+    LEAD_NOTE_RULES,
+    validate,
+    validateLeadUpdate,
+    validateLeadRules,
+    hasErrors,
+    validationErrorResponse
+} = require('../lib/validation');
+
+// Leads: every admin sees the queues and the funnel. Organizers and
+// superadmins work any lead; other admins only the leads they own, and only
+// their status, due date and notes. Routing rules are for superadmins.
+
+const canManage = requireRole('organizer', 'superadmin');
+const REASSIGN_FIELDS = ['owner', 'team'];
+
+const REGISTRATION_FIELDS = 'firstName lastName email phone location channel interests checkInCode checkedInAt deletedAt';
+
+function isManager(admin) {
+    return ['organizer', 'superadmin'].includes(admin.role);
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Lead not found' });
+}
+
+function forbidden(res, message = 'Only the lead\'s owner, organizers and superadmins can change it') {
+    return res.status(403).json({ success: false, message });
+}
+
+function leadError(res, error, action) {
+    console.error(`❌ Lead ${action} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action}: ` + error.message
+    });
+}
+
+async function findLead(id) {
+    return mongoose.isValidObjectId(id) ? Lead.findById(id) : null;
+}
+
+async function populateLead(lead) {
+    return lead.populate([
+        { path: 'registration', select: REGISTRATION_FIELDS },
+        { path: 'owner', select: 'name email' }
+    ]);
+}
+
+// ?owner=me|unassigned|<admin id>, ?status=, ?team=, ?interest=, ?overdue=true
+function buildLeadFilter(query, admin) {
+    const filter = {};
+    if (query.owner === 'me') filter.owner = admin._id;
+    else if (query.owner === 'unassigned') filter.owner = null;
+    else if (mongoose.isValidObjectId(query.owner)) filter.owner = query.owner;
+
+    const statuses = toList(query.status).filter(status => Lead.STATUSES.includes(status));
+    if (statuses.length) filter.status = { $in: statuses };
+
+    const teams = toList(query.team);
+    if (teams.length) filter.team = { $in: teams };
+
+    const interests = toList(query.interest);
+    if (interests.length) filter.interests = { $in: interests };
+
+    // Only open leads can be overdue
+    if (query.overdue === 'true') {
+        const open = statuses.length
+            ? statuses.filter(status => Lead.OPEN_STATUSES.includes(status))
+            : Lead.OPEN_STATUSES;
+        filter.dueAt = { $lt: new Date() };
+        filter.status = { $in: open };
+    }
+    return filter;
+}
+
+// A queue of leads (paginated), newest first; due dates soonest first with ?sort=due
+router.get('/', async (req, res) => {
+    try {
+        const filter = { ...buildLeadFilter(req.query, req.admin), ...req.eventScope, ...Lead.ACTIVE };
+        const sort = req.query.sort === 'due' ? { dueAt: 1, timestamp: -1 } : { timestamp: -1 };
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [leads, total] = await Promise.all([
+            Lead.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate('registration', REGISTRATION_FIELDS)
+                .populate('owner', 'name email')
+                .lean(),
+            Lead.countDocuments(filter)
+        ]);
+
+        await recordAudit(req, 'leads.search', {
+            params: { owner: req.query.owner, status: req.query.status, team: req.query.team, page, total }
+        });
+
+        res.json({
+            data: leads,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1)
+        });
+    } catch (error) {
+        console.error('❌ Get leads error:', error);
+        res.status(500).json({
+            data: [],
+            page: 1,
+            limit: 0,
+            total: 0,
+            totalPages: 1,
+            error: 'Database connection issue'
+        });
+    }
+});
+
+// Conversion funnel per interest (dashboard)
+router.get('/funnel', async (req, res) => {
+    try {
+        res.json(await leadFunnel(req.eventScope));
+    } catch (error) {
+        leadError(res, error, 'building the lead funnel');
+    }
+});
+
+// Admins who can own leads, for the owner pickers
+router.get('/owners', async (req, res) => {
+    try {
+        const admins = await Admin.find({ active: true })
+            .select('name email role')
+            .sort({ name: 1, email: 1 })
+            .lean();
+        res.json(admins);
+    } catch (error) {
+        console.error('❌ Get lead owners error:', error);
+        res.status(500).json([]);
+    }
+});
+
+// Routing rules, and every team named in a rule or on a lead
+router.get('/rules', async (req, res) => {
+    try {
+        const [rules, leadTeams] = await Promise.all([
+            LeadRule.find().sort({ interest: 1 }).populate('owner', 'name email').lean(),
+            Lead.distinct('team')
+        ]);
+        const teams = [...new Set([...rules.map(rule => rule.team), ...leadTeams])].sort();
+        res.json({ rules, teams });
+    } catch (error) {
+        leadError(res, error, 'loading lead rules');
+    }
+});
+
+// Replaces every rule. Leads already created keep their team and owner.
+router.put('/rules', requireRole('superadmin'), async (req, res) => {
+    try {
+        const { value: rules, errors } = validateLeadRules(req.body.rules);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        const ownerIds = [...new Set(rules.map(rule => rule.owner).filter(Boolean))];
+        if (await Admin.countDocuments({ _id: { $in: ownerIds }, active: true }) !== ownerIds.length) {
+            return res.status(400).json(validationErrorResponse({ rules: 'An owner is not an active admin' }));
+        }
+
+        await LeadRule.deleteMany({});
+        await LeadRule.insertMany(rules.map(rule => ({ ...rule, updatedBy: req.admin._id })));
+
+        console.log(`🧭 Lead rules saved by ${req.admin.email}:`, rules.length);
+        await recordAudit(req, 'leads.rules', { params: { rules: rules.length } });
+
+        const saved = await LeadRule.find().sort({ interest: 1 }).populate('owner', 'name email').lean();
+        res.json({ success: true, rules: saved });
+    } catch (error) {
+        leadError(res, error, 'saving lead rules');
+    }
+});
+
+// Routes registrations of the selected event that have no lead yet (all events when none is selected)
+router.post('/route', canManage, async (req, res) => {
+    try {
+        const result = await routeUnroutedRegistrations(req.eventScope);
+        console.log(`🧭 Routed ${result.registrations} registrations into ${result.created} leads`);
+        await recordAudit(req, 'leads.route', { params: result });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        leadError(res, error, 'routing registrations');
+    }
+});
+
+// Change status, due date, owner or team. Status changes are kept in history.
+router.patch('/:id', async (req, res) => {
+    try {
+        const lead = await findLead(req.params.id);
+        if (!lead) return notFound(res);
+
+        const manager = isManager(req.admin);
+        if (!manager && String(lead.owner) !== String(req.admin._id)) return forbidden(res);
+        if (!manager && REASSIGN_FIELDS.some(field => Object.prototype.hasOwnProperty.call(req.body, field))) {
+            return forbidden(res, 'Only organizers and superadmins can reassign leads');
+        }
+
+        const { value, errors } = validateLeadUpdate(req.body);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+        if (value.owner && !(await Admin.exists({ _id: value.owner, active: true }))) {
+            return res.status(400).json(validationErrorResponse({ owner: 'Pick an active admin' }));
+        }
+
+        lead.set(value);
+        const changed = Object.keys(value).filter(field => lead.isModified(field));
+        if (changed.includes('status')) lead.history.push({ status: lead.status, by: req.admin._id });
+        lead.updatedAt = new Date();
+        await lead.save();
+
+        await recordAudit(req, 'leads.update', { target: String(lead._id), params: { fields: changed, status: lead.status } });
+        console.log(`🧭 Lead ${lead._id} updated by ${req.admin.email}:`, changed);
+
+        res.json({ success: true, lead: await populateLead(lead) });
+    } catch (error) {
+        if (isDuplicateKeyError(error, 'team')) {
+            return res.status(409).json({ success: false, message: 'This attendee already has a lead with that team' });
+        }
+        leadError(res, error, 'updating the lead');
+    }
+});
+
+router.post('/:id/notes', async (req, res) => {
+    try {
+        const lead = await findLead(req.params.id);
+        if (!lead) return notFound(res);
+        if (!isManager(req.admin) && String(lead.owner) !== String(req.admin._id)) return forbidden(res);
+
+        const { value, errors } = validate(LEAD_NOTE_RULES, req.body);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        lead.notes.push({ text: value.text, author: req.admin._id, authorName: req.admin.name || req.admin.email });
+        lead.updatedAt = new Date();
+        await lead.save();
+
+        // The note itself may hold personal details, so only its existence is audited
+        await recordAudit(req, 'leads.note', { target: String(lead._id) });
+
+        res.status(201).json({ success: true, lead: await populateLead(lead) });
+    } catch (error) {
+        leadError(res, error, 'adding the note');
+    }
+});
+
+module.exports = router;
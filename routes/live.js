@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { dashboardStats } = require('../lib/analytics');
+const {
+    latestUpdateId,
+    updatesSince,
+    subscribeLiveUpdates,
+    inScope
+} = require('../lib/liveUpdates');
+
+// How often an idle stream sends a comment so proxies keep it open
+const HEARTBEAT_SECONDS = 25;
+// Counters are recounted at most this often while updates keep arriving
+const STATS_DELAY_MS = 1000;
+// Browsers wait this long before reconnecting after the stream drops
+const RETRY_MS = 5000;
+// Longest delay setTimeout keeps (about 24.8 days); longer ones fire at once
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Writes are dropped once the stream has closed
+function write(res, chunk) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(chunk);
+}
+
+function send(res, event, data, id) {
+    write(res, `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events for the dashboard: registration, feedback, checkin and
+// import updates for the selected event, stats with fresh counters after
+// them, and resync when missed updates cannot be replayed (reload
+// everything). A reconnecting dashboard sends the last id it saw as
+// Last-Event-ID.
+router.get('/', async (req, res) => {
+    const scope = req.eventScope;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stops nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    write(res, `retry: ${RETRY_MS}\n\n`);
+
+    let statsTimer = null;
+    const sendStats = async () => {
+        statsTimer = null;
+        try {
+            send(res, 'stats', await dashboardStats(scope));
+        } catch (error) {
+            console.error('❌ Live stats error:', error);
+        }
+    };
+    const scheduleStats = () => {
+        if (!statsTimer) statsTimer = setTimeout(sendStats, STATS_DELAY_MS);
+    };
+
+    const deliver = update => {
+        if (!inScope(update, scope)) return;
+        send(res, update.type, update.data, update.id);
+        scheduleStats();
+    };
+
+    const lastId = req.get('Last-Event-ID');
+    const missed = lastId ? updatesSince(lastId) : [];
+    if (missed) {
+        missed.forEach(deliver);
+        // The id to catch up from next time, including updates for other events
+        send(res, 'ready', { connectedAt: new Date() }, latestUpdateId());
+    } else {
+        send(res, 'resync', { reason: 'Missed updates are no longer available' }, latestUpdateId());
+    }
+    const unsubscribe = subscribeLiveUpdates(deliver);
+
+    const heartbeat = setInterval(() => write(res, ': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+    // The session token was checked once, when the stream opened. Sessions
+    // longer than a timer can wait are waited out in steps.
+    const untilExpiry = () => Math.min(Math.max(req.sessionExpiresAt - Date.now(), 0), MAX_TIMER_MS);
+    const expire = () => {
+        if (req.sessionExpiresAt > Date.now()) {
+            expiry = setTimeout(expire, untilExpiry());
+            return;
+        }
+        send(res, 'expired', { message: 'Your session has expired' });
+        res.end();
+    };
+    let expiry = setTimeout(expire, untilExpiry());
+
+    // Registered before anything is awaited, so a dashboard that closes
+    // straight away still releases its subscription and timers
+    console.log(`📡 Live dashboard opened by ${req.admin.email}`);
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clearTimeout(statsTimer);
+        console.log(`📡 Live dashboard closed by ${req.admin.email}`);
+    };
+    // The connection may already be gone by the time the stream is set up
+    if (res.destroyed) return close();
+    req.on('close', close);
+
+    await sendStats();
+});
+
+module.exports = router;
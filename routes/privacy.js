@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { maskSubject, exportSubjectData, eraseSubjectData, recordConsentChange } = require('../lib/privacy');
+
+// Data-subject requests (superadmin only). The subject is given as
+// ?email=&phone= (export) or { email, phone } in the body.
+router.use(requireRole('superadmin'));
+
+function privacyError(res, error, action) {
+    console.error(`❌ Privacy ${action} error:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : `Server error during ${action}: ` + error.message
+    });
+}
+
+// Everything stored about an attendee, as a JSON download
+router.get('/export', async (req, res) => {
+    try {
+        const subject = { email: req.query.email, phone: req.query.phone };
+        const data = await exportSubjectData(subject);
+
+        await recordAudit(req, 'privacy.export', {
+            target: maskSubject(subject),
+            params: { registrations: data.registrations.length, feedback: data.feedback.length }
+        });
+        console.log(`🔏 Subject data exported: ${maskSubject(subject)} (${req.admin.email})`);
+
+        res.attachment(`subject_data_${new Date().toISOString().slice(0, 10)}.json`);
+        res.json(data);
+    } catch (error) {
+        privacyError(res, error, 'export');
+    }
+});
+
+// Erase or anonymise an attendee ({ email, phone, mode: 'anonymize' | 'delete' })
+router.post('/erase', async (req, res) => {
+    try {
+        const { email, phone, mode = 'anonymize' } = req.body;
+        const result = await eraseSubjectData({ email, phone }, mode);
+
+        await recordAudit(req, 'privacy.erase', { target: maskSubject({ email, phone }), params: result });
+        console.log(`🔏 Subject data erased (${mode}): ${maskSubject({ email, phone })} (${req.admin.email})`);
+
+        res.json({ success: true, message: 'Attendee data erased', ...result });
+    } catch (error) {
+        privacyError(res, error, 'erasure');
+    }
+});
+
+// Record a consent change on the attendee's behalf ({ email, phone, purpose, granted })
+router.post('/consent', async (req, res) => {
+    try {
+        const { email, phone, purpose, granted } = req.body;
+        if (typeof granted !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'granted must be true or false' });
+        }
+
+        const result = await recordConsentChange({ email, phone }, purpose, granted);
+
+        await recordAudit(req, 'privacy.consent', {
+            target: maskSubject({ email, phone }),
+            params: { purpose, granted, ...result }
+        });
+
+        res.json({ success: true, message: 'Consent updated', ...result });
+    } catch (error) {
+        privacyError(res, error, 'consent update');
+    }
+});
+
+module.exports = router;
@@ -1,35 +1,116 @@
 const express = require('express');
 const router = express.Router();
 const Registration = require('../models/Registration');
+const { readIdempotencyKey } = require('../middleware/idempotency');
+const { submissionLimiters } = require('../middleware/rateLimit');
+const { rejectBots } = require('../middleware/botCheck');
+const { isDuplicateKeyError } = require('../lib/idempotency');
+const { validateRegistration, hasErrors, validationErrorResponse } = require('../lib/validation');
+const { DUPLICATE_POLICY, findExistingAttendee } = require('../lib/duplicates');
+const { applyConsent } = require('../lib/consent');
+const { signFeedbackToken } = require('../lib/feedbackLink');
+const { notifyRegistration } = require('../lib/notifications');
+const { findActiveEvent } = require('../lib/events');
+const { submissionForm } = require('../lib/forms');
+const { publishLiveUpdate, registrationSummary } = require('../lib/liveUpdates');
+const { routeRegistration } = require('../lib/leads');
+const { queueRegistrationWebhooks } = require('../lib/webhooks');
+const { requestLocale, translate } = require('../lib/i18n');
 
-// POST registration
-router.post('/', async (req, res) => {
+function registrationResponse(registration, replayed, locale) {
+    return {
+        success: true,
+        message: translate(locale, 'Registration successful'),
+        id: registration._id,
+        checkInCode: registration.checkInCode,
+        duplicate: Boolean(registration.duplicateOf),
+        // For the success page's link to feedback.html (see lib/feedbackLink.js)
+        feedbackToken: signFeedbackToken(registration),
+        replayed
+    };
+}
+
+// POST registration. Only ids and field names are logged: the body is the
+// attendee's personal data.
+router.post('/', submissionLimiters, rejectBots, readIdempotencyKey, async (req, res) => {
     try {
-        console.log('Registration data received:', req.body);
-        
-        // Ensure consent is boolean
-        const registrationData = {
-            ...req.body,
-            consent: req.body.consent === true || req.body.consent === 'true'
-        };
-        
-        const registration = new Registration(registrationData);
-        await registration.save();
-        
-        console.log('Registration saved:', registration._id);
-        
-        res.status(201).json({ 
-            success: true, 
-            message: 'Registration successful',
-            id: registration._id 
-        });
+        const { idempotencyKey } = req;
+
+        // A retry of a submission we already stored (e.g. replayed from the kiosk outbox)
+        if (idempotencyKey) {
+            const previous = await Registration.findOne({ idempotencyKey }).lean();
+            if (previous) {
+                console.log('🔁 Replayed registration:', previous._id);
+                return res.json(registrationResponse(previous, true, requestLocale(req)));
+            }
+        }
+
+        // The kiosk's ?event= slug and the form version it showed (body.form);
+        // the answers are checked against that form and the event's interests
+        const event = await findActiveEvent(req.body.event);
+        const form = await submissionForm(event, 'registration', req.body.form);
+        // The kiosk's language; messages are sent back in it and it is kept for analytics
+        const locale = requestLocale(req);
+
+        // Unknown fields (e.g. a client-sent timestamp) are dropped; check-in
+        // and duplicate fields are server-managed
+        const { value: data, errors, labels } = validateRegistration(req.body, event, form, locale);
+        if (hasErrors(errors)) {
+            console.log('⚠️ Invalid registration:', Object.keys(errors).join(', '));
+            return res.status(400).json(validationErrorResponse(errors, locale, labels));
+        }
+        data.event = event._id;
+        data.form = form._id;
+        data.locale = locale;
+
+        // Same person on normalised email or phone at this event (see lib/duplicates.js for the policy)
+        const existingUser = await findExistingAttendee(data);
+        if (existingUser) {
+            console.log('⚠️ Possible duplicate of', existingUser._id, `(policy: ${DUPLICATE_POLICY})`);
+
+            if (DUPLICATE_POLICY === 'reject') {
+                return res.status(409).json({
+                    success: false,
+                    duplicate: true,
+                    message: translate(locale,
+                        'You are already registered. Please visit the check-in desk if you need your badge.')
+                });
+            }
+            data.duplicateOf = existingUser._id;
+        }
+
+        applyConsent(data, { source: 'kiosk' });
+        if (idempotencyKey) data.idempotencyKey = idempotencyKey;
+
+        const registration = await Registration.create(data);
+        console.log('✅ Registration created:', registration._id);
+        publishLiveUpdate('registration', registration.event, registrationSummary(registration));
+        routeRegistration(registration).catch(error => console.error('❌ Lead routing error:', error));
+        queueRegistrationWebhooks(registration);
+        // Queued, not sent: the kiosk does not wait for the mail server
+        notifyRegistration(registration);
+
+        res.json(registrationResponse(registration, false, locale));
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(400).json({ 
-            success: false, 
-            message: error.message 
+        // Two retries of the same submission raced; answer with the one that won
+        if (isDuplicateKeyError(error) && req.idempotencyKey) {
+            const previous = await Registration.findOne({ idempotencyKey: req.idempotencyKey }).lean();
+            if (previous) return res.json(registrationResponse(previous, true, requestLocale(req)));
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: translate(requestLocale(req), error.message)
+            });
+        }
+
+        console.error('❌ Registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: translate(requestLocale(req), 'Server error during registration')
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
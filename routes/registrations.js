@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const Feedback = require('../models/Feedback');
+const Event = require('../models/Event');
+const Form = require('../models/Form');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { labelAnswers } = require('../lib/forms');
+const { validateRegistrationUpdate, hasErrors, validationErrorResponse } = require('../lib/validation');
+const { syncLeads } = require('../lib/leads');
+
+// Single registrations: view for every admin; edit, delete and restore for
+// organizers and superadmins. Deleting is a soft delete (deletedAt), undone
+// by restore. The paginated list is GET /api/admin/registrations (admin.js).
+
+const canChange = requireRole('organizer', 'superadmin');
+
+async function findRegistration(id) {
+    return mongoose.isValidObjectId(id) ? Registration.findById(id) : null;
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Registration not found' });
+}
+
+// Leads follow the registration's interests and whether it is deleted
+function updateLeads(registration) {
+    syncLeads(registration).catch(error => console.error('❌ Lead routing error:', error));
+}
+
+function registrationError(res, error, action) {
+    console.error(`❌ Registration ${action} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} registration: ` + error.message
+    });
+}
+
+// One registration with its feedback (including hidden and deleted feedback).
+// Answers to the event's own fields are labelled by the form version given;
+// fields is how that version asked for the editable fields (null without one).
+router.get('/:id', async (req, res) => {
+    try {
+        const registration = await findRegistration(req.params.id);
+        if (!registration) return notFound(res);
+
+        const [feedback, event, form] = await Promise.all([
+            Feedback.find({ registrationId: registration._id })
+                .sort({ timestamp: -1 })
+                .populate('form', 'fields')
+                .lean(),
+            registration.event ? Event.findById(registration.event).lean() : null,
+            registration.form ? Form.findById(registration.form).lean() : null
+        ]);
+        await recordAudit(req, 'registrations.view', { target: String(registration._id) });
+
+        res.json({
+            success: true,
+            registration,
+            answers: labelAnswers(registration.answers, form),
+            fields: form ? form.fields.filter(field => Registration.EDITABLE_FIELDS.includes(field.key)) : null,
+            event,
+            feedback: feedback.map(item => ({ ...item, form: undefined, answers: labelAnswers(item.answers, item.form) }))
+        });
+    } catch (error) {
+        registrationError(res, error, 'reading');
+    }
+});
+
+// Correct a registration's fields (Registration.EDITABLE_FIELDS); a blank
+// optional field is cleared. Values are checked against the form version the
+// attendee filled in, and interests must be in its event's catalogue.
+router.patch('/:id', canChange, async (req, res) => {
+    try {
+        const registration = await findRegistration(req.params.id);
+        if (!registration) return notFound(res);
+        // Editing would write personal data back onto an anonymised record
+        if (registration.erasedAt) {
+            return res.status(410).json({
+                success: false,
+                message: 'This attendee\'s data was erased and cannot be edited'
+            });
+        }
+        if (registration.deletedAt) {
+            return res.status(409).json({ success: false, message: 'Restore the registration before editing it' });
+        }
+
+        const [event, form] = await Promise.all([
+            registration.event ? Event.findById(registration.event).lean() : null,
+            registration.form ? Form.findById(registration.form).lean() : null
+        ]);
+        const { value, errors } = validateRegistrationUpdate(req.body, event, form);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        const fields = Registration.EDITABLE_FIELDS
+            .filter(field => Object.prototype.hasOwnProperty.call(req.body, field));
+        fields.forEach(field => {
+            const cleared = Array.isArray(registration[field]) ? [] : undefined;
+            registration.set(field, value[field] !== undefined ? value[field] : cleared);
+        });
+        const changed = fields.filter(field => registration.isModified(field));
+
+        await registration.save();
+        if (changed.includes('interests')) updateLeads(registration);
+        await recordAudit(req, 'registrations.update', { target: String(registration._id), params: { fields: changed } });
+        console.log(`✏️ Registration ${registration._id} updated by ${req.admin.email}:`, changed);
+
+        res.json({ success: true, message: 'Registration updated', registration });
+    } catch (error) {
+        registrationError(res, error, 'updating');
+    }
+});
+
+router.delete('/:id', canChange, async (req, res) => {
+    try {
+        const registration = await findRegistration(req.params.id);
+        if (!registration) return notFound(res);
+
+        if (!registration.deletedAt) {
+            registration.deletedAt = new Date();
+            registration.deletedBy = req.admin._id;
+            await registration.save();
+            updateLeads(registration);
+            await recordAudit(req, 'registrations.delete', { target: String(registration._id) });
+            console.log(`🗑 Registration ${registration._id} deleted by ${req.admin.email}`);
+        }
+
+        res.json({ success: true, message: 'Registration deleted', registration });
+    } catch (error) {
+        registrationError(res, error, 'deleting');
+    }
+});
+
+router.post('/:id/restore', canChange, async (req, res) => {
+    try {
+        const registration = await findRegistration(req.params.id);
+        if (!registration) return notFound(res);
+
+        if (registration.deletedAt) {
+            registration.deletedAt = undefined;
+            registration.deletedBy = undefined;
+            await registration.save();
+            updateLeads(registration);
+            await recordAudit(req, 'registrations.restore', { target: String(registration._id) });
+            console.log(`♻️ Registration ${registration._id} restored by ${req.admin.email}`);
+        }
+
+        res.json({ success: true, message: 'Registration restored', registration });
+    } catch (error) {
+        registrationError(res, error, 'restoring');
+    }
+});
+
+module.exports = router;
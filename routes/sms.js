@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { createBroadcast, listBroadcasts, retryFailedMessages } = require('../lib/smsMessages');
+
+function smsError(res, error, action) {
+    if (!error.status) console.error(`❌ SMS ${action} error:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : `Server error during ${action}: ` + error.message
+    });
+}
+
+// Broadcasts with per-status message counts
+router.get('/broadcasts', async (req, res) => {
+    try {
+        res.json(await listBroadcasts({ scope: req.eventScope }));
+    } catch (error) {
+        console.error('❌ Get broadcasts error:', error);
+        res.status(500).json([]);
+    }
+});
+
+// Broadcast to consenting attendees by interest ({ message, interests }, ?dryRun=true to count),
+// at the event picked in the switcher
+router.post('/broadcasts', requireRole('organizer', 'superadmin'), async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const result = await createBroadcast(req.body, req.admin, { dryRun, event: req.event });
+        if (dryRun) return res.json({ success: true, ...result });
+
+        await recordAudit(req, 'sms.broadcast', {
+            target: String(result.broadcast._id),
+            params: {
+                event: req.event ? req.event.slug : 'all',
+                interests: result.broadcast.interests,
+                recipients: result.recipients
+            }
+        });
+        console.log(`📣 SMS broadcast to ${result.recipients} attendees (${req.admin.email})`);
+
+        res.status(201).json({ success: true, message: 'Broadcast queued', ...result });
+    } catch (error) {
+        smsError(res, error, 'broadcast');
+    }
+});
+
+// Queue a broadcast's failed messages again
+router.post('/broadcasts/:id/retry', requireRole('organizer', 'superadmin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Broadcast not found' });
+        }
+
+        const retried = await retryFailedMessages(req.params.id);
+        await recordAudit(req, 'sms.retry', { target: req.params.id, params: { retried } });
+
+        res.json({ success: true, message: `${retried} message(s) queued again`, retried });
+    } catch (error) {
+        smsError(res, error, 'retry');
+    }
+});
+
+module.exports = router;
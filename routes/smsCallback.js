@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { applyDeliveryReport } = require('../lib/smsMessages');
+
+// Delivery reports from the SMS gateway (see lib/sms.js). The gateway proves
+// itself with SMS_CALLBACK_TOKEN in the X-Callback-Token header or ?token=.
+const CALLBACK_TOKEN = process.env.SMS_CALLBACK_TOKEN;
+
+function hasValidToken(req) {
+    const given = Buffer.from(String(req.get('X-Callback-Token') || req.query.token || ''));
+    const expected = Buffer.from(CALLBACK_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// { messageId, status, error } or an array of them
+router.post('/delivery', async (req, res) => {
+    if (!CALLBACK_TOKEN) {
+        return res.status(503).json({ success: false, message: 'Delivery reports are not configured' });
+    }
+    if (!hasValidToken(req)) {
+        return res.status(401).json({ success: false, message: 'Invalid callback token' });
+    }
+
+    try {
+        const reports = Array.isArray(req.body) ? req.body : [req.body];
+        let matched = 0;
+        for (const report of reports) {
+            if (await applyDeliveryReport(report || {})) matched++;
+        }
+
+        res.json({ success: true, received: reports.length, matched });
+    } catch (error) {
+        console.error('❌ SMS delivery report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording delivery reports'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { toList, parsePagination } = require('../lib/registrationQuery');
+const {
+    generateWebhookSecret,
+    sendTestEvent,
+    replayDelivery,
+    replayFailedDeliveries,
+    listWebhooks
+} = require('../lib/webhooks');
+const { validateWebhook, hasErrors, validationErrorResponse } = require('../lib/validation');
+
+// Outbound webhooks (superadmin only): they send attendee data out of the
+// system. A webhook's secret is only shown when it is created or rotated.
+router.use(requireRole('superadmin'));
+
+function webhookError(res, error, action) {
+    if (!error.status) console.error(`❌ Webhook ${action} error:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : `Server error while ${action}: ` + error.message
+    });
+}
+
+function notFound(res) {
+    return res.status(404).json({ success: false, message: 'Webhook not found' });
+}
+
+async function findWebhook(id) {
+    return mongoose.isValidObjectId(id) ? Webhook.findById(id) : null;
+}
+
+// Webhooks with per-status delivery counts
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listWebhooks());
+    } catch (error) {
+        console.error('❌ Get webhooks error:', error);
+        res.status(500).json([]);
+    }
+});
+
+// Delivery log, newest first; ?status=failed lists the dead letters.
+// Bodies hold attendee details and are only sent with a single delivery.
+router.get('/deliveries', async (req, res) => {
+    try {
+        const filter = {};
+        const statuses = toList(req.query.status).filter(status => WebhookDelivery.STATUSES.includes(status));
+        if (statuses.length) filter.status = { $in: statuses };
+        if (mongoose.isValidObjectId(req.query.webhook)) filter.webhook = req.query.webhook;
+        if (req.query.type) filter.type = String(req.query.type);
+
+        const { page, limit, skip } = parsePagination(req.query);
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .select('-body')
+                .sort({ timestamp: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('webhook', 'name url')
+                .lean(),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({
+            data: deliveries,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(Math.ceil(total / limit), 1)
+        });
+    } catch (error) {
+        console.error('❌ Get webhook deliveries error:', error);
+        res.status(500).json({ data: [], page: 1, limit: 0, total: 0, totalPages: 1, error: 'Database connection issue' });
+    }
+});
+
+router.get('/deliveries/:id', async (req, res) => {
+    try {
+        const delivery = mongoose.isValidObjectId(req.params.id)
+            ? await WebhookDelivery.findById(req.params.id).populate('webhook', 'name url').lean()
+            : null;
+        if (!delivery) return res.status(404).json({ success: false, message: 'Delivery not found' });
+
+        await recordAudit(req, 'webhooks.delivery_viewed', { target: req.params.id });
+        res.json(delivery);
+    } catch (error) {
+        webhookError(res, error, 'loading the delivery');
+    }
+});
+
+router.post('/deliveries/:id/replay', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const delivery = await replayDelivery(req.params.id, req.admin);
+        await recordAudit(req, 'webhooks.replay', { target: req.params.id, params: { type: delivery.type } });
+        console.log(`🔁 Webhook delivery ${delivery._id} replayed by ${req.admin.email}`);
+
+        res.json({ success: true, message: 'Delivery queued again', delivery });
+    } catch (error) {
+        webhookError(res, error, 'replaying the delivery');
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = validateWebhook(req.body);
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        const secret = generateWebhookSecret();
+        const webhook = await Webhook.create({ ...value, secret, createdBy: req.admin._id });
+
+        await recordAudit(req, 'webhooks.create', {
+            target: String(webhook._id),
+            params: { name: webhook.name, url: webhook.url, events: webhook.events }
+        });
+        console.log(`🪝 Webhook ${webhook.name} created by ${req.admin.email}`);
+
+        const saved = webhook.toObject();
+        delete saved.secret;
+        res.status(201).json({ success: true, webhook: saved, secret });
+    } catch (error) {
+        webhookError(res, error, 'creating the webhook');
+    }
+});
+
+// Change name, URL, events or switch it on/off; only the fields sent
+router.patch('/:id', async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) return notFound(res);
+
+        const { value, errors } = validateWebhook(req.body, { partial: true });
+        if (hasErrors(errors)) {
+            return res.status(400).json(validationErrorResponse(errors));
+        }
+
+        webhook.set(value);
+        const changed = Object.keys(value).filter(field => webhook.isModified(field));
+        webhook.updatedAt = new Date();
+        await webhook.save();
+
+        await recordAudit(req, 'webhooks.update', { target: String(webhook._id), params: { fields: changed } });
+        res.json({ success: true, webhook });
+    } catch (error) {
+        webhookError(res, error, 'updating the webhook');
+    }
+});
+
+// A new secret; the old one stops working at once
+router.post('/:id/rotate-secret', async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) return notFound(res);
+
+        const secret = generateWebhookSecret();
+        webhook.secret = secret;
+        webhook.updatedAt = new Date();
+        await webhook.save();
+
+        await recordAudit(req, 'webhooks.rotate_secret', { target: String(webhook._id) });
+        res.json({ success: true, secret });
+    } catch (error) {
+        webhookError(res, error, 'rotating the secret');
+    }
+});
+
+// Sends a test event now and answers with how the endpoint responded
+router.post('/:id/test', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+        const delivery = await sendTestEvent(req.params.id);
+        await recordAudit(req, 'webhooks.test', { target: req.params.id, params: { status: delivery.status } });
+
+        res.json({ success: delivery.status === 'delivered', delivery });
+    } catch (error) {
+        webhookError(res, error, 'testing the webhook');
+    }
+});
+
+// Queue every dead letter of the webhook again
+router.post('/:id/replay-failed', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+        const replayed = await replayFailedDeliveries(req.params.id, req.admin);
+        await recordAudit(req, 'webhooks.replay', { target: req.params.id, params: { replayed } });
+
+        res.json({ success: true, message: `${replayed} deliver${replayed === 1 ? 'y' : 'ies'} queued again`, replayed });
+    } catch (error) {
+        webhookError(res, error, 'replaying failed deliveries');
+    }
+});
+
+// Deliveries stay in the log; ones still queued fail as the webhook is gone
+router.delete('/:id', async (req, res) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        if (!webhook) return notFound(res);
+
+        await webhook.deleteOne();
+        await recordAudit(req, 'webhooks.delete', { target: String(webhook._id), params: { name: webhook.name } });
+        console.log(`🪝 Webhook ${webhook.name} deleted by ${req.admin.email}`);
+
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        webhookError(res, error, 'deleting the webhook');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// Create or reset an admin account
+// Usage: npm run create-admin -- <email> <password> [viewer|organizer|superadmin] [name]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Admin = require('../models/Admin');
+
+async function main() {
+    const [email, password, role = 'superadmin', ...nameParts] = process.argv.slice(2);
+
+    if (!email || !password) {
+        console.error('Usage: npm run create-admin -- <email> <password> [role] [name]');
+        process.exit(1);
+    }
+
+    if (!Admin.ROLES.includes(role)) {
+        console.error(`❌ Role must be one of: ${Admin.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+    let admin = await Admin.findOne({ email: email.toLowerCase().trim() });
+    const created = !admin;
+    if (!admin) admin = new Admin({ email });
+
+    admin.role = role;
+    admin.active = true;
+    if (nameParts.length) admin.name = nameParts.join(' ');
+    admin.setPassword(password);
+    await admin.save();
+
+    console.log(`✅ Admin ${created ? 'created' : 'updated'}: ${admin.email} (${admin.role})`);
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Failed to create admin:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,95 @@
+// Import legacy file-based data into MongoDB
+// Usage: npm run migrate -- [--dry-run] [file ...]
+//
+// With no files it loads registrations.json, feedbacks.json and requests.jsonl
+// from the project root. .json files hold an array, .jsonl one object per line
+// and .csv files are treated as walk-in registrations. Safe to run repeatedly:
+// rows that were imported before are skipped. Records go to the default
+// event (DEFAULT_EVENT_SLUG, see lib/events.js).
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { importRows, parseCsv, parseJson } = require('../lib/importer');
+const { ensureDefaultEvent, findActiveEvent } = require('../lib/events');
+
+const DEFAULT_FILES = ['registrations.json', 'feedbacks.json', 'requests.jsonl'];
+
+// Pick the collection from the file name, otherwise decide per row
+function kindForFile(file) {
+    const name = path.basename(file).toLowerCase();
+    if (name.endsWith('.csv') || name.includes('registration')) return 'registration';
+    if (name.includes('feedback')) return 'feedback';
+    return 'auto';
+}
+
+async function migrateFile(file, dryRun, event) {
+    const text = fs.readFileSync(file, 'utf8');
+    const isCsv = /\.csv$/i.test(file);
+    const rows = isCsv ? parseCsv(text) : parseJson(text, file);
+
+    return importRows(rows, {
+        kind: kindForFile(file),
+        source: isCsv ? 'csv' : path.basename(file),
+        dryRun,
+        event,
+        // CSV row 1 is the header
+        rowOffset: isCsv ? 2 : 1,
+        defaults: isCsv ? { channel: 'Walk-in' } : {}
+    });
+}
+
+function printReport(file, report) {
+    console.log(`\n📄 ${file}: ${report.total} rows, ${report.inserted} imported, ` +
+        `${report.skipped.length} skipped, ${report.rejected.length} rejected`);
+
+    report.skipped.forEach(({ row, reason }) => console.log(`   ⏭️  row ${row}: ${reason}`));
+    report.rejected.forEach(({ row, reason }) => console.log(`   ❌ row ${row}: ${reason}`));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const explicitFiles = args.filter(arg => !arg.startsWith('--'));
+
+    const files = explicitFiles.length
+        ? explicitFiles.map(file => path.resolve(file))
+        : DEFAULT_FILES
+            .map(file => path.join(__dirname, '..', file))
+            .filter(file => fs.existsSync(file));
+
+    if (!files.length) {
+        console.log('Nothing to migrate');
+        return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    // importKey lookups rely on the unique indexes existing before the first upsert
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+    await ensureDefaultEvent();
+    const event = await findActiveEvent();
+
+    if (dryRun) console.log('🧪 Dry run - nothing will be written');
+
+    let failed = false;
+    for (const file of files) {
+        try {
+            printReport(path.relative(process.cwd(), file), await migrateFile(file, dryRun, event));
+        } catch (err) {
+            failed = true;
+            console.error(`\n❌ ${file}: ${err.message}`);
+        }
+    }
+
+    if (failed) process.exitCode = 1;
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
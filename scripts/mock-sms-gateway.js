@@ -0,0 +1,80 @@
+// Local stand-in for an SMS gateway speaking the contract in lib/sms.js, for
+// development and tests. Nothing is sent; messages are kept in memory.
+// Usage: npm run sms-mock   then set in .env:
+//   SMS_GATEWAY_URL=http://localhost:4010/send
+//   SMS_CALLBACK_URL=http://localhost:3000/api/sms/delivery
+//   SMS_CALLBACK_TOKEN=<any secret, shared with the app>
+//
+// Numbers ending in 0000 are rejected (400) and numbers ending in 9999 fail
+// delivery, so error handling can be exercised. GET /messages lists what was
+// received.
+
+const express = require('express');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const DELIVERY_DELAY_MS = parseInt(process.env.SMS_MOCK_DELIVERY_MS, 10) || 1000;
+
+function startMockSmsGateway({ port = 4010, callbackToken = process.env.SMS_CALLBACK_TOKEN } = {}) {
+    const app = express();
+    const messages = [];
+    app.use(express.json());
+
+    // Delivery report, posted back the way a real gateway would
+    async function report(message) {
+        if (!message.callbackUrl) return;
+        try {
+            await fetch(message.callbackUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Callback-Token': callbackToken || '' },
+                body: JSON.stringify({ messageId: message.messageId, status: message.status })
+            });
+        } catch (err) {
+            console.error('❌ Mock gateway could not post delivery report:', err.message);
+        }
+    }
+
+    app.post('/send', (req, res) => {
+        const { to, from, message, callbackUrl } = req.body || {};
+        if (!to || !message) {
+            return res.status(400).json({ message: 'to and message are required' });
+        }
+        if (String(to).endsWith('0000')) {
+            return res.status(400).json({ message: 'Invalid destination number' });
+        }
+
+        const sms = {
+            messageId: crypto.randomUUID(),
+            to,
+            from,
+            message,
+            callbackUrl,
+            status: 'accepted',
+            receivedAt: new Date().toISOString()
+        };
+        messages.push(sms);
+        console.log(`📱 [mock gateway] ${from} -> ${to}: ${message}`);
+
+        setTimeout(() => {
+            sms.status = String(to).endsWith('9999') ? 'undelivered' : 'delivered';
+            report(sms);
+        }, DELIVERY_DELAY_MS).unref();
+
+        res.json({ messageId: sms.messageId, status: sms.status });
+    });
+
+    app.get('/messages', (req, res) => res.json(messages));
+
+    return new Promise(resolve => {
+        const server = app.listen(port, () => resolve({ server, messages }));
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.SMS_MOCK_PORT, 10) || 4010;
+    startMockSmsGateway({ port }).then(() => {
+        console.log(`📱 Mock SMS gateway listening on http://localhost:${port}/send`);
+    });
+}
+
+module.exports = { startMockSmsGateway };
@@ -0,0 +1,56 @@
+// Local stand-in for a CRM receiving the webhooks in lib/webhooks.js, for
+// development and tests. It checks each signature and keeps what it received
+// in memory.
+// Usage: WEBHOOK_MOCK_SECRET=<the webhook's secret> npm run webhook-mock
+// then add a webhook for http://localhost:4020/hooks in admin-webhooks.html.
+//
+// POST /hooks/fail answers 500 (retried) and /hooks/reject 400 (not
+// retried), so retries and dead letters can be exercised. GET /received
+// lists what arrived, with whether the signature was valid.
+
+const express = require('express');
+const { verifyWebhookSignature } = require('../lib/webhookSignature');
+require('dotenv').config();
+
+function startMockWebhookReceiver({ port = 4020, secret = process.env.WEBHOOK_MOCK_SECRET } = {}) {
+    const app = express();
+    const received = [];
+    // The signature covers the raw body, so it is read as text
+    app.use(express.text({ type: 'application/json' }));
+
+    app.post('/hooks/:outcome?', (req, res) => {
+        const body = typeof req.body === 'string' ? req.body : '';
+        const call = {
+            event: req.get('X-Webhook-Event'),
+            id: req.get('X-Webhook-Id'),
+            delivery: req.get('X-Webhook-Delivery'),
+            // Without a secret signatures cannot be checked
+            verified: secret ? verifyWebhookSignature(secret, body, req.get('X-Webhook-Signature')) : null,
+            payload: JSON.parse(body || 'null'),
+            outcome: req.params.outcome || 'ok',
+            receivedAt: new Date().toISOString()
+        };
+        received.push(call);
+        console.log(`🪝 [mock receiver] ${call.event} ${call.id} verified=${call.verified} -> ${call.outcome}`);
+
+        if (call.verified === false) return res.status(401).json({ message: 'Bad signature' });
+        if (call.outcome === 'fail') return res.status(500).json({ message: 'Simulated outage' });
+        if (call.outcome === 'reject') return res.status(400).json({ message: 'Simulated rejection' });
+        res.json({ received: true });
+    });
+
+    app.get('/received', (req, res) => res.json(received));
+
+    return new Promise(resolve => {
+        const server = app.listen(port, () => resolve({ server, received }));
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.WEBHOOK_MOCK_PORT, 10) || 4020;
+    startMockWebhookReceiver({ port }).then(() => {
+        console.log(`🪝 Mock webhook receiver listening on http://localhost:${port}/hooks`);
+    });
+}
+
+module.exports = { startMockWebhookReceiver };
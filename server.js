@@ -1,17 +1,40 @@
 // ====== Dependencies ======
 const express = require('express');
-const cors = require('cors');
 const path = require('path');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+const { backfillIdentityKeys } = require('./lib/duplicates');
+const { ensureDefaultEvent } = require('./lib/events');
+const { withdrawStaleLeads } = require('./lib/leads');
+const { scheduleAuditPruning } = require('./lib/audit');
+const { startJobWorker } = require('./lib/jobQueue');
+const { requestLocale, translate } = require('./lib/i18n');
+const { JSON_BODY_LIMIT, securityHeaders, corsPolicy } = require('./middleware/security');
+const registrationRoutes = require('./routes/registration');
+const feedbackRoutes = require('./routes/feedback');
+const badgeRoutes = require('./routes/badge');
+const eventRoutes = require('./routes/event');
+const adminRoutes = require('./routes/admin');
+const healthRoutes = require('./routes/health');
+const smsCallbackRoutes = require('./routes/smsCallback');
+
 // ====== App Config ======
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so
+// req.ip - and with it the rate limits - uses the real client address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.disable('x-powered-by');
+app.use(securityHeaders);
+app.use(corsPolicy);
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static('public')); // Serve frontend files
 
 // Request logging middleware
@@ -25,46 +48,23 @@ mongoose.connect(process.env.MONGODB_URI, {
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-  .then(() => console.log('✅ Connected to MongoDB Atlas'))
+  .then(async () => {
+    console.log('✅ Connected to MongoDB Atlas');
+    const backfilled = await backfillIdentityKeys();
+    if (backfilled) console.log(`🔑 Added duplicate-detection keys to ${backfilled} registrations`);
+    const assigned = await ensureDefaultEvent();
+    if (assigned) console.log(`🎪 Assigned ${assigned} records from before events to the default event`);
+    const withdrawn = await withdrawStaleLeads();
+    if (withdrawn) console.log(`🧭 Withdrew ${withdrawn} leads of deleted or erased registrations`);
+    scheduleAuditPruning();
+    startJobWorker();
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
     // Don't exit, allow server to run for testing
     console.log('⚠️ Running without database connection');
   });
 
-// ====== Schemas & Models ======
-const registrationSchema = new mongoose.Schema({
-  firstName: { type: String, trim: true, required: true },
-  lastName: { type: String, trim: true, required: true },
-  email: { 
-    type: String, 
-    trim: true, 
-    lowercase: true, 
-    required: true,
-    // Remove unique constraint to avoid duplicate issues during testing
-    index: true 
-  },
-  phone: String,
-  location: String,
-  gender: String,
-  channel: String,
-  interests: [String],
-  otherInterest: String,
-  consent: { type: Boolean, default: false },
-  timestamp: { type: Date, default: Date.now }
-});
-
-const feedbackSchema = new mongoose.Schema({
-  feedback1: String,
-  feedback2: String,
-  rating: { type: Number, min: 1, max: 5 },
-  registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Registration' },
-  timestamp: { type: Date, default: Date.now }
-});
-
-const Registration = mongoose.model('Registration', registrationSchema);
-const Feedback = mongoose.model('Feedback', feedbackSchema);
-
 // ====== Routes ======
 
 // Serve homepage
@@ -72,224 +72,36 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Registration endpoint
-app.post('/api/register', async (req, res) => {
-  try {
-    console.log('📥 Registration request:', req.body);
-    
-    const required = ['firstName', 'lastName', 'email', 'phone', 'location', 'gender', 'channel'];
-    const missing = required.filter(field => !req.body[field]);
-    
-    if (missing.length > 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `Missing required fields: ${missing.join(', ')}` 
-      });
-    }
-
-    if (req.body.interests && req.body.interests.length > 2) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Maximum 2 interests allowed' 
-      });
-    }
-
-    // Check for existing email (optional)
-    const existingUser = await Registration.findOne({ email: req.body.email });
-    if (existingUser) {
-      console.log('⚠️ Email already registered:', req.body.email);
-      // Still allow registration for testing
-    }
-
-    const registration = await Registration.create(req.body);
-    console.log('✅ Registration created:', registration._id);
-    
-    res.json({ 
-      success: true, 
-      message: 'Registration successful', 
-      id: registration._id 
-    });
-  } catch (err) {
-    console.error('❌ Registration error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during registration: ' + err.message 
-    });
-  }
+// Short kiosk link for an event, e.g. /e/gitex-lagos-2025 (for posters and QR codes)
+app.get('/e/:slug', (req, res) => {
+  res.redirect(`/?event=${encodeURIComponent(req.params.slug)}`);
 });
 
-// Feedback endpoint
-app.post('/api/feedback', async (req, res) => {
-  try {
-    console.log('📥 Feedback request:', req.body);
-    
-    const { feedback1, feedback2, rating } = req.body;
-    
-    if (!feedback1 && !feedback2) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'At least one feedback field required' 
-      });
-    }
-    
-    if (rating && (rating < 1 || rating > 5)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Rating must be between 1 and 5' 
-      });
-    }
-
-    const feedback = await Feedback.create({ 
-      feedback1, 
-      feedback2, 
-      rating: rating ? parseInt(rating) : null 
-    });
-    
-    console.log('✅ Feedback created:', feedback._id);
-    
-    res.json({ 
-      success: true, 
-      message: 'Feedback submitted successfully' 
-    });
-  } catch (err) {
-    console.error('❌ Feedback error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during feedback submission: ' + err.message 
-    });
-  }
-});
-
-// Admin stats
-app.get('/api/admin/stats', async (req, res) => {
-  try {
-    const registrations = await Registration.countDocuments();
-    const feedbacks = await Feedback.countDocuments();
-    
-    console.log('📊 Stats:', { registrations, feedbacks });
-    
-    res.json({ 
-      registrations: registrations || 0, 
-      feedbacks: feedbacks || 0, 
-      admins: 3 
-    });
-  } catch (err) {
-    console.error('❌ Stats error:', err);
-    res.status(500).json({ 
-      registrations: 0, 
-      feedbacks: 0, 
-      admins: 3,
-      error: 'Database connection issue' 
-    });
-  }
-});
-
-// Get registrations (with search)
-app.get('/api/admin/registrations', async (req, res) => {
-  try {
-    const { search } = req.query;
-    let filter = {};
-    
-    if (search) {
-      const regex = new RegExp(search, 'i');
-      filter = { 
-        $or: [
-          { firstName: regex }, 
-          { lastName: regex }, 
-          { email: regex }, 
-          { location: regex }
-        ] 
-      };
-    }
-    
-    const results = await Registration.find(filter)
-      .sort({ timestamp: -1 })
-      .limit(200)
-      .lean(); // Use lean() for better performance
-    
-    console.log(`📋 Found ${results.length} registrations`);
-    
-    res.json(results);
-  } catch (err) {
-    console.error('❌ Get registrations error:', err);
-    res.status(500).json([]);  // Return empty array instead of error
-  }
-});
-
-// Get feedbacks
-app.get('/api/admin/feedbacks', async (req, res) => {
-  try {
-    const feedbacks = await Feedback.find()
-      .sort({ timestamp: -1 })
-      .limit(100)
-      .lean();
-    
-    const formatted = feedbacks.map(fb => ({
-      name: 'Customer Feedback',
-      text: fb.feedback1 || fb.feedback2 || 'No feedback text',
-      rating: fb.rating,
-      timestamp: fb.timestamp,
-      _id: fb._id
-    }));
-    
-    console.log(`💬 Found ${formatted.length} feedbacks`);
-    
-    res.json(formatted);
-  } catch (err) {
-    console.error('❌ Get feedbacks error:', err);
-    res.status(500).json([]);  // Return empty array instead of error
-  }
-});
-
-// Health check
-app.get('/api/health', async (req, res) => {
-  try {
-    const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-    const registrations = dbStatus === 'connected' ? await Registration.countDocuments() : 0;
-    const feedbacks = dbStatus === 'connected' ? await Feedback.countDocuments() : 0;
-    
-    res.json({
-      status: 'healthy',
-      database: dbStatus,
-      timestamp: new Date().toISOString(),
-      registrations,
-      feedbacks,
-      message: 'MTN GITEX Nigeria API running'
-    });
-  } catch (err) {
-    res.json({
-      status: 'healthy',
-      database: 'error',
-      message: 'API running with database issues'
-    });
-  }
-});
-
-// Admin login (demo only)
-app.post('/api/admin/login', (req, res) => {
-  const { username, password } = req.body;
-  console.log('🔐 Login attempt:', username);
-  
-  if (username === 'admin@mtn.ng' && password === '1234') {
-    return res.json({ 
-      success: true, 
-      message: 'Login successful', 
-      token: 'demo-token' 
-    });
-  }
-  
-  res.status(401).json({ 
-    success: false, 
-    message: 'Invalid credentials' 
-  });
-});
+// API routers (see routes/)
+app.use('/api/register', registrationRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/badge', badgeRoutes);
+app.use('/api/event', eventRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/health', healthRoutes);
+app.use('/api/sms', smsCallbackRoutes);
 
 // Error handling middleware
+// Client errors raised by express (malformed JSON, body too large) keep their
+// status; details of unexpected errors, and the parser's own wording, stay in
+// the server log. The message is in the kiosk's language (lib/i18n.js).
 app.use((err, req, res, next) => {
-  console.error('💥 Unhandled error:', err);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: err.message 
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error('💥 Unhandled error:', err);
+  else console.warn(`⚠️ ${req.method} ${req.originalUrl} rejected (${status}):`, err.message);
+
+  const error = status === 413 ? 'Request body too large' : status < 500 ? 'Bad request' : 'Internal server error';
+  const message = err.type === 'entity.parse.failed' ? 'The request could not be read' : error;
+
+  res.status(status).json({ 
+    success: false,
+    error,
+    message: translate(requestLocale(req), message)
   });
 });
 
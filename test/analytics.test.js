@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Feedback = require('../models/Feedback');
+const { keywordFrequencies } = require('../lib/analytics');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+describe('keywordFrequencies', () => {
+    let models;
+
+    beforeEach(() => { models = useMemoryModels(Feedback); });
+    afterEach(() => models.restore());
+
+    const answer = (feedback1, locale) => Feedback.create({ feedback1, locale, rating: 5 });
+    const counts = async () => Object.fromEntries(
+        (await keywordFrequencies(Feedback.VISIBLE, 'feedback1')).map(({ word, count }) => [word, count])
+    );
+
+    it('keeps Yorùbá, Hausa and Igbo words whole', async () => {
+        await answer('Ìpàdé náà dára púpọ̀, ọjà wọn dára', 'yo');
+        await answer("Ina son ra'ayin MTN game da intanet", 'ha');
+        await answer('Ọrụ ha dị mma nke ukwuu', 'ig');
+
+        const words = await counts();
+        assert.equal(words['dára'], 2);
+        assert.equal(words['ìpàdé'], 1);
+        assert.equal(words['ọjà'], 1);
+        assert.equal(words["ra'ayin"], 1);
+        assert.equal(words['ọrụ'], 1);
+        assert.equal(words.ukwuu, 1);
+    });
+
+    it('counts a word once however its tone marks were typed and capitalised', async () => {
+        await answer('Ọjà', 'yo');
+        // o, dot below, j, a, grave accent
+        await answer('o\u0323ja\u0300', 'yo');
+
+        assert.deepEqual(await counts(), { 'ọjà': 2 });
+    });
+
+    it('leaves out the filler words of the answer\'s language and English', async () => {
+        await answer('Àwọn ọjà náà and the data', 'yo');
+        await answer('Wannan intanet kuma sosai', 'ha');
+        await answer('Dis data dey sweet', 'pcm');
+
+        const words = await counts();
+        assert.deepEqual(Object.keys(words).sort(), ['data', 'intanet', 'sweet', 'ọjà']);
+        assert.equal(words.data, 2);
+    });
+});
@@ -0,0 +1,161 @@
+// Just enough of a browser to run the page scripts in public/ under
+// node:test. Elements record what was set as text and what was set as
+// markup, so a test can tell which of the two untrusted values ended up in;
+// nothing here parses HTML.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+class FakeElement {
+    constructor(tagName, ownerDocument) {
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument;
+        this.children = [];
+        this.parentNode = null;
+        this.dataset = {};
+        this.style = {};
+        this.attributes = {};
+        this.className = '';
+        this.markup = null;
+        this.ownText = '';
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            },
+            contains: name => classes.has(name)
+        };
+        ownerDocument.created.push(this);
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.children = [];
+        this.markup = null;
+        this.ownText = String(value);
+    }
+
+    get innerHTML() {
+        return this.markup === null ? '' : this.markup;
+    }
+
+    // Markup is kept as written rather than parsed
+    set innerHTML(value) {
+        this.children = [];
+        this.ownText = '';
+        this.markup = String(value);
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    insertAdjacentElement(position, el) {
+        return (this.parentNode || this).appendChild(el);
+    }
+
+    insertRow() {
+        return this.appendChild(this.ownerDocument.createElement('tr'));
+    }
+
+    insertCell() {
+        return this.appendChild(this.ownerDocument.createElement('td'));
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    remove() {}
+    scrollIntoView() {}
+    closest() { return null; }
+    querySelector() { return null; }
+    querySelectorAll() { return []; }
+}
+
+function createDocument() {
+    const document = {
+        created: [],
+        title: 'Test page',
+        documentElement: { lang: 'en' },
+        createElement: tag => new FakeElement(tag, document),
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+        dispatchEvent() { return true; }
+    };
+    return document;
+}
+
+/**
+ * Runs public/<file> for each file given, in order, in a fresh context with
+ * a fake document, and returns the context: the scripts' top-level
+ * functions are its properties, context.document.created every element
+ * made so far.
+ */
+function loadPageScripts(...files) {
+    const document = createDocument();
+    const storage = new Map();
+    const context = {
+        document,
+        console,
+        URL,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        navigator: { onLine: true },
+        location: { origin: 'http://localhost', search: '', href: 'http://localhost/' },
+        fetch: () => Promise.reject(new Error('No network in tests'))
+    };
+    context.window = context;
+    context.sessionStorage = context.localStorage;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = {
+    PUBLIC_DIR,
+    loadPageScripts
+};
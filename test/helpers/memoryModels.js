@@ -0,0 +1,152 @@
+// Keeps the documents of mongoose models in memory, so code that queues and
+// runs jobs can be tested without a MongoDB server. Only the query and
+// update operators the app uses are understood ($in, $nin, $lt, $lte, $gt,
+// $gte, $ne, $exists, $type, $or; $set, $unset, $inc); anything else fails
+// the test rather than matching by accident.
+
+const isOperators = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const same = (a, b) => String(a) === String(b);
+
+function matchesValue(actual, expected) {
+    if (Array.isArray(actual) && !Array.isArray(expected)) return actual.some(item => matchesValue(item, expected));
+    if (expected === null) return actual === null || actual === undefined;
+    return same(actual, expected);
+}
+
+function matchesOperators(actual, operators) {
+    return Object.entries(operators).every(([op, expected]) => {
+        switch (op) {
+            case '$in': return expected.some(value => matchesValue(actual, value));
+            case '$nin': return !expected.some(value => matchesValue(actual, value));
+            case '$ne': return !matchesValue(actual, expected);
+            case '$exists': return (actual !== undefined) === Boolean(expected);
+            case '$type':
+                if (expected !== 'string') throw new Error(`memoryModels does not understand $type ${expected}`);
+                return typeof actual === 'string';
+            case '$lt': return actual !== undefined && actual < expected;
+            case '$lte': return actual !== undefined && actual <= expected;
+            case '$gt': return actual !== undefined && actual > expected;
+            case '$gte': return actual !== undefined && actual >= expected;
+            default: throw new Error(`memoryModels does not understand ${op}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, expected]) => {
+        if (key === '$or') return expected.some(part => matches(doc, part));
+        if (key.startsWith('$')) throw new Error(`memoryModels does not understand ${key}`);
+        return isOperators(expected) ? matchesOperators(doc[key], expected) : matchesValue(doc[key], expected);
+    });
+}
+
+function applyUpdate(doc, update) {
+    Object.entries(update).forEach(([op, fields]) => {
+        Object.entries(fields).forEach(([key, value]) => {
+            if (op === '$set') doc[key] = value;
+            else if (op === '$unset') delete doc[key];
+            else if (op === '$inc') doc[key] = (doc[key] || 0) + value;
+            else throw new Error(`memoryModels does not understand ${op}`);
+        });
+    });
+}
+
+function sortBy(docs, sort = {}) {
+    return [...docs].sort((a, b) => {
+        for (const [key, direction] of Object.entries(sort)) {
+            if (a[key] < b[key]) return -direction;
+            if (a[key] > b[key]) return direction;
+        }
+        return 0;
+    });
+}
+
+// Enough of a mongoose Query for `await Model.find(...).select(...).lean()`
+// and `for await (const doc of Model.find(...).cursor())`
+class MemoryQuery {
+    constructor(Model, run) {
+        this.Model = Model;
+        this.run = run;
+        this.sortSpec = {};
+        this.isLean = false;
+    }
+
+    select() { return this; }
+    populate() { return this; }
+    sort(spec) { this.sortSpec = spec; return this; }
+    lean() { this.isLean = true; return this; }
+
+    async exec() {
+        const found = this.run(this.sortSpec);
+        const toResult = doc => (this.isLean ? { ...doc } : this.Model.hydrate({ ...doc }));
+        if (Array.isArray(found)) return found.map(toResult);
+        return found ? toResult(found) : null;
+    }
+
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    async *cursor() {
+        yield* await this.exec();
+    }
+}
+
+/**
+ * Serves Models from memory until restore() is called. Returns
+ * { docs(Model), restore() }; docs lists a model's stored documents.
+ */
+function useMemoryModels(...Models) {
+    const originals = [];
+    const stores = new Map();
+
+    const replace = (target, name, fn) => {
+        originals.push([target, name, Object.getOwnPropertyDescriptor(target, name)]);
+        target[name] = fn;
+    };
+
+    Models.forEach(Model => {
+        const store = new Map();
+        stores.set(Model, store);
+        const all = () => [...store.values()];
+        const first = (filter, sort) => sortBy(all().filter(doc => matches(doc, filter)), sort)[0] || null;
+
+        replace(Model.prototype, 'save', async function save() {
+            await this.validate();
+            store.set(String(this._id), this.toObject());
+            this.isNew = false;
+            return this;
+        });
+        replace(Model, 'create', async doc => new Model(doc).save());
+        replace(Model, 'find', filter => new MemoryQuery(Model,
+            sort => sortBy(all().filter(doc => matches(doc, filter)), sort)));
+        replace(Model, 'findOne', filter => new MemoryQuery(Model, sort => first(filter, sort)));
+        replace(Model, 'findById', id => new MemoryQuery(Model, () => store.get(String(id)) || null));
+        replace(Model, 'findOneAndUpdate', (filter, update, options = {}) => new MemoryQuery(Model, () => {
+            const doc = first(filter, options.sort);
+            if (!doc) return null;
+            const before = { ...doc };
+            applyUpdate(doc, update);
+            return options.new ? doc : before;
+        }));
+        replace(Model, 'updateOne', async (filter, update) => {
+            const doc = first(filter);
+            if (doc) applyUpdate(doc, update);
+            return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+        });
+    });
+
+    return {
+        docs: Model => [...stores.get(Model).values()],
+        restore() {
+            originals.reverse().forEach(([target, name, descriptor]) => {
+                if (descriptor) Object.defineProperty(target, name, descriptor);
+                else delete target[name];
+            });
+        }
+    };
+}
+
+module.exports = { useMemoryModels };
@@ -0,0 +1,80 @@
+// SMS sends and broadcast retries check the recipient again: nothing goes
+// out after marketing consent is withdrawn or the registration is deleted.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const Registration = require('../models/Registration');
+const SmsMessage = require('../models/SmsMessage');
+const { processDueJobs, enqueueJob } = require('../lib/jobQueue');
+const { retryFailedMessages } = require('../lib/smsMessages');
+const { createSmsProvider, setSmsProvider, sentSms } = require('../lib/sms');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+describe('SMS recipients', () => {
+    let models;
+    const broadcast = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+        models = useMemoryModels(Job, Registration, SmsMessage);
+        setSmsProvider(createSmsProvider('memory'));
+        sentSms.length = 0;
+    });
+    afterEach(() => models.restore());
+
+    const attendee = details => Registration.create({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: `ada${Math.random()}@example.com`,
+        phone: '0803 123 4567',
+        location: 'Lagos',
+        gender: 'Female',
+        channel: 'Walk-in',
+        consent: true,
+        ...details
+    });
+    const message = (registration, fields = {}) => SmsMessage.create({
+        kind: 'broadcast',
+        broadcast,
+        registrationId: registration._id,
+        to: registration.phoneKey,
+        body: 'Hi Ada',
+        ...fields
+    });
+    const statusOf = sms => models.docs(SmsMessage).find(doc => String(doc._id) === String(sms._id));
+
+    it('does not send a broadcast to an attendee who withdrew marketing consent', async () => {
+        const sms = await message(await attendee({ consent: false }));
+        await enqueueJob('sms.send', { messageId: sms._id });
+        await processDueJobs();
+
+        assert.equal(sentSms.length, 0);
+        assert.equal(statusOf(sms).status, 'failed');
+        assert.match(statusOf(sms).error, /withdrew marketing consent/);
+    });
+
+    it('does not send to a deleted registration, even its confirmation', async () => {
+        const sms = await message(await attendee({ deletedAt: new Date() }), { kind: 'registration' });
+        await enqueueJob('sms.send', { messageId: sms._id });
+        await processDueJobs();
+
+        assert.equal(sentSms.length, 0);
+        assert.match(statusOf(sms).error, /deleted/);
+    });
+
+    it('retries failed broadcast messages only for attendees it may still reach', async () => {
+        const reachable = await message(await attendee(), { status: 'failed' });
+        const withdrawn = await message(await attendee({ consent: false }), { status: 'failed' });
+        const erased = await message(await attendee({ erasedAt: new Date() }), { status: 'failed' });
+
+        assert.equal(await retryFailedMessages(broadcast), 1);
+        await processDueJobs();
+
+        assert.equal(sentSms.length, 1);
+        assert.equal(statusOf(reachable).status, 'sent');
+        assert.equal(statusOf(withdrawn).status, 'failed');
+        assert.equal(statusOf(erased).status, 'failed');
+    });
+});
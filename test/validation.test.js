@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    validateRegistration,
+    validateFeedback,
+    validateRegistrationUpdate,
+    validationErrorResponse
+} = require('../lib/validation');
+
+describe('validateRegistrationUpdate', () => {
+    const event = { interests: ['Cloud', 'MoMo', 'IOT', 'Fiber X', 'Chenosis'] };
+    // An event form that asks for other choices than the original kiosk and no phone
+    const form = {
+        fields: [
+            { key: 'firstName', label: 'First name', type: 'text', required: true, max: 50 },
+            { key: 'lastName', label: 'Last name', type: 'text', required: true, max: 50 },
+            { key: 'email', label: 'Email', type: 'email', required: true },
+            { key: 'gender', label: 'Gender', type: 'choice', options: ['Man', 'Woman', 'Prefer not to say'] },
+            { key: 'channel', label: 'Channel', type: 'choice', required: true, options: ['Web', 'Desk'] },
+            { key: 'interests', label: 'Interests', type: 'interests', max: 4 }
+        ]
+    };
+    // What admin-registration.js sends: every editable field
+    const edit = {
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        phone: '',
+        location: '',
+        gender: 'Prefer not to say',
+        channel: 'Desk',
+        interests: ['Cloud', 'MoMo', 'IOT', 'Fiber X'],
+        otherInterest: ''
+    };
+
+    it('accepts an edit that fits the form the attendee filled in', () => {
+        const { value, errors } = validateRegistrationUpdate(edit, event, form);
+        assert.deepEqual(errors, {});
+        assert.equal(value.gender, 'Prefer not to say');
+        assert.deepEqual(value.interests, edit.interests);
+    });
+
+    it('checks the form fields with the kiosk rules', () => {
+        const { errors } = validateRegistrationUpdate({
+            ...edit,
+            firstName: '',
+            channel: 'Walk-in',
+            interests: ['Cloud', 'MoMo', 'IOT', 'Fiber X', 'Chenosis']
+        }, event, form);
+        assert.deepEqual(Object.keys(errors).sort(), ['channel', 'firstName', 'interests']);
+    });
+
+    it('keeps the fixed rules for registrations without a form', () => {
+        const { errors } = validateRegistrationUpdate(edit, event);
+        assert.ok(errors.phone);
+        assert.ok(errors.gender);
+        assert.ok(errors.interests);
+    });
+});
+
+describe('validationErrorResponse', () => {
+    it('names the fields by their labels in the kiosk\'s language', () => {
+        const { errors, labels } = validateRegistration({ email: 'ada@example.com' }, null, null, 'yo');
+        const { message } = validationErrorResponse(errors, 'yo', labels);
+        assert.match(message, /^Jọ̀wọ́ ṣàyẹ̀wò: /);
+        assert.ok(message.includes('Orúkọ àkọ́kọ́'));
+        assert.ok(!message.includes('firstName'));
+    });
+
+    it('names an event\'s own questions by their label', () => {
+        const form = { kind: 'feedback', fields: [{ key: 'stand', label: 'What did you like?', type: 'text' }] };
+        const { errors, labels } = validateFeedback({}, form, 'ha');
+        assert.deepEqual(Object.keys(errors), ['answers.stand']);
+        assert.equal(validationErrorResponse(errors, 'ha', labels).message, 'Da fatan a duba: What did you like?');
+    });
+
+    it('falls back to the field name without labels', () => {
+        assert.equal(validationErrorResponse({ owner: 'Pick an active admin' }).message, 'Please check: owner');
+    });
+});
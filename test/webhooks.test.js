@@ -0,0 +1,158 @@
+// Webhook deliveries against a local HTTP receiver: signing, retries with
+// backoff, dead letters and replay, run through the job queue as the worker
+// would. The models are kept in memory (see helpers/memoryModels.js).
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { processDueJobs } = require('../lib/jobQueue');
+const { queueRegistrationWebhooks, replayDelivery } = require('../lib/webhooks');
+const { verifyWebhookSignature } = require('../lib/webhookSignature');
+const { useMemoryModels } = require('./helpers/memoryModels');
+
+const SECRET = 'whsec_test';
+
+describe('webhook delivery', () => {
+    let server;
+    let url;
+    let received;
+    let answer;
+    let models;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(answer, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: answer }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        received = [];
+        answer = 200;
+        models = useMemoryModels(Job, Webhook, WebhookDelivery);
+        await Webhook.create({ name: 'CRM', url, events: ['registration.created'], secret: SECRET });
+    });
+
+    afterEach(() => models.restore());
+
+    const register = (details = {}) => queueRegistrationWebhooks({
+        _id: new mongoose.Types.ObjectId(),
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        phone: '+2348031234567',
+        interests: ['Cloud'],
+        consent: true,
+        timestamp: new Date(),
+        ...details
+    });
+    const onlyJob = () => models.docs(Job)[0];
+    const onlyDelivery = () => models.docs(WebhookDelivery)[0];
+
+    it('delivers a signed event', async () => {
+        assert.equal(await register(), 1);
+        assert.equal(await processDueJobs(), 1);
+
+        assert.equal(received.length, 1);
+        const [{ headers, body }] = received;
+        assert.ok(verifyWebhookSignature(SECRET, body, headers['x-webhook-signature']));
+        assert.ok(!verifyWebhookSignature('whsec_other', body, headers['x-webhook-signature']));
+        assert.equal(headers['x-webhook-event'], 'registration.created');
+        assert.equal(headers['x-webhook-id'], JSON.parse(body).id);
+        assert.equal(JSON.parse(body).data.email, 'ada@example.com');
+        assert.equal(onlyJob().status, 'done');
+        assert.equal(onlyDelivery().status, 'delivered');
+        assert.equal(onlyDelivery().responseStatus, 200);
+    });
+
+    it('leaves out the contact details of attendees without marketing consent', async () => {
+        await register({ consent: false });
+        await processDueJobs();
+
+        const { data } = JSON.parse(received[0].body);
+        assert.equal(data.email, null);
+        assert.equal(data.phone, null);
+        assert.equal(data.firstName, null);
+        assert.equal(data.marketingConsent, false);
+    });
+
+    it('fails a delivery the endpoint rejects with a 4xx straight away', async () => {
+        answer = 400;
+        await register();
+        await processDueJobs();
+
+        assert.equal(onlyJob().status, 'failed');
+        assert.equal(onlyJob().attempts, 1);
+        assert.equal(onlyDelivery().status, 'failed');
+        assert.equal(onlyDelivery().responseStatus, 400);
+        assert.equal(await processDueJobs(), 0);
+        assert.equal(received.length, 1);
+    });
+
+    it('retries a delivery the endpoint answers with a 5xx later, then gives up', async () => {
+        answer = 503;
+        await register();
+        const started = Date.now();
+        await processDueJobs();
+
+        assert.equal(onlyJob().status, 'pending');
+        assert.ok(onlyJob().runAt.getTime() > started);
+        assert.equal(onlyDelivery().status, 'retrying');
+        assert.ok(onlyDelivery().nextAttemptAt.getTime() > started);
+        // Not due yet
+        assert.equal(await processDueJobs(), 0);
+
+        onlyJob().runAt = new Date();
+        await processDueJobs();
+        assert.equal(received.length, 2);
+        assert.equal(received[1].headers['x-webhook-id'], received[0].headers['x-webhook-id']);
+        assert.equal(onlyJob().status, 'failed');
+        assert.equal(onlyDelivery().status, 'failed');
+        assert.equal(onlyDelivery().attempts, 2);
+    });
+
+    it('replays a dead letter as the same event', async () => {
+        answer = 400;
+        await register();
+        await processDueJobs();
+
+        answer = 200;
+        const admin = { _id: new mongoose.Types.ObjectId() };
+        const replayed = await replayDelivery(onlyDelivery()._id, admin);
+        assert.equal(replayed.status, 'queued');
+        assert.equal(models.docs(Job).filter(job => job.status === 'pending').length, 1);
+
+        assert.equal(await processDueJobs(), 1);
+        assert.equal(received.length, 2);
+        assert.equal(received[1].body, received[0].body);
+        assert.ok(verifyWebhookSignature(SECRET, received[1].body, received[1].headers['x-webhook-signature']));
+        assert.equal(onlyDelivery().status, 'delivered');
+        assert.equal(String(onlyDelivery().replayedBy), String(admin._id));
+    });
+
+    it('refuses to replay a delivery that is still being sent', async () => {
+        answer = 503;
+        await register();
+        await processDueJobs();
+
+        await assert.rejects(replayDelivery(onlyDelivery()._id, { _id: new mongoose.Types.ObjectId() }),
+            { status: 409 });
+    });
+});
@@ -0,0 +1,193 @@
+// Script and markup sent in from the kiosk must stay text on every path
+// back out: validation keeps it as typed, the email templates escape it and
+// the admin pages only ever set it as text.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { validateRegistration, validateFeedback } = require('../lib/validation');
+const {
+    escapeHtml,
+    registrationConfirmation,
+    feedbackThankYou,
+    feedbackInvitation
+} = require('../lib/emailTemplates');
+const { CONTENT_SECURITY_POLICY } = require('../middleware/security');
+const { PUBLIC_DIR, loadPageScripts } = require('./helpers/browser');
+
+const PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror="alert(1)">',
+    '"><svg onload=alert(1)>',
+    '\'><iframe src="javascript:alert(1)"></iframe>'
+];
+
+const attendee = payload => ({
+    firstName: payload,
+    lastName: payload,
+    email: 'ada@example.com',
+    phone: '0803 123 4567',
+    location: payload,
+    gender: 'Female',
+    channel: 'Walk-in',
+    otherInterest: payload,
+    consentEvent: true
+});
+
+const tagNames = html => (html.match(/<\/?[a-z][a-z0-9]*/gi) || []).map(tag => tag.toLowerCase());
+
+// html has the same tags as the template filled with harmless values, and
+// no event handler attributes outside quoted attribute values
+function assertNoMarkup(html, harmlessHtml, payload) {
+    assert.ok(!html.includes(payload), `payload ${payload} appears unescaped`);
+    assert.deepEqual(tagNames(html), tagNames(harmlessHtml));
+    assert.doesNotMatch(html.replace(/"[^"]*"/g, '""'), /<[^>]*\son\w+=/i);
+}
+
+describe('validation of attendee input', () => {
+    PAYLOADS.forEach(payload => {
+        it(`keeps ${payload} in a registration as plain text`, () => {
+            const { value, errors } = validateRegistration(attendee(payload));
+            assert.deepEqual(errors, {});
+            assert.equal(value.firstName, payload);
+            assert.equal(value.location, payload);
+            assert.equal(value.otherInterest, payload);
+        });
+
+        it(`keeps ${payload} in feedback as plain text`, () => {
+            const { value, errors } = validateFeedback({ feedback1: payload, feedback2: payload, rating: 4 });
+            assert.deepEqual(errors, {});
+            assert.equal(value.feedback1, payload);
+            assert.equal(value.feedback2, payload);
+        });
+    });
+
+    it('rejects markup sent as a fixed choice', () => {
+        const { errors } = validateRegistration({ ...attendee('Ada'), gender: PAYLOADS[0], interests: [PAYLOADS[1]] });
+        assert.ok(errors.gender);
+        assert.ok(errors.interests);
+    });
+
+    it('rejects markup sent as a rating', () => {
+        const { errors } = validateFeedback({ feedback1: 'Great', rating: PAYLOADS[0] });
+        assert.ok(errors.rating);
+    });
+});
+
+describe('email templates', () => {
+    it('escapes every character that could open a tag or an attribute', () => {
+        assert.equal(escapeHtml('<a href="x" title=\'y\'>&</a>'),
+            '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+        assert.equal(escapeHtml(undefined), '');
+        assert.equal(escapeHtml(null), '');
+    });
+
+    const confirmation = value => registrationConfirmation({
+        registration: { ...attendee(value), checkInCode: value, interests: [value] },
+        eventName: value,
+        feedbackUrl: `https://gitex.example/feedback.html?t=${value}`
+    });
+    const thankYou = value => feedbackThankYou({
+        registration: attendee(value),
+        eventName: value,
+        feedback: { rating: 1, feedback1: value }
+    });
+    const invitation = value => feedbackInvitation({
+        registration: attendee(value),
+        eventName: value,
+        feedbackUrl: `https://gitex.example/feedback.html?t=${value}`
+    });
+
+    PAYLOADS.forEach(payload => {
+        it(`escapes ${payload} in the registration confirmation`, () => {
+            const { html, text } = confirmation(payload);
+            assertNoMarkup(html, confirmation('Ada').html, payload);
+            assert.ok(html.includes(escapeHtml(payload)));
+            // The plain-text part is never rendered as HTML
+            assert.ok(text.includes(payload));
+        });
+
+        it(`escapes ${payload} in the feedback thank-you`, () => {
+            assertNoMarkup(thankYou(payload).html, thankYou('Ada').html, payload);
+        });
+
+        it(`escapes ${payload} in the feedback invitation`, () => {
+            assertNoMarkup(invitation(payload).html, invitation('Ada').html, payload);
+        });
+    });
+});
+
+describe('admin rendering', () => {
+    const page = loadPageScripts('i18n.js', 'api.js');
+    page.localStorage.setItem('adminProfile', JSON.stringify({ email: 'admin@example.com', role: 'organizer' }));
+
+    const markupOf = el => [el.innerHTML, ...el.children.map(markupOf)].join('');
+
+    PAYLOADS.forEach(payload => {
+        it(`shows ${payload} in the registrations table as text`, () => {
+            const tbody = page.document.createElement('tbody');
+            page.addRegistrationRow(tbody, {
+                _id: 'abc',
+                ...attendee(payload),
+                email: payload,
+                interests: [payload]
+            });
+            const cells = tbody.children[0].children;
+            assert.equal(cells[0].textContent, `${payload} ${payload}`);
+            assert.equal(cells[3].textContent, payload);
+            assert.equal(cells[5].textContent, payload);
+            assert.equal(markupOf(tbody), '');
+        });
+
+        it(`shows ${payload} in the attendee list as text`, () => {
+            const item = page.userItem({ _id: 'abc', firstName: payload, lastName: 'Obi', email: 'ada@example.com' });
+            assert.ok(item.textContent.includes(payload));
+            assert.equal(markupOf(item), '');
+        });
+
+        it(`shows ${payload} in a feedback card as text`, () => {
+            const card = page.feedbackCard({
+                _id: 'abc',
+                timestamp: new Date().toISOString(),
+                name: payload,
+                interests: [payload],
+                feedback1: payload,
+                answers: [{ label: payload, answer: payload }],
+                moderation: 'visible'
+            });
+            assert.ok(card.textContent.includes(payload));
+            assert.equal(markupOf(card), '');
+        });
+
+        it(`shows a field error echoing ${payload} as text`, () => {
+            const input = page.document.createElement('input');
+            const root = {
+                querySelector: selector => (selector === '.has-error' ? null : input),
+                querySelectorAll: () => []
+            };
+            page.showFieldErrors({ gender: `"${payload}" is not a valid option` }, root);
+            const note = input.children[0];
+            assert.equal(note.textContent, `"${payload}" is not a valid option`);
+            assert.equal(note.innerHTML, '');
+        });
+    });
+
+    it('only ever writes fixed markup into the admin and kiosk pages', () => {
+        const sink = /\.(innerHTML|outerHTML)\s*=\s*(.*?);?$|\b(insertAdjacentHTML|document\.write(ln)?)\s*\(/gm;
+        fs.readdirSync(PUBLIC_DIR).filter(file => file.endsWith('.js')).forEach(file => {
+            const source = fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8');
+            for (const [match, , value] of source.matchAll(sink)) {
+                assert.ok(value !== undefined, `${file}: ${match}`);
+                assert.match(value.trim(), /^(''|""|'[^'+]*'|"[^"+]*"|`[^`$+]*`)$/, `${file}: ${match}`);
+            }
+        });
+    });
+
+    it('blocks inline scripts with the Content-Security-Policy', () => {
+        const scriptSrc = CONTENT_SECURITY_POLICY.split('; ').find(part => part.startsWith('script-src'));
+        assert.equal(scriptSrc, "script-src 'self'");
+        assert.ok(CONTENT_SECURITY_POLICY.includes("object-src 'none'"));
+    });
+});